@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// =============================
+// Headless reminder run — the same threshold logic as the app, for cron.
+//
+//   node scripts/remind.js --data dataset.json [--log sent.json]
+//                          [--endpoint URL] [--to EMAIL] [--today YYYY-MM-DD]
+//                          [--dry-run]
+//
+// dataset.json is the "Download dataset (JSON)" file from Settings:
+// { rows, settings, notified }; a backup from Settings → Backup & restore
+// works too. Digest settings are honoured; the time of the
+// last digest is kept in the sent-log. Reminders already in `notified` or in the
+// sent-log are skipped; each successful send is appended to the sent-log
+// (default: <data>.sent.json) straight away, so a crash never re-sends.
+// Sends go to the webhook provider ({ to, subject, text }); EmailJS needs a
+// browser, so pass --endpoint if the app is configured for EmailJS. Enabled
+// chat and push channels are sent too (desktop notifications are app-only).
+// Exit code is 1 if any send failed.
+// =============================
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  activeChannels,
+  channelConfig,
+  channelThresholds,
+} from "../src/lib/channels.js";
+import {
+  DEFAULT_THRESHOLDS,
+  dueReminders,
+  enrichRow,
+  isDigestDue,
+} from "../src/lib/reminders.js";
+import { routeRow } from "../src/lib/routing.js";
+import { sendDueReminders } from "../src/lib/send.js";
+
+const nameOf = (row) => row.phone || row.label || "(unnamed)";
+
+async function readJSON(path, fallback) {
+  try {
+    return JSON.parse(await readFile(path, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT" && fallback !== undefined) return fallback;
+    throw new Error(`Cannot read ${path}: ${e.message}`);
+  }
+}
+
+// write-then-rename so a crash mid-write can't truncate the log
+async function writeJSON(path, data) {
+  await writeFile(`${path}.tmp`, JSON.stringify(data, null, 2));
+  await rename(`${path}.tmp`, path);
+}
+
+/**
+ * One reminder pass. `persist(sentLog)` is called after every successful
+ * send. Returns the sendDueReminders() result.
+ */
+export async function runReminders({
+  dataset,
+  sentLog = {},
+  today = new Date(),
+  endpoint,
+  to,
+  dryRun = false,
+  persist = async () => {},
+  log = console.log,
+}) {
+  const settings = { ...dataset.settings };
+  if (endpoint) {
+    settings.provider = "webhook";
+    settings.webhookEndpoint = endpoint;
+  }
+  if (to) settings.notifyEmail = to;
+  const emailOk = settings.provider === "webhook" && settings.webhookEndpoint;
+  const channels = activeChannels(settings); // the browser channel is skipped
+  if (!emailOk && !channels.length)
+    throw new Error(
+      "No webhook endpoint: set provider to webhook in the app or pass --endpoint"
+    );
+  if (!emailOk) {
+    log("No email webhook configured; sending to the other channels only");
+    settings.provider = ""; // EmailJS needs a browser
+  }
+
+  const rows = (dataset.rows || []).map((r) =>
+    enrichRow(r, today, { remindBefore: settings.remindBefore })
+  );
+  const notified = { ...(dataset.notified || {}), ...sentLog };
+
+  if (dryRun) {
+    const mode = settings.digest || "immediate";
+    const routes = [
+      ...(emailOk
+        ? [
+            {
+              channel: "",
+              thresholds: settings.thresholds || DEFAULT_THRESHOLDS,
+              via: (row) => routeRow(row, settings).to.join(", ") || "nobody",
+            },
+          ]
+        : []),
+      ...channels.map((def) => {
+        const config = channelConfig(settings, def.key);
+        return {
+          channel: def.key,
+          thresholds: channelThresholds(settings, config),
+          via: () => (def.describe ? def.describe(config) : def.label),
+        };
+      }),
+    ];
+    const skipped = [];
+    for (const { channel, thresholds, via } of routes) {
+      const due = dueReminders(rows, thresholds, notified, channel);
+      skipped.push(...due.map((d) => d.key));
+      const name = channel || "email";
+      if (mode !== "immediate" && !isDigestDue(mode, notified, today, channel))
+        log(
+          `[dry-run] ${name}: ${due.length} due, waiting for the next ${mode} digest`
+        );
+      else
+        for (const { row, threshold } of due)
+          log(
+            `[dry-run] ${name}: would send ${nameOf(row)} (${threshold}-day threshold) to ${via(row)}`
+          );
+    }
+    return { sent: [], failed: [], skipped };
+  }
+
+  const byKey = new Map(rows.map((r) => [r.id, r]));
+  const describe = (key) => {
+    const [base, channel] = key.split("@");
+    // `${id}:${endDate}:${t}`, or `${id}:${t}` before end dates were kept
+    const parts = base.split(":");
+    const [id, t] = [parts[0], parts[parts.length - 1]];
+    const via = channel ? ` via ${channel}` : "";
+    return `${nameOf(byKey.get(id) || {})} (${t}-day threshold)${via}`;
+  };
+  const result = await sendDueReminders({
+    rows,
+    settings,
+    notified,
+    now: today,
+    markSent: async (keys, at) => {
+      for (const k of keys) sentLog[k] = at;
+      await persist(sentLog);
+    },
+  });
+  for (const key of result.sent) log(`sent ${describe(key)}`);
+  for (const { keys, error } of result.failed)
+    for (const key of keys) log(`FAILED ${describe(key)}: ${error}`);
+  return result;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      data: { type: "string" },
+      log: { type: "string" },
+      endpoint: { type: "string" },
+      to: { type: "string" },
+      today: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+  if (!values.data) {
+    console.error("Usage: node scripts/remind.js --data dataset.json [options]");
+    process.exit(2);
+  }
+  const logPath = values.log || `${values.data.replace(/\.json$/, "")}.sent.json`;
+  const today = values.today ? new Date(`${values.today}T12:00:00`) : new Date();
+  if (Number.isNaN(today.getTime())) {
+    console.error(`Invalid --today: ${values.today}`);
+    process.exit(2);
+  }
+
+  const dataset = await readJSON(values.data);
+  const sentLog = await readJSON(logPath, {});
+  const result = await runReminders({
+    dataset,
+    sentLog,
+    today,
+    endpoint: values.endpoint,
+    to: values.to,
+    dryRun: values["dry-run"],
+    persist: (data) => writeJSON(logPath, data),
+  });
+  console.log(
+    `${result.sent.length} sent, ${result.failed.length} failed, ${result.skipped.length} skipped`
+  );
+  if (result.failed.length) process.exitCode = 1;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -1,97 +1,211 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import BackupPanel from "./components/BackupPanel.jsx";
+import BillReconcile from "./components/BillReconcile.jsx";
+import BulkDialog from "./components/BulkDialog.jsx";
+import ChannelSettings from "./components/ChannelSettings.jsx";
+import CurrencySettings from "./components/CurrencySettings.jsx";
+import DeliveryLog from "./components/DeliveryLog.jsx";
+import FilterBar from "./components/FilterBar.jsx";
+import ForecastPanel from "./components/ForecastPanel.jsx";
+import HistoryDrawer from "./components/HistoryDrawer.jsx";
+import ImportWizard from "./components/ImportWizard.jsx";
+import MergeDuplicates from "./components/MergeDuplicates.jsx";
+import PhoneInput from "./components/PhoneInput.jsx";
+import PricingDialog from "./components/PricingDialog.jsx";
+import RenewDialog from "./components/RenewDialog.jsx";
+import RoutingRules from "./components/RoutingRules.jsx";
+import TagInput from "./components/TagInput.jsx";
+import TagSettings from "./components/TagSettings.jsx";
+import TemplateEditor from "./components/TemplateEditor.jsx";
+import VirtualTable from "./components/VirtualTable.jsx";
+import {
+  DEFAULT_CPI_RATE,
+  DEFAULT_VAT_RATE,
+  VAT_BASES,
+  costSummary,
+} from "./lib/costs.js";
+import {
+  makeBackup,
+  parseBackup,
+  sentLogOverdue,
+  snapshotDue,
+} from "./lib/backup.js";
+import { BULK_ACTIONS, planBulk } from "./lib/bulk.js";
+import { parseCSV, toCSV } from "./lib/csv.js";
+import { daysBetween } from "./lib/dates.js";
+import {
+  canAttempt,
+  markHandled,
+  markRowHandled,
+  nextRetryAt,
+  recordAttempt,
+} from "./lib/deliveries.js";
+import { sumMoney } from "./lib/currency.js";
+import { emptyFilters, matchesFilters, viewFilters } from "./lib/filters.js";
+import {
+  GROUP_BY,
+  costCentreLabel,
+  groupRows,
+  rechargeSummary,
+} from "./lib/groups.js";
+import { dateOrder, formatsFor } from "./lib/format.js";
+import { emptyHistory, recordChange, redo, undo } from "./lib/history.js";
+import { applyImport } from "./lib/merge.js";
+import {
+  DEFAULT_THRESHOLDS,
+  DIGEST_MODES,
+  REMIND_TARGETS,
+  emailBody,
+  enrichRow,
+  forgetReminders,
+  missedReminders,
+  rowStatus,
+  STATUS_LABELS,
+} from "./lib/reminders.js";
+import {
+  ROW_COLUMNS,
+  applyTerm,
+  emptyRow,
+  findDuplicates,
+  formatTags,
+  isArchived,
+  isRolling,
+  mergeRows,
+  parseTags,
+  renewRow,
+  termEndDate,
+} from "./lib/rows.js";
+import { isBlockPaste, parseTSV, pasteGrid } from "./lib/paste.js";
+import { phoneMatches, toE164 } from "./lib/phone.js";
+import { canSendReminders, resendEntry, sendDueReminders } from "./lib/send.js";
+import {
+  chargeKind,
+  reconcileBill,
+  reconciliationRecords,
+  reconciliationSheet,
+} from "./lib/reconcile.js";
+import {
+  applyRowDiff,
+  diffRows,
+  localStore,
+  openStore,
+} from "./lib/storage.js";
+import { electLeader, openTabChannel } from "./lib/tabs.js";
+import { contractsWorkbook } from "./lib/workbook.js";
+import { readWorkbook, writeWorkbook } from "./lib/xlsx.js";
 // If you want emails without a backend, install EmailJS SDK:
 //   npm i @emailjs/browser
 // Then fill in your EmailJS credentials in Settings inside the app UI.
-// Alternatively, wire a serverless email (e.g., Vercel + Resend) — hooks included below.
+// Alternatively, wire a serverless email (e.g., Vercel + Resend) — see src/lib/send.js.
+// To send while no tab is open, run scripts/remind.js from cron (see README).
 
 // =============================
 // Helpers
 // =============================
-function daysBetween(a, b) {
-  const MS = 24 * 60 * 60 * 1000;
-  const start = new Date(a).setHours(0, 0, 0, 0);
-  const end = new Date(b).setHours(0, 0, 0, 0);
-  return Math.round((end - start) / MS);
-}
-
 function clamp(n, min, max) {
   return Math.min(max, Math.max(min, n));
 }
 
-const STORAGE_KEY = "mobile-contract-tracker:v2";
-const SETTINGS_KEY = "mobile-contract-tracker:settings";
-const NOTIFIED_KEY = "mobile-contract-tracker:notified"; // prevent duplicate emails
-
-const emptyRow = () => ({
-  id: crypto.randomUUID(),
-  phone: "",
-  label: "",
-  startDate: "",
-  endDate: "",
-  costMonthly: "",
-  notes: "",
-});
-
-const numberFmt = new Intl.NumberFormat(undefined, {
-  style: "currency",
-  currency: "GBP",
-  maximumFractionDigits: 2,
-});
+const todayISO = () => new Date().toISOString().slice(0, 10);
 
-// =============================
-// Email helpers (top-level so we can test them)
-// =============================
-const emailSubject = (row) =>
-  `Contract expiring: ${row.phone || row.label || "(unnamed)"} in ${row.daysLeft} day${
-    row.daysLeft === 1 ? "" : "s"
-  }`;
-
-const emailBody = (row) => {
-  const lines = [
-    `SIM: ${row.phone || row.label || "(unnamed)"}`,
-    row.label ? `Label: ${row.label}` : null,
-    row.endDate ? `End Date: ${row.endDate}` : null,
-    Number.isFinite(row.daysLeft) ? `Days Left: ${row.daysLeft}` : null,
-    row.cost ? `Monthly Cost: ${numberFmt.format(row.cost)}` : null,
-    row.notes ? `Notes: ${row.notes}` : null,
-  ].filter(Boolean);
-  // IMPORTANT: use \n (newline) to join; avoids unterminated string errors
-  return lines.join("\n");
+// Quiet time after the last change before reminders are checked.
+const SETTLE_MS = 10 * 1000;
+
+// Ends within 30 days (or already ended), ignoring rolling lines.
+const isExpiringSoon = (r) =>
+  Number.isFinite(r.daysLeft) && r.daysLeft <= 30 && rowStatus(r) !== "rolling";
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+const downloadJSON = (data, filename) =>
+  downloadBlob(
+    new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+    filename
+  );
+
+// Settings for a new workspace
+const DEFAULT_SETTINGS = {
+  notifyEmail: "", // default recipient(s), see lib/routing.js
+  ccEmails: "",
+  routingRules: [],
+  provider: "emailjs", // "emailjs" | "webhook"
+  digest: "immediate", // key of DIGEST_MODES
+  remindBefore: "end", // key of REMIND_TARGETS
+  vatBasis: "ex", // key of VAT_BASES — how costs are shown
+  vatRate: DEFAULT_VAT_RATE,
+  cpiRate: DEFAULT_CPI_RATE, // assumed for future April rises
+  phoneCountry: "GB", // numbers without a country code, see lib/phone.js
+  currency: "GBP", // workspace currency; lines can override it
+  locale: "", // number and date display, "" = the browser's
+  totalsMode: "group", // key of TOTALS_MODES
+  rates: {}, // { EUR: "0.86" } = value in the workspace currency
+  emailjsServiceId: "",
+  emailjsTemplateId: "",
+  emailjsPublicKey: "",
+  webhookEndpoint: "",
+  thresholds: DEFAULT_THRESHOLDS,
+  snapshotKeep: 0, // daily snapshots kept locally, 0 = off (lib/backup.js)
+  remindDatasetAt: "", // last dataset download for scripts/remind.js
+  sentLogImportedAt: "", // last sent-log import, see sentLogOverdue
+  views: [], // saved filter + sort combinations, see lib/filters.js
+  tags: [], // managed tag names, see lib/groups.js
+  costCentres: [], // [{ code, name }]
+  billProfile: "other", // key of CARRIER_PROFILES last used, lib/reconcile.js
+  billMappings: {}, // { [profile]: { field: bill column header } }
 };
 
 // =============================
 // UI atoms
 // =============================
-const StatusBadge = ({ daysLeft }) => {
+const STATUS_STYLES = {
+  none: "bg-slate-100 ring-slate-200 text-slate-600",
+  expired: "bg-red-50 ring-red-200 text-red-700",
+  urgent: "bg-orange-50 ring-orange-200 text-orange-700",
+  expiring: "bg-yellow-50 ring-yellow-200 text-yellow-700",
+  active: "bg-emerald-50 ring-emerald-200 text-emerald-700",
+  rolling: "bg-sky-50 ring-sky-200 text-sky-700",
+};
+
+const StatusBadge = ({ row }) => {
   const base =
     "inline-flex items-center gap-2 px-2 py-1 text-xs font-medium rounded-full ring-1";
-  if (Number.isNaN(daysLeft))
-    return (
-      <span className={`${base} bg-slate-100 ring-slate-200 text-slate-600`}>—</span>
-    );
-  if (daysLeft < 0)
-    return (
-      <span className={`${base} bg-red-50 ring-red-200 text-red-700`}>Expired</span>
-    );
-  if (daysLeft <= 7)
-    return (
-      <span className={`${base} bg-orange-50 ring-orange-200 text-orange-700`}>
-        Urgent
-      </span>
-    );
-  if (daysLeft <= 30)
-    return (
-      <span className={`${base} bg-yellow-50 ring-yellow-200 text-yellow-700`}>
-        Expiring
-      </span>
-    );
+  const status = rowStatus(row);
   return (
-    <span className={`${base} bg-emerald-50 ring-emerald-200 text-emerald-700`}>
-      Active
+    <span className={`${base} ${STATUS_STYLES[status]}`}>
+      {STATUS_LABELS[status]}
     </span>
   );
 };
 
+// One amount per currency (see sumMoney), plus what a conversion left out.
+const MoneyTotals = ({ sum, fmt, per = (g) => g.amount }) => (
+  <>
+    {sum.totals.map((g) => (
+      <div key={g.currency}>{fmt.money(per(g) || 0, g.currency)}</div>
+    ))}
+    {sum.missing.length > 0 && (
+      <div className="text-xs font-normal text-amber-700">
+        Excludes {sum.missing.join(", ")} (no exchange rate)
+      </div>
+    )}
+  </>
+);
+
 const Progress = ({ startDate, endDate }) => {
   if (!startDate || !endDate)
     return <div className="h-2 bg-slate-100 rounded-full" />;
@@ -108,122 +222,263 @@ const Progress = ({ startDate, endDate }) => {
   );
 };
 
-// =============================
-// Email sending utilities
-// =============================
-async function sendEmailViaEmailJS({
-  serviceId,
-  templateId,
-  publicKey,
-  toEmail,
-  subject,
-  message,
-}) {
-  // dynamic import so the app still works if SDK isn't installed yet
-  const emailjs = await import("@emailjs/browser").catch(() => null);
-  if (!emailjs)
-    throw new Error("EmailJS SDK not installed. Run: npm i @emailjs/browser");
-  return emailjs.send(
-    serviceId,
-    templateId,
-    { to_email: toEmail, subject, message },
-    { publicKey }
-  );
-}
-
-// (Optional) Hook for serverless email — drop in your endpoint URL below
-async function sendEmailViaWebhook({ endpoint, toEmail, subject, message }) {
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ to: toEmail, subject, text: message }),
-  });
-  if (!res.ok) throw new Error(`Email webhook failed: ${res.status}`);
-  return await res.json();
-}
-
 export default function ContractTracker() {
   // =============================
   // State
   // =============================
-  const [rows, setRows] = useState(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      return saved ? JSON.parse(saved) : [emptyRow()];
-    } catch {
-      return [emptyRow()];
-    }
-  });
+  // Everything below starts empty and is filled from the store (IndexedDB,
+  // see lib/storage.js) once it has loaded.
+  const [rows, setRows] = useState([]);
 
   const [search, setSearch] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
   const [sortBy, setSortBy] = useState("daysLeft");
   const [sortDir, setSortDir] = useState("asc");
+  const [filters, setFilters] = useState(emptyFilters);
+  const [viewId, setViewId] = useState(""); // saved view last picked
+  const [groupBy, setGroupBy] = useState(""); // key of GROUP_BY
+  const [collapsed, setCollapsed] = useState(() => new Set()); // group keys
+  const [selected, setSelected] = useState(() => new Set()); // row ids
+  const [bulkAction, setBulkAction] = useState(""); // key of BULK_ACTIONS
+  // line order while a cell has focus, so a line doesn't jump away when its
+  // sort key is edited (ids; null = sort normally)
+  const [pinnedOrder, setPinnedOrder] = useState(null);
+  const lastClickedRef = useRef(null); // row id, for shift-click ranges
   const fileInputRef = useRef(null);
+  const billInputRef = useRef(null);
 
-  const [settings, setSettings] = useState(() => {
-    try {
-      return (
-        JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {
-          notifyEmail: "",
-          provider: "emailjs", // "emailjs" | "webhook"
-          emailjsServiceId: "",
-          emailjsTemplateId: "",
-          emailjsPublicKey: "",
-          webhookEndpoint: "",
-          thresholds: [30, 7, 1, 0],
-        }
-      );
-    } catch {
-      return { notifyEmail: "", provider: "emailjs", thresholds: [30, 7, 1, 0] };
-    }
-  });
-
-  const [notified, setNotified] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem(NOTIFIED_KEY)) || {};
-    } catch {
-      return {};
-    }
-  });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [notified, setNotified] = useState({}); // prevent duplicate emails
+  const [deliveries, setDeliveries] = useState([]); // send attempts + retry queue
 
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [settingsTab, setSettingsTab] = useState("general"); // "general" | "deliveries" | "backup"
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, text } or { fileName, sheets }
+  const [pendingBill, setPendingBill] = useState(null); // { fileName, text } of a carrier bill
+  const [renewingId, setRenewingId] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const [mergingDuplicates, setMergingDuplicates] = useState(false);
+  const [pricingId, setPricingId] = useState(null);
+  const [history, setHistory] = useState(emptyHistory); // undo / redo
+  const [toast, setToast] = useState(null); // { message, action: "undo" | "redo" }
 
-  useEffect(() => localStorage.setItem(STORAGE_KEY, JSON.stringify(rows)), [rows]);
-  useEffect(
-    () => localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)),
-    [settings]
-  );
-  useEffect(
-    () => localStorage.setItem(NOTIFIED_KEY, JSON.stringify(notified)),
-    [notified]
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // =============================
+  // Persistence
+  // =============================
+  // Other open tabs share the store; what one saves is sent to the others
+  // (lib/tabs.js), and only the leader tab sends reminders.
+  const storeRef = useRef(null);
+  const tabsRef = useRef(null);
+  const savedRowsRef = useRef([]); // rows as last saved or received
+  // ids of lines with cell edits that haven't settled yet (see SETTLE_MS)
+  const editedRef = useRef(new Set());
+  // what arrived from other tabs: already saved there, so not saved or
+  // passed on again from here
+  const remoteRef = useRef({ rows: new WeakSet(), removed: new Set() });
+  const receivedRef = useRef({}); // kv values, by key
+  const [loaded, setLoaded] = useState(false);
+  const [loadError, setLoadError] = useState(null); // { message, copy }
+  // Showing the localStorage copy from before IndexedDB took over, after
+  // IndexedDB failed to load: nothing is saved, shared or sent from it.
+  const [readOnly, setReadOnly] = useState(false);
+  const [isLeader, setIsLeader] = useState(false);
+  const [quarantine, setQuarantine] = useState([]); // unreadable saved data
+  const [snapshots, setSnapshots] = useState([]); // newest first
+
+  useEffect(() => {
+    let cancelled = false;
+    let kind = "indexeddb"; // until openStore says otherwise
+    (readOnly ? Promise.resolve(localStore()) : openStore())
+      .then(async (store) => {
+        kind = store.kind;
+        const data = await store.load();
+        const saved = await store.listSnapshots();
+        if (cancelled) return;
+        storeRef.current = store;
+        savedRowsRef.current = data.rows;
+        // no need to save or pass on what was just loaded
+        receivedRef.current = {
+          settings: data.settings,
+          notified: data.notified,
+          deliveries: data.deliveries,
+        };
+        setRows(data.rows.length ? data.rows : [emptyRow()]);
+        if (data.settings) setSettings(data.settings);
+        if (data.notified) setNotified(data.notified);
+        if (data.deliveries) setDeliveries(data.deliveries);
+        setQuarantine(data.quarantine);
+        setSnapshots(saved);
+        setLoaded(true);
+      })
+      .catch((e) => {
+        console.warn("Could not load saved data:", e);
+        if (cancelled) return;
+        setLoadError({
+          message: e.message || String(e),
+          copy: !readOnly && kind === "indexeddb",
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [readOnly]);
+
+  useEffect(() => {
+    if (!readOnly) return electLeader(setIsLeader);
+  }, [readOnly]);
+  const openCopy = () => {
+    setIsLeader(false);
+    setLoadError(null);
+    setReadOnly(true);
+  };
+
+  // Changes saved in other tabs. Undo history is dropped when their rows
+  // change, as undoing here would put back the state before their edit.
+  useEffect(() => {
+    if (!loaded || readOnly) return;
+    const setters = {
+      settings: setSettings,
+      notified: setNotified,
+      deliveries: setDeliveries,
+    };
+    const tabs = openTabChannel((msg) => {
+      if (msg.type === "rows") {
+        msg.put.forEach((r) => remoteRef.current.rows.add(r));
+        msg.remove.forEach((id) => remoteRef.current.removed.add(id));
+        setRows((prev) => applyRowDiff(prev, msg));
+        setHistory(emptyHistory());
+      } else if (msg.type === "value" && setters[msg.key]) {
+        receivedRef.current[msg.key] = msg.value;
+        setters[msg.key](msg.value);
+      } else if (msg.type === "snapshots")
+        storeRef.current.listSnapshots().then(setSnapshots);
+    });
+    tabsRef.current = tabs;
+    return () => {
+      tabs.close();
+      tabsRef.current = null;
+    };
+  }, [loaded, readOnly]);
+
+  // Only rows changed here are written and passed on, not the whole table
+  useEffect(() => {
+    if (!loaded || readOnly) return;
+    const diff = diffRows(savedRowsRef.current, rows);
+    savedRowsRef.current = rows;
+    const remote = remoteRef.current;
+    const put = diff.put.filter((r) => !remote.rows.has(r));
+    const remove = diff.remove.filter((id) => !remote.removed.has(id));
+    if (!put.length && !remove.length) return;
+    const own = { put, remove, order: diff.order };
+    storeRef.current
+      .saveRows(rows, own)
+      .catch((e) => console.warn("Could not save rows:", e));
+    tabsRef.current?.post({ type: "rows", ...own });
+  }, [rows, loaded, readOnly]);
+
+  const shareValue = useCallback((key, value) => {
+    if (receivedRef.current[key] === value) return;
+    storeRef.current
+      .setValue(key, value)
+      .catch((e) => console.warn(`Could not save ${key}:`, e));
+    tabsRef.current?.post({ type: "value", key, value });
+  }, []);
+  useEffect(() => {
+    if (loaded && !readOnly) shareValue("settings", settings);
+  }, [settings, loaded, readOnly, shareValue]);
+  useEffect(() => {
+    if (loaded && !readOnly) shareValue("notified", notified);
+  }, [notified, loaded, readOnly, shareValue]);
+  useEffect(() => {
+    if (loaded && !readOnly) shareValue("deliveries", deliveries);
+  }, [deliveries, loaded, readOnly, shareValue]);
+
+  const workspace = useMemo(
+    () => ({ rows, settings, notified, deliveries }),
+    [rows, settings, notified, deliveries]
   );
 
+  // Rolling snapshot once a day while snapshots are on: taken by the leader
+  // tab when the workspace loads or first changes after one is due.
+  const snapshottingRef = useRef(false);
+  useEffect(() => {
+    const keep = settings.snapshotKeep;
+    if (!loaded || !isLeader || !keep || snapshottingRef.current) return;
+    if (!snapshotDue(snapshots)) return;
+    snapshottingRef.current = true;
+    storeRef.current
+      .addSnapshot(makeBackup(workspace, { includeSecrets: true }), keep)
+      .then((list) => {
+        setSnapshots(list);
+        tabsRef.current?.post({ type: "snapshots" });
+      })
+      .catch((e) => console.warn("Could not save snapshot:", e))
+      .finally(() => {
+        snapshottingRef.current = false;
+      });
+  }, [workspace, snapshots, settings.snapshotKeep, loaded, isLeader]);
+
   // =============================
   // Derived
   // =============================
+  // Archived lines (e.g. dropped by a full-sync import) are kept for history
+  // but excluded from KPIs and reminders.
   const enriched = useMemo(() => {
     const today = new Date();
-    return rows.map((r) => {
-      const daysLeft = r.endDate ? daysBetween(today, r.endDate) : NaN;
-      const cost = r.costMonthly ? Number(r.costMonthly) : 0;
-      return { ...r, daysLeft, cost };
-    });
-  }, [rows]);
+    const opts = { remindBefore: settings.remindBefore };
+    const costOpts = {
+      vatBasis: settings.vatBasis,
+      vatRate: settings.vatRate,
+      cpiRate: settings.cpiRate,
+    };
+    return rows
+      .filter((r) => !isArchived(r))
+      .map((r) => ({
+        ...enrichRow(r, today, opts),
+        ...costSummary(r, today, costOpts),
+      }));
+  }, [
+    rows,
+    settings.remindBefore,
+    settings.vatBasis,
+    settings.vatRate,
+    settings.cpiRate,
+  ]);
+
+  const archived = useMemo(() => rows.filter(isArchived), [rows]);
 
   const filtered = useMemo(() => {
     const q = search.trim().toLowerCase();
-    const base = enriched;
+    const base = showArchived
+      ? [...enriched, ...archived.map((r) => ({ ...r, daysLeft: NaN, cost: 0 }))]
+      : enriched;
+    const matching = base.filter((r) => matchesFilters(r, filters));
     const list = q
-      ? base.filter((r) =>
-          [r.phone, r.label, r.notes]
-            .some((x) => (x || "").toLowerCase().includes(q))
+      ? matching.filter(
+          (r) =>
+            [r.phone, r.label, r.notes].some((x) =>
+              (x || "").toLowerCase().includes(q)
+            ) || phoneMatches(r.phone, q, settings.phoneCountry)
         )
-      : base;
+      : matching;
+    if (pinnedOrder) {
+      // lines added meanwhile go last
+      const at = new Map(pinnedOrder.map((id, i) => [id, i]));
+      const pos = (r) => at.get(r.id) ?? Infinity;
+      return [...list].sort((a, b) => pos(a) - pos(b));
+    }
     const sorted = [...list].sort((a, b) => {
       let A = a[sortBy];
       let B = b[sortBy];
-      if (A === undefined) A = "";
-      if (B === undefined) B = "";
+      // missing, or a figure that can't be worked out (NaN)
+      if (A === undefined || Number.isNaN(A)) A = "";
+      if (B === undefined || Number.isNaN(B)) B = "";
       if (typeof A === "string") A = A.toLowerCase();
       if (typeof B === "string") B = B.toLowerCase();
       if (A < B) return sortDir === "asc" ? -1 : 1;
@@ -231,166 +486,571 @@ export default function ContractTracker() {
       return 0;
     });
     return sorted;
-  }, [enriched, search, sortBy, sortDir]);
+  }, [
+    enriched,
+    archived,
+    showArchived,
+    filters,
+    search,
+    sortBy,
+    sortDir,
+    pinnedOrder,
+    settings.phoneCountry,
+  ]);
 
-  const totals = useMemo(() => {
-    const monthly = enriched.reduce(
-      (sum, r) => sum + (Number(r.costMonthly) || 0),
-      0
+  // Active lines in the current view (filters and search): what the KPIs
+  // add up.
+  const inView = useMemo(
+    () => filtered.filter((r) => !isArchived(r)),
+    [filtered]
+  );
+  const owners = useMemo(
+    () =>
+      [...new Set(rows.map((r) => (r.ownerEmail || "").trim()))]
+        .filter(Boolean)
+        .sort(),
+    [rows]
+  );
+  // managed tags first, then any others in use
+  const tagNames = useMemo(() => {
+    const listed = settings.tags || [];
+    const known = new Set(listed.map((t) => t.toLowerCase()));
+    const others = new Map();
+    for (const t of rows.flatMap((r) => parseTags(r.tags))) {
+      const key = t.toLowerCase();
+      if (!known.has(key) && !others.has(key)) others.set(key, t);
+    }
+    return [...listed, ...[...others.values()].sort()];
+  }, [rows, settings.tags]);
+  // [[code, label]] for the cost-centre pickers; a code no longer listed
+  // stays selectable on the line that has it
+  const costCentreOptions = (current) => {
+    const listed = (settings.costCentres || []).map((c) => [
+      c.code,
+      costCentreLabel(c.code, settings),
+    ]);
+    return current && !listed.some(([code]) => code === current)
+      ? [...listed, [current, current]]
+      : listed;
+  };
+
+  // Sections for "group by", each with its subtotals
+  const groups = useMemo(() => {
+    const money = {
+      currency: settings.currency,
+      totalsMode: settings.totalsMode,
+      rates: settings.rates,
+    };
+    return groupRows(filtered, groupBy, {
+      costCentres: settings.costCentres,
+    }).map((g) => {
+      const active = g.rows.filter((r) => !isArchived(r));
+      return {
+        ...g,
+        count: active.length,
+        monthly: sumMoney(active, (r) => r.monthlyNow || 0, money),
+        expiring: active.filter(isExpiringSoon).length,
+      };
+    });
+  }, [
+    filtered,
+    groupBy,
+    settings.costCentres,
+    settings.currency,
+    settings.totalsMode,
+    settings.rates,
+  ]);
+  const toggleGroup = (key) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  // What the table draws, in order: lines, under their group headings when
+  // grouped. A line listed under two tags has a key per group.
+  const tableItems = useMemo(
+    () =>
+      groupBy
+        ? groups.flatMap((g) => [
+            { key: `group:${g.key}`, header: true, group: g },
+            ...(collapsed.has(g.key)
+              ? []
+              : g.rows.map((r) => ({ key: `${g.key}:${r.id}`, row: r }))),
+          ])
+        : filtered.map((r) => ({ key: r.id, row: r })),
+    [groupBy, groups, collapsed, filtered]
+  );
+
+  // =============================
+  // Selection and bulk actions (lib/bulk.js)
+  // =============================
+  // Lines in the order they are shown, for select-all and shift-click
+  // ranges; grouped by tag, a line listed twice counts once.
+  const shownIds = useMemo(
+    () => [...new Set(tableItems.filter((i) => i.row).map((i) => i.row.id))],
+    [tableItems]
+  );
+  // selected lines that still exist (deleted here or in another tab drop out)
+  const selection = useMemo(
+    () => new Set(rows.filter((r) => selected.has(r.id)).map((r) => r.id)),
+    [rows, selected]
+  );
+  const shownSet = new Set(shownIds);
+  const hiddenSelected = [...selection].filter((id) => !shownSet.has(id)).length;
+  const allShownSelected =
+    shownIds.length > 0 && shownIds.every((id) => selection.has(id));
+
+  // Shift-click selects (or clears) everything between this line and the
+  // one clicked before it
+  const toggleSelected = (id, shift) => {
+    const from = shownIds.indexOf(lastClickedRef.current);
+    const to = shownIds.indexOf(id);
+    const ids =
+      shift && from >= 0 && to >= 0
+        ? shownIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+        : [id];
+    const on = !selection.has(id);
+    const next = new Set(selection);
+    for (const x of ids) {
+      if (on) next.add(x);
+      else next.delete(x);
+    }
+    setSelected(next);
+    lastClickedRef.current = id;
+  };
+  const toggleAllShown = () => {
+    const next = new Set(selection);
+    for (const id of shownIds) {
+      if (allShownSelected) next.delete(id);
+      else next.add(id);
+    }
+    setSelected(next);
+  };
+  const clearSelection = () => setSelected(new Set());
+
+  // One undo step for the whole batch. Renewed lines start their reminders
+  // over, as with the Renew dialog.
+  const applyBulk = (params) => {
+    const action = bulkAction;
+    const now = new Date();
+    const { changes } = planBulk(rows, selection, action, params, now);
+    changeRows(
+      `${BULK_ACTIONS[action].label}: ${changes.length} line${
+        changes.length === 1 ? "" : "s"
+      }`,
+      (prev) => planBulk(prev, selection, action, params, now).rows,
+      { announce: true }
     );
-    return { monthly };
-  }, [enriched]);
+    if (action === "renew")
+      for (const { before } of changes) {
+        setNotified((prev) => forgetReminders(prev, before.id));
+        setDeliveries((log) => markRowHandled(log, before.id));
+      }
+    if (action === "delete") clearSelection();
+    setBulkAction("");
+  };
+
+  // Active lines sharing a phone number, however it was typed
+  const duplicates = useMemo(
+    () => findDuplicates(rows, settings.phoneCountry),
+    [rows, settings.phoneCountry]
+  );
+  const duplicateIds = useMemo(
+    () => new Set(duplicates.flat().map((r) => r.id)),
+    [duplicates]
+  );
+
+  const fmt = useMemo(
+    () =>
+      formatsFor({
+        locale: settings.locale,
+        currency: settings.currency,
+        phoneCountry: settings.phoneCountry,
+      }),
+    [settings.locale, settings.currency, settings.phoneCountry]
+  );
+
+  // Unknown contract values (no start date / term) count as 0.
+  const totals = useMemo(() => {
+    const money = {
+      currency: settings.currency,
+      totalsMode: settings.totalsMode,
+      rates: settings.rates,
+    };
+    const sum = (key) =>
+      sumMoney(
+        inView,
+        (r) => (Number.isFinite(r[key]) ? r[key] : 0),
+        money
+      );
+    return {
+      monthly: sum("monthlyNow"),
+      effective: sum("effectiveMonthly"),
+      committed: sum("remainingSpend"),
+      contractValue: sum("contractValue"),
+    };
+  }, [inView, settings.currency, settings.totalsMode, settings.rates]);
+  const vatLabel = settings.vatBasis === "inc" ? "inc. VAT" : "ex. VAT";
 
   // =============================
   // Notifications & Email Reminders
   // =============================
-  useEffect(() => {
-    const thresholds = settings.thresholds || [30, 7, 1, 0];
+  // Sends for thresholds crossed while the app was closed happen on the next
+  // check (catch-up, see CATCH_UP_DAYS); until one succeeds the line is
+  // listed as missed. Lines being edited only get reminders that are due
+  // today until their edits settle, so a half-typed end date can't trigger a
+  // catch-up.
+  const missed = useMemo(
+    () => missedReminders(enriched, settings, notified),
+    [enriched, settings, notified]
+  );
+  const [missedOpen, setMissedOpen] = useState(false);
+  const failedDeliveries = deliveries.filter(
+    (e) => e.status === "failed"
+  ).length;
 
-    const shouldSendFor = (row, t) =>
-      Number.isFinite(row.daysLeft) && row.daysLeft === t;
+  // keys with a send in flight — the effect re-runs on every edit, and
+  // `notified` only updates once a send has succeeded
+  const sendingRef = useRef(new Set());
 
-    const keyFor = (row, t) => `${row.id}:${t}`;
+  const markNotified = (keys, at = new Date().toISOString()) =>
+    setNotified((prev) => ({
+      ...prev,
+      ...Object.fromEntries(keys.map((k) => [k, at])),
+    }));
 
-    const sendEmail = async (row) => {
-      const subject = emailSubject(row);
-      const message = emailBody(row);
-      const toEmail = settings.notifyEmail?.trim();
-      if (!toEmail) return;
+  // One check against the latest state; replaced every render so the timers
+  // below never send from stale rows or settings.
+  const checkRef = useRef(null);
+  checkRef.current = async () => {
+    const { failed } = await sendDueReminders({
+      rows: enriched,
+      settings,
+      notified,
+      inFlight: sendingRef.current,
+      markSent: markNotified,
+      canAttempt: (slot) => canAttempt(deliveries, slot),
+      onAttempt: (attempt) =>
+        setDeliveries((log) => recordAttempt(log, attempt)),
+      onTimeOnly: editedRef.current,
+    });
+    for (const f of failed) console.warn("Email send failed:", f.error);
+  };
 
-      if (settings.provider === "webhook" && settings.webhookEndpoint) {
-        await sendEmailViaWebhook({
-          endpoint: settings.webhookEndpoint,
-          toEmail,
-          subject,
-          message,
-        });
-        return;
-      }
-      if (settings.provider === "emailjs") {
-        const { emailjsServiceId, emailjsTemplateId, emailjsPublicKey } =
-          settings;
-        if (!emailjsServiceId || !emailjsTemplateId || !emailjsPublicKey)
-          return;
-        await sendEmailViaEmailJS({
-          serviceId: emailjsServiceId,
-          templateId: emailjsTemplateId,
-          publicKey: emailjsPublicKey,
-          toEmail,
-          subject,
-          message,
-        });
-        return;
-      }
+  // Only the leader tab checks, so each reminder goes out once however many
+  // tabs are open. Checks run hourly…
+  useEffect(() => {
+    if (!loaded || !isLeader) return;
+    const id = setInterval(() => checkRef.current(), 60 * 60 * 1000);
+    return () => clearInterval(id);
+  }, [loaded, isLeader]);
+
+  // …once changes have settled for SETTLE_MS (never straight from an edit),
+  // and when the earliest queued retry comes due.
+  useEffect(() => {
+    if (!loaded || !isLeader) return;
+    const settle = setTimeout(() => {
+      editedRef.current.clear();
+      checkRef.current();
+    }, SETTLE_MS);
+    const retryAt = nextRetryAt(deliveries);
+    const retry =
+      retryAt !== undefined &&
+      setTimeout(
+        () => checkRef.current(),
+        Math.max(0, retryAt - Date.now()) + 1000
+      );
+    return () => {
+      clearTimeout(settle);
+      if (retry) clearTimeout(retry);
     };
+  }, [enriched, settings, notified, deliveries, loaded, isLeader]);
 
-    const checkExpiries = async () => {
-      for (const row of filtered) {
-        for (const t of thresholds) {
-          if (shouldSendFor(row, t)) {
-            const k = keyFor(row, t);
-            if (!notified[k]) {
-              try {
-                await sendEmail(row);
-                setNotified((prev) => ({
-                  ...prev,
-                  [k]: new Date().toISOString(),
-                }));
-              } catch (e) {
-                console.warn("Email send failed:", e);
-              }
-            }
-          }
-        }
-      }
+  // Manual resend from the delivery log: same content and recipients, current
+  // provider settings. A successful resend also marks the reminder(s) as
+  // notified.
+  const resendDelivery = async (entry) => {
+    const attempt = {
+      slot: entry.slot,
+      kind: entry.kind,
+      channel: entry.channel,
+      keys: entry.keys,
+      provider: entry.channel || settings.provider,
+      recipient: entry.recipient || settings.notifyEmail?.trim() || "",
+      email: entry,
     };
+    try {
+      if (!(await resendEntry(settings, entry))) {
+        alert("Not sent: set a recipient and complete the provider settings.");
+        return;
+      }
+      setDeliveries((log) => recordAttempt(log, { ...attempt, ok: true }));
+      markNotified(entry.keys);
+    } catch (e) {
+      setDeliveries((log) =>
+        recordAttempt(log, { ...attempt, ok: false, error: e.message })
+      );
+    }
+  };
 
-    const id = setInterval(checkExpiries, 60 * 60 * 1000); // hourly
-    checkExpiries();
-    return () => clearInterval(id);
-  }, [filtered, settings, notified]);
+  // Stop retrying: the reminder is treated as delivered.
+  const markDeliveryHandled = (entry) => {
+    setDeliveries((log) => markHandled(log, entry.id));
+    markNotified(entry.keys);
+  };
 
   // =============================
   // Actions
   // =============================
-  const addRow = () => setRows((r) => [...r, emptyRow()]);
+  // Every change to the rows goes through changeRows so it can be undone
+  // (see lib/history.js). `group` merges quick repeated edits of one cell;
+  // `announce` shows the Undo toast, for destructive changes. `label` can
+  // be a function, called after `fn`, to describe what it did.
+  const changeRows = (label, fn, { group, announce } = {}) => {
+    const next = fn(rows);
+    if (next === rows) return;
+    const text = typeof label === "function" ? label() : label;
+    setHistory((h) => recordChange(h, rows, text, group));
+    setRows(next);
+    if (announce) setToast({ message: text, action: "undo" });
+  };
+  const undoLast = () => {
+    const step = undo(history, rows);
+    if (!step) return;
+    setRows(step.rows);
+    setHistory(step.history);
+    setToast({ message: `Undone: ${step.label}`, action: "redo" });
+  };
+  const redoLast = () => {
+    const step = redo(history, rows);
+    if (!step) return;
+    setRows(step.rows);
+    setHistory(step.history);
+    setToast({ message: `Redone: ${step.label}`, action: "undo" });
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), ⌘ on macOS. Text fields outside the
+  // table keep the browser's own undo.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      const field = e.target.closest?.("input, textarea, select");
+      if (field && !field.closest("table")) return;
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) redoLast();
+      else undoLast();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const addRow = () => changeRows("Add row", (r) => [...r, emptyRow()]);
   const addBulk = (n = 10) =>
-    setRows((r) => [...r, ...Array.from({ length: n }, emptyRow)]);
-  const deleteRow = (id) => setRows((r) => r.filter((x) => x.id !== id));
+    changeRows(`Add ${n} rows`, (r) => [
+      ...r,
+      ...Array.from({ length: n }, emptyRow),
+    ]);
+  const deleteRow = (id) =>
+    changeRows("Delete line", (r) => r.filter((x) => x.id !== id), {
+      announce: true,
+    });
+  // Fold duplicates of one number into the row the user picked
+  const mergeDuplicates = (keepId, otherIds) =>
+    changeRows(
+      "Merge duplicates",
+      (prev) => {
+        const keep = prev.find((r) => r.id === keepId);
+        const others = prev.filter((r) => otherIds.includes(r.id));
+        const merged = mergeRows(keep, others);
+        merged.phone =
+          toE164(merged.phone, settings.phoneCountry) || merged.phone;
+        return prev
+          .filter((r) => !otherIds.includes(r.id))
+          .map((r) => (r.id === keepId ? merged : r));
+      },
+      { announce: true }
+    );
   const clearAll = () => {
-    if (confirm("Clear all rows? This cannot be undone.")) setRows([emptyRow()]);
+    if (confirm("Clear all rows? You can undo this until you reload the page."))
+      changeRows("Clear all", () => [emptyRow()], { announce: true });
+  };
+  // applyTerm keeps a derived end date in step with start date / term edits
+  const updateCell = (id, key, value) => {
+    editedRef.current.add(id);
+    changeRows(
+      "Edit cell",
+      (prev) =>
+        prev.map((r) => (r.id === id ? applyTerm({ ...r, [key]: value }) : r)),
+      { group: `cell:${id}:${key}` }
+    );
   };
-  const updateCell = (id, key, value) =>
-    setRows((prev) => prev.map((r) => (r.id === id ? { ...r, [key]: value } : r)));
 
-  const exportCSV = () => {
-    const cols = [
-      "phone",
-      "label",
-      "startDate",
-      "endDate",
-      "costMonthly",
-      "notes",
-    ];
-    const lines = [cols.join(",")].concat(
-      rows.map((r) =>
-        cols
-          .map((c) => (r[c] ?? "").toString().replaceAll('"', '""'))
-          .join(",")
-      )
+  // Recharge summary for finance: cost per cost centre (lib/groups.js)
+  const exportRecharge = () => {
+    const csv = toCSV(rechargeSummary(enriched, settings));
+    downloadBlob(
+      new Blob([csv], { type: "text/csv;charset=utf-8;" }),
+      `mobile-contracts-recharge-${todayISO()}.csv`
+    );
+  };
+
+  // Tags and cost centres renamed or removed (to = "") in Settings
+  const renameTag = (from, to) =>
+    changeRows(to ? "Rename tag" : "Remove tag", (prev) =>
+      prev.map((r) => {
+        const tags = parseTags(r.tags);
+        const i = tags.findIndex((t) => t.toLowerCase() === from.toLowerCase());
+        if (i < 0) return r;
+        tags.splice(i, 1, ...(to ? [to] : []));
+        return { ...r, tags: formatTags(tags) };
+      })
+    );
+  const renameCostCentre = (from, to) =>
+    changeRows(to ? "Change cost centre code" : "Clear cost centre", (prev) =>
+      prev.map((r) => (r.costCentre === from ? { ...r, costCentre: to } : r))
     );
-    // IMPORTANT: always join rows with \n
-    const blob = new Blob([lines.join("\n")], {
+
+  const exportCSV = () => {
+    const csv = toCSV([
+      ROW_COLUMNS,
+      ...rows.map((r) => ROW_COLUMNS.map((c) => r[c])),
+    ]);
+    const blob = new Blob([csv], {
       type: "text/csv;charset=utf-8;",
     });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `mobile-contracts-${new Date()
-      .toISOString()
-      .slice(0, 10)}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, `mobile-contracts-${todayISO()}.csv`);
   };
 
-  const importCSV = (file) => {
+  // Contracts, summary and recharge sheets with real dates and amounts
+  // (lib/workbook.js), built in the browser
+  const exportXLSX = () =>
+    writeWorkbook(contractsWorkbook(rows, settings))
+      .then((bytes) =>
+        downloadBlob(
+          new Blob([bytes], {
+            type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+          }),
+          `mobile-contracts-${todayISO()}.xlsx`
+        )
+      )
+      .catch((e) => console.warn("Excel export failed:", e));
+
+  // Dataset for scripts/remind.js — same shape it reads. From then on the
+  // app warns while the script's sent-log hasn't been imported lately.
+  const exportDataset = () => {
+    downloadJSON(
+      { rows, settings, notified },
+      `mobile-contracts-dataset-${todayISO()}.json`
+    );
+    setSettings((s) => ({ ...s, remindDatasetAt: new Date().toISOString() }));
+  };
+
+  // Reading is the only step here; mapping, validation and the commit
+  // happen in <ImportWizard />, which calls commitImport with clean values.
+  // Excel files are read into worksheets (lib/xlsx.js) in the browser.
+  const importFile = (file) => {
+    if (/\.xlsx$/i.test(file.name)) {
+      file
+        .arrayBuffer()
+        .then(readWorkbook)
+        .then((sheets) => setPendingImport({ fileName: file.name, sheets }))
+        .catch((e) => alert(`Couldn't read ${file.name}: ${e.message}`));
+      return;
+    }
     const reader = new FileReader();
-    reader.onload = (e) => {
-      const text = String(e.target?.result || "");
-      // IMPORTANT: split on CRLF or LF
-      const lines = text.split(/\r?\n/).filter(Boolean);
-      if (!lines.length) return;
-      const header = lines[0].split(",").map((h) => h.trim());
-      const idx = {
-        phone: header.indexOf("phone"),
-        label: header.indexOf("label"),
-        startDate: header.indexOf("startDate"),
-        endDate: header.indexOf("endDate"),
-        costMonthly: header.indexOf("costMonthly"),
-        notes: header.indexOf("notes"),
-      };
-      const parsed = lines.slice(1).map((line) => {
-        const parts = line.split(",");
-        return {
-          id: crypto.randomUUID(),
-          phone: parts[idx.phone] || "",
-          label: parts[idx.label] || "",
-          startDate: parts[idx.startDate] || "",
-          endDate: parts[idx.endDate] || "",
-          costMonthly: parts[idx.costMonthly] || "",
-          notes: parts[idx.notes] || "",
-        };
+    reader.onload = (e) =>
+      setPendingImport({
+        fileName: file.name,
+        text: String(e.target?.result || ""),
+      });
+    reader.readAsText(file);
+  };
+
+  // Carrier bill checked against contracted costs in <BillReconcile />
+  const checkBill = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) =>
+      setPendingBill({
+        fileName: file.name,
+        text: String(e.target?.result || ""),
       });
-      setRows((r) => [...r, ...parsed]);
-    };
     reader.readAsText(file);
   };
+  const exportReconciliation = (report, format) => {
+    const name = `mobile-bill-check-${todayISO()}`;
+    if (format === "csv") {
+      downloadBlob(
+        new Blob([toCSV(reconciliationRecords(report))], {
+          type: "text/csv;charset=utf-8;",
+        }),
+        `${name}.csv`
+      );
+      return;
+    }
+    writeWorkbook([reconciliationSheet(report, fmt.currency)])
+      .then((bytes) =>
+        downloadBlob(
+          new Blob([bytes], {
+            type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+          }),
+          `${name}.xlsx`
+        )
+      )
+      .catch((e) => console.warn("Excel export failed:", e));
+  };
+
+  // Saved data that couldn't be read (see lib/storage.js): download it to
+  // recover by hand, or discard it.
+  const downloadQuarantine = () =>
+    downloadJSON(quarantine, `mobile-contracts-unreadable-${todayISO()}.json`);
+  const discardQuarantine = () => {
+    if (!confirm("Discard the unreadable data for good?")) return;
+    storeRef.current
+      .clearQuarantine()
+      .then(() => setQuarantine([]))
+      .catch((e) => console.warn("Could not clear quarantine:", e));
+  };
+
+  const commitImport = ({ diff, mode }) =>
+    changeRows("Import", (r) => applyImport(r, diff, mode), {
+      announce: true,
+    });
+
+  // Restored rows can be undone like any other change; settings, reminder
+  // history and the delivery log are taken as they are.
+  const restoreWorkspace = (next, mode) => {
+    changeRows(
+      mode === "replace" ? "Restore backup" : "Merge backup",
+      () => (next.rows.length ? next.rows : [emptyRow()]),
+      { announce: true }
+    );
+    setSettings({ ...DEFAULT_SETTINGS, ...next.settings });
+    setNotified(next.notified);
+    setDeliveries(next.deliveries);
+  };
+
+  const restoreRow = (id) =>
+    changeRows("Restore line", (prev) =>
+      prev.map((r) => (r.id === id ? { ...r, archivedAt: "" } : r))
+    );
+
+  // New term for a line: the old one goes to its history, and reminders (and
+  // any retries still queued for the old term) start over.
+  const renewLine = (id, next) => {
+    changeRows("Renew line", (prev) =>
+      prev.map((r) => (r.id === id ? renewRow(r, next) : r))
+    );
+    setNotified((prev) => forgetReminders(prev, id));
+    setDeliveries((log) => markRowHandled(log, id));
+  };
 
   const expiringSummary = () => {
     const soon = enriched
-      .filter((r) => Number.isFinite(r.daysLeft) && r.daysLeft <= 30)
+      .filter(isExpiringSoon)
       .sort((a, b) => a.daysLeft - b.daysLeft)
       .map(
         (r) =>
@@ -413,18 +1073,88 @@ export default function ContractTracker() {
   // =============================
   // UI
   // =============================
+  // `field` is the row field a column edits, where it has one: pasted
+  // blocks fill these columns (lib/paste.js)
   const headers = [
-    { key: "phone", label: "Phone Number" },
-    { key: "label", label: "Label" },
-    { key: "startDate", label: "Start Date" },
-    { key: "endDate", label: "End Date" },
-    { key: "costMonthly", label: "£ / month" },
+    { key: "phone", label: "Phone Number", field: "phone" },
+    { key: "label", label: "Label", field: "label" },
+    { key: "startDate", label: "Start Date", field: "startDate" },
+    { key: "endDate", label: "End Date", field: "endDate" },
+    { key: "termMonths", label: "Term (months)", field: "termMonths" },
+    { key: "noticeBy", label: "Give Notice By", field: "noticeDays" },
+    { key: "costMonthly", label: "Cost / month", field: "costMonthly" },
+    { key: "monthlyNow", label: "Cost Now" },
+    { key: "effectiveMonthly", label: "Effective / month" },
+    { key: "remainingSpend", label: "Remaining" },
+    { key: "contractValue", label: "Contract Value" },
     { key: "daysLeft", label: "Days Left" },
-    { key: "status", label: "Status" },
+    { key: "status", label: "Status", field: "rolling" },
     { key: "progress", label: "Progress" },
-    { key: "notes", label: "Notes" },
+    { key: "notes", label: "Notes", field: "notes" },
+    { key: "ownerEmail", label: "Owner Email", field: "ownerEmail" },
+    { key: "tags", label: "Tags", field: "tags" },
+    { key: "costCentre", label: "Cost Centre", field: "costCentre" },
   ];
 
+  // Saved views (settings.views): filters, search, sort and "show archived"
+  const views = settings.views || [];
+  const activeView = views.find((v) => v.id === viewId);
+  const currentView = {
+    filters,
+    search,
+    sortBy,
+    sortDir,
+    showArchived,
+    groupBy,
+  };
+  const viewModified =
+    activeView &&
+    JSON.stringify(currentView) !==
+      JSON.stringify({
+        filters: viewFilters(activeView),
+        search: activeView.search || "",
+        sortBy: activeView.sortBy,
+        sortDir: activeView.sortDir,
+        showArchived: Boolean(activeView.showArchived),
+        groupBy: activeView.groupBy || "",
+      });
+  const selectView = (id) => {
+    const view = views.find((v) => v.id === id);
+    setViewId(view ? id : "");
+    setFilters(view ? viewFilters(view) : emptyFilters());
+    setSearch(view?.search || "");
+    setShowArchived(Boolean(view?.showArchived));
+    setGroupBy(view?.groupBy || "");
+    if (view) {
+      setSortBy(view.sortBy);
+      setSortDir(view.sortDir);
+    }
+  };
+  const saveView = () => {
+    const name = prompt(
+      "Name this view, e.g. Renewals this quarter"
+    )?.trim();
+    if (!name) return;
+    const view = { id: crypto.randomUUID(), name, ...currentView };
+    setSettings((s) => ({ ...s, views: [...(s.views || []), view] }));
+    setViewId(view.id);
+  };
+  const updateView = () =>
+    setSettings((s) => ({
+      ...s,
+      views: (s.views || []).map((v) =>
+        v.id === viewId ? { ...v, ...currentView } : v
+      ),
+    }));
+  const deleteView = () => {
+    if (!confirm(`Delete the view "${activeView.name}"?`)) return;
+    setSettings((s) => ({
+      ...s,
+      views: (s.views || []).filter((v) => v.id !== viewId),
+    }));
+    setViewId("");
+  };
+
   const setSort = (key) => {
     if (sortBy === key) setSortDir((d) => (d === "asc" ? "desc" : "asc"));
     else {
@@ -433,6 +1163,329 @@ export default function ContractTracker() {
     }
   };
 
+  // A block copied from a spreadsheet fills the table from the cell it's
+  // pasted into (lib/paste.js); a single value pastes into its box as usual.
+  const pasteBlock = (e, index, cellIndex) => {
+    const text = e.clipboardData.getData("text/plain");
+    // cell 0 is the selection checkbox
+    const fields = headers
+      .slice(Math.max(0, cellIndex - 1))
+      .filter((h) => h.field)
+      .map((h) => h.field);
+    if (!isBlockPaste(text) || !fields.length) return;
+    e.preventDefault();
+    const grid = parseTSV(text);
+    const options = {
+      ids: [
+        ...new Set(
+          tableItems
+            .slice(index)
+            .filter((i) => i.row)
+            .map((i) => i.row.id)
+        ),
+      ],
+      fields,
+      dateOrder: dateOrder(settings.locale) === "mdy" ? "mdy" : "dmy",
+      phoneCountry: settings.phoneCountry,
+    };
+    const count = (n, what) => `${n} ${what}${n === 1 ? "" : "s"}`;
+    let pasted;
+    changeRows(
+      () =>
+        [
+          `Paste: ${count(pasted.updated, "line")} changed`,
+          pasted.added && `${pasted.added} added`,
+          pasted.rejected.length &&
+            `${count(pasted.rejected.length, "cell")} not understood`,
+        ]
+          .filter(Boolean)
+          .join(", "),
+      (prev) => {
+        pasted = pasteGrid(prev, grid, options);
+        return pasted.rows;
+      },
+      { announce: true }
+    );
+  };
+
+  // Heading row of a group, with its subtotals
+  const renderGroupHeader = (g) => (
+    <tr className="border-t bg-slate-100/70">
+      <td colSpan={headers.length + 2} className="px-3 py-2">
+        <button
+          onClick={() => toggleGroup(g.key)}
+          aria-expanded={!collapsed.has(g.key)}
+          className="flex flex-wrap items-center gap-x-4 gap-y-1 text-left"
+        >
+          <span className="font-semibold">
+            {collapsed.has(g.key) ? "▶" : "▼"} {g.label}
+          </span>
+          <span className="text-slate-500">
+            {g.count} line{g.count === 1 ? "" : "s"}
+          </span>
+          <span className="text-slate-500">
+            {g.monthly.totals
+              .map((t) => fmt.money(t.amount, t.currency))
+              .join(" + ")}{" "}
+            / month
+          </span>
+          {g.expiring > 0 && (
+            <span className="text-orange-700">
+              {g.expiring} expiring ≤ 30 days
+            </span>
+          )}
+        </button>
+      </td>
+    </tr>
+  );
+
+  // One table row; the same for grouped and ungrouped tables
+  const renderRow = (r) => (
+    <tr
+      key={r.id}
+      className={`border-t align-top hover:bg-slate-50/50 ${
+        isArchived(r) ? "opacity-60" : ""
+      } ${duplicateIds.has(r.id) ? "bg-amber-50/60" : ""} ${
+        selection.has(r.id) ? "bg-indigo-50/60" : ""
+      }`}
+    >
+      <td className="pl-3 py-2">
+        <input
+          type="checkbox"
+          checked={selection.has(r.id)}
+          onChange={(e) => toggleSelected(r.id, e.nativeEvent.shiftKey)}
+          aria-label={`Select ${r.phone || r.label || "line"}`}
+          className="mt-2"
+        />
+      </td>
+      <td className="px-3 py-2">
+        <PhoneInput
+          className="w-44 md:w-52 px-2 py-1 rounded-lg ring-1 bg-white"
+          value={r.phone}
+          country={settings.phoneCountry}
+          onChange={(v) => updateCell(r.id, "phone", v)}
+        />
+        {duplicateIds.has(r.id) && (
+          <button
+            onClick={() => setMergingDuplicates(true)}
+            className="mt-1 block text-[10px] text-amber-700 hover:underline"
+          >
+            Duplicate number — merge…
+          </button>
+        )}
+      </td>
+      <td className="px-3 py-2">
+        <input
+          className="w-40 md:w-48 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          value={r.label}
+          placeholder="e.g., John Work iPhone"
+          onChange={(e) => updateCell(r.id, "label", e.target.value)}
+        />
+      </td>
+      <td className="px-3 py-2">
+        <input
+          type="date"
+          className="px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          value={r.startDate}
+          onChange={(e) => updateCell(r.id, "startDate", e.target.value)}
+        />
+      </td>
+      <td className="px-3 py-2">
+        <input
+          type="date"
+          className="px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white read-only:bg-slate-50 read-only:text-slate-500"
+          value={r.endDate}
+          readOnly={Boolean(termEndDate(r.startDate, r.termMonths))}
+          title={
+            termEndDate(r.startDate, r.termMonths)
+              ? "Worked out from the start date and term"
+              : undefined
+          }
+          onChange={(e) => updateCell(r.id, "endDate", e.target.value)}
+        />
+      </td>
+      <td className="px-3 py-2">
+        <input
+          type="number"
+          min="0"
+          className="w-20 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          placeholder="24"
+          value={r.termMonths || ""}
+          onChange={(e) => updateCell(r.id, "termMonths", e.target.value)}
+        />
+      </td>
+      <td className="px-3 py-2 whitespace-nowrap">
+        <input
+          type="number"
+          min="0"
+          className="w-16 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          placeholder="30"
+          title="Notice period (days)"
+          value={r.noticeDays || ""}
+          onChange={(e) => updateCell(r.id, "noticeDays", e.target.value)}
+        />
+        <span className="ml-2 text-xs text-slate-500">
+          {r.noticeBy ? fmt.date(r.noticeBy) : "days"}
+        </span>
+      </td>
+      <td className="px-3 py-2">
+        <input
+          type="number"
+          inputMode="decimal"
+          className="w-28 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          placeholder="0.00"
+          value={r.costMonthly}
+          onChange={(e) => updateCell(r.id, "costMonthly", e.target.value)}
+        />
+        {r.currency && r.currency !== fmt.currency && (
+          <span className="ml-1 text-xs text-slate-500">{r.currency}</span>
+        )}
+        <button
+          onClick={() => setPricingId(r.id)}
+          className="ml-1 text-xs text-indigo-700 hover:underline"
+        >
+          More…
+        </button>
+      </td>
+      {["monthlyNow", "effectiveMonthly", "remainingSpend", "contractValue"].map(
+        (k) => (
+          <td key={k} className="px-3 py-2 whitespace-nowrap align-middle text-right">
+            {Number.isFinite(r[k]) ? fmt.money(r[k], r.currency) : "—"}
+          </td>
+        )
+      )}
+      <td className="px-3 py-2 whitespace-nowrap align-middle">
+        {Number.isFinite(r.daysLeft) ? r.daysLeft : "—"}
+      </td>
+      <td className="px-3 py-2 whitespace-nowrap align-middle">
+        {isArchived(r) ? (
+          <span className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-full ring-1 bg-slate-100 ring-slate-200 text-slate-600">
+            Archived
+          </span>
+        ) : (
+          <StatusBadge row={r} />
+        )}
+        <label
+          className="mt-1 flex items-center gap-1 text-xs text-slate-500"
+          title="Out of contract, running month to month"
+        >
+          <input
+            type="checkbox"
+            checked={isRolling(r)}
+            onChange={(e) =>
+              updateCell(r.id, "rolling", e.target.checked ? "yes" : "")
+            }
+          />
+          Rolling
+        </label>
+      </td>
+      <td className="px-3 py-2 whitespace-nowrap align-middle">
+        <Progress startDate={r.startDate} endDate={r.endDate} />
+      </td>
+      <td className="px-3 py-2">
+        <input
+          className="w-64 md:w-80 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          placeholder="Notes (network, data, etc.)"
+          value={r.notes}
+          onChange={(e) => updateCell(r.id, "notes", e.target.value)}
+        />
+      </td>
+      <td className="px-3 py-2">
+        <input
+          type="email"
+          className="w-56 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          placeholder="Reminders go to… (optional)"
+          value={r.ownerEmail || ""}
+          onChange={(e) => updateCell(r.id, "ownerEmail", e.target.value)}
+        />
+      </td>
+      <td className="px-3 py-2">
+        <TagInput
+          value={r.tags}
+          suggestions={tagNames}
+          onChange={(v) => updateCell(r.id, "tags", v)}
+        />
+      </td>
+      <td className="px-3 py-2">
+        <select
+          className="w-40 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+          value={r.costCentre || ""}
+          onChange={(e) => updateCell(r.id, "costCentre", e.target.value)}
+        >
+          <option value="">—</option>
+          {costCentreOptions(r.costCentre).map(([code, label]) => (
+            <option key={code} value={code}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </td>
+      <td className="px-3 py-2 text-right whitespace-nowrap">
+        {isArchived(r) ? (
+          <button
+            onClick={() => restoreRow(r.id)}
+            className="mr-2 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white hover:bg-slate-50"
+          >
+            Restore
+          </button>
+        ) : (
+          <button
+            onClick={() => setRenewingId(r.id)}
+            className="mr-2 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white hover:bg-slate-50"
+          >
+            Renew
+          </button>
+        )}
+        <button
+          onClick={() => setHistoryId(r.id)}
+          className="mr-2 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white hover:bg-slate-50"
+        >
+          History
+          {r.history?.length ? ` (${r.history.length})` : ""}
+        </button>
+        <button
+          onClick={() => deleteRow(r.id)}
+          className="px-2 py-1 rounded-lg ring-1 ring-red-200 bg-white hover:bg-red-50 text-red-700"
+        >
+          Delete
+        </button>
+      </td>
+    </tr>
+  );
+
+  if (!loaded)
+    return (
+      <div className="min-h-screen grid place-items-center text-slate-500 p-4">
+        {loadError ? (
+          <section
+            role="alert"
+            className="max-w-lg rounded-2xl ring-1 ring-red-200 bg-red-50 text-red-800 p-3 text-sm space-y-2"
+          >
+            <p>
+              ⚠️ Saved data couldn&apos;t be loaded ({loadError.message}).
+              Nothing has been changed; reload the page to try again, or try
+              another browser.
+            </p>
+            {loadError.copy && (
+              <p>
+                An older copy, from when this browser moved to its current
+                storage, may still be here. It can be opened to read or
+                download as a backup; nothing is saved or sent from it.{" "}
+                <button
+                  onClick={openCopy}
+                  className="font-medium underline hover:no-underline"
+                >
+                  Open the older copy read-only
+                </button>
+              </p>
+            )}
+          </section>
+        ) : (
+          "Loading…"
+        )}
+      </div>
+    );
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-indigo-50 via-white to-slate-50 text-slate-900">
       {/* Header */}
@@ -450,9 +1503,38 @@ export default function ContractTracker() {
                 Track start & end dates, costs, and get email alerts before
                 expiry.
               </p>
+              {!isLeader && !readOnly && (
+                <p className="text-xs text-slate-400">
+                  Reminders are being sent from another open tab.
+                </p>
+              )}
             </div>
           </div>
           <div className="flex flex-wrap gap-2 items-center">
+            <button
+              onClick={undoLast}
+              disabled={!history.past.length}
+              title={
+                history.past.length
+                  ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)`
+                  : "Nothing to undo"
+              }
+              className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm disabled:opacity-50"
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={redoLast}
+              disabled={!history.future.length}
+              title={
+                history.future.length
+                  ? `Redo ${history.future[0].label} (Ctrl+Shift+Z)`
+                  : "Nothing to redo"
+              }
+              className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm disabled:opacity-50"
+            >
+              ↷ Redo
+            </button>
             <button
               onClick={() => setSettingsOpen(true)}
               className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm"
@@ -471,20 +1553,54 @@ export default function ContractTracker() {
             >
               ⬇️ Export CSV
             </button>
+            <button
+              onClick={exportXLSX}
+              title="Contracts with real dates and amounts, plus summary and recharge sheets"
+              className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm"
+            >
+              ⬇️ Export Excel
+            </button>
+            <button
+              onClick={exportRecharge}
+              title="Monthly cost and remaining commitment per cost centre"
+              className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm"
+            >
+              ⬇️ Recharge summary
+            </button>
             <button
               onClick={() => fileInputRef.current?.click()}
               className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm"
             >
-              ⬆️ Import CSV
+              ⬆️ Import CSV / Excel
             </button>
             <input
               ref={fileInputRef}
               type="file"
-              accept=".csv"
+              accept=".csv,.xlsx"
               className="hidden"
-              onChange={(e) =>
-                e.target.files && e.target.files[0] && importCSV(e.target.files[0])
-              }
+              onChange={(e) => {
+                if (e.target.files && e.target.files[0])
+                  importFile(e.target.files[0]);
+                e.target.value = ""; // allow re-importing the same file
+              }}
+            />
+            <button
+              onClick={() => billInputRef.current?.click()}
+              title="Compare an itemised carrier bill (CSV) with contracted costs"
+              className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm"
+            >
+              🧾 Check bill
+            </button>
+            <input
+              ref={billInputRef}
+              type="file"
+              accept=".csv,.txt"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files && e.target.files[0])
+                  checkBill(e.target.files[0]);
+                e.target.value = "";
+              }}
             />
             <button
               onClick={() => addBulk(10)}
@@ -510,37 +1626,186 @@ export default function ContractTracker() {
 
       {/* KPIs */}
       <main className="max-w-7xl mx-auto p-4">
-        <section className="mb-4 grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <section className="mb-4 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
           <div className="bg-white rounded-2xl shadow p-4">
-            <div className="text-sm text-slate-500">Total monthly cost</div>
+            <div className="text-sm text-slate-500">
+              Total monthly cost ({vatLabel})
+            </div>
             <div className="text-3xl font-semibold">
-              {numberFmt.format(totals.monthly || 0)}
+              <MoneyTotals sum={totals.monthly} fmt={fmt} />
             </div>
           </div>
           <div className="bg-white rounded-2xl shadow p-4">
-            <div className="text-sm text-slate-500">Lines tracked</div>
-            <div className="text-3xl font-semibold">{rows.length}</div>
+            <div className="text-sm text-slate-500">
+              {inView.length === enriched.length
+                ? "Lines tracked"
+                : `Lines in view (of ${enriched.length})`}
+            </div>
+            <div className="text-3xl font-semibold">{inView.length}</div>
           </div>
           <div className="bg-white rounded-2xl shadow p-4">
             <div className="text-sm text-slate-500">Expiring ≤ 30 days</div>
             <div className="text-3xl font-semibold">
-              {
-                enriched.filter(
-                  (r) => Number.isFinite(r.daysLeft) && r.daysLeft <= 30
-                ).length
-              }
+              {inView.filter(isExpiringSoon).length}
             </div>
           </div>
           <div className="bg-white rounded-2xl shadow p-4">
-            <div className="text-sm text-slate-500">Average £/month</div>
+            <div className="text-sm text-slate-500">
+              Average effective cost / month
+            </div>
             <div className="text-3xl font-semibold">
-              {rows.length
-                ? numberFmt.format((totals.monthly || 0) / rows.length)
-                : numberFmt.format(0)}
+              <MoneyTotals
+                sum={totals.effective}
+                fmt={fmt}
+                per={(g) => (g.count ? g.amount / g.count : 0)}
+              />
+            </div>
+          </div>
+          <div className="bg-white rounded-2xl shadow p-4">
+            <div className="text-sm text-slate-500">Committed spend remaining</div>
+            <div className="text-3xl font-semibold">
+              <MoneyTotals sum={totals.committed} fmt={fmt} />
+            </div>
+          </div>
+          <div className="bg-white rounded-2xl shadow p-4">
+            <div className="text-sm text-slate-500">Total contract value</div>
+            <div className="text-3xl font-semibold">
+              <MoneyTotals sum={totals.contractValue} fmt={fmt} />
             </div>
           </div>
         </section>
 
+        <ForecastPanel rows={enriched} settings={settings} />
+
+        {readOnly && (
+          <section
+            role="alert"
+            className="mb-4 rounded-2xl ring-1 ring-red-200 bg-red-50 text-red-800 p-3 text-sm"
+          >
+            ⚠️ Read-only: this is an older copy of your data, opened because
+            the saved data couldn&apos;t be loaded. It may be out of date.
+            Changes aren&apos;t saved and no reminders are sent from this
+            tab; reload the page to try the saved data again.
+          </section>
+        )}
+
+        {/* Reminders sent by both the app and scripts/remind.js */}
+        {canSendReminders(settings) && sentLogOverdue(settings) && (
+          <section className="mb-4 rounded-2xl ring-1 ring-amber-200 bg-amber-50 text-amber-800 p-3 text-sm flex flex-wrap items-center justify-between gap-2">
+            <span>
+              ⚠️ <code>npm run remind</code> may be sending reminders too (a
+              dataset for it was downloaded on{" "}
+              {fmt.date(settings.remindDatasetAt.slice(0, 10))}), and its
+              sent-log hasn&apos;t been imported{" "}
+              {settings.sentLogImportedAt
+                ? `since ${fmt.dateTime(settings.sentLogImportedAt)}`
+                : "yet"}
+              . Until it is, the same reminders can go out twice.
+            </span>
+            <span className="flex gap-2">
+              <button
+                onClick={() => {
+                  setSettingsTab("backup");
+                  setSettingsOpen(true);
+                }}
+                className="px-3 py-1 rounded-xl ring-1 ring-amber-300 bg-white hover:bg-amber-100"
+              >
+                Import sent-log…
+              </button>
+              <button
+                onClick={() =>
+                  setSettings((s) => ({ ...s, remindDatasetAt: "" }))
+                }
+                className="px-3 py-1 rounded-xl ring-1 ring-amber-300 bg-white hover:bg-amber-100"
+              >
+                Not using the script
+              </button>
+            </span>
+          </section>
+        )}
+
+        {/* Unreadable saved data */}
+        {quarantine.length > 0 && (
+          <section className="mb-4 rounded-2xl ring-1 ring-red-200 bg-red-50 text-red-800 p-3 text-sm flex flex-wrap items-center justify-between gap-2">
+            <span>
+              ⚠️ {quarantine.length} saved record
+              {quarantine.length === 1 ? "" : "s"} couldn't be read and{" "}
+              {quarantine.length === 1 ? "was" : "were"} set aside instead of
+              being loaded.
+            </span>
+            <span className="flex gap-2">
+              <button
+                onClick={downloadQuarantine}
+                className="px-3 py-1 rounded-xl ring-1 ring-red-300 bg-white hover:bg-red-100"
+              >
+                Download
+              </button>
+              <button
+                onClick={discardQuarantine}
+                className="px-3 py-1 rounded-xl ring-1 ring-red-300 bg-white hover:bg-red-100"
+              >
+                Discard
+              </button>
+            </span>
+          </section>
+        )}
+
+        {/* Duplicate numbers */}
+        {duplicates.length > 0 && (
+          <section className="mb-4 rounded-2xl ring-1 ring-amber-200 bg-amber-50 text-amber-800 p-3 text-sm flex flex-wrap items-center justify-between gap-2">
+            <span>
+              ⚠️ {duplicates.length} phone number
+              {duplicates.length === 1 ? " is" : "s are"} on more than one
+              line.
+            </span>
+            <button
+              onClick={() => setMergingDuplicates(true)}
+              className="px-3 py-1 rounded-xl ring-1 ring-amber-300 bg-white hover:bg-amber-100"
+            >
+              Review &amp; merge
+            </button>
+          </section>
+        )}
+
+        {/* Missed reminders */}
+        {missed.length > 0 && (
+          <section className="mb-4 rounded-2xl ring-1 ring-orange-200 bg-orange-50 text-orange-800 p-3 text-sm">
+            <button
+              onClick={() => setMissedOpen((o) => !o)}
+              className="w-full flex justify-between items-center text-left"
+            >
+              <span>
+                ⚠️ {missed.length} missed reminder
+                {missed.length === 1 ? "" : "s"} — threshold passed without a
+                successful send. Failed sends are retried with backoff; see
+                Settings → Delivery log if this doesn't clear.
+              </span>
+              <span className="ml-2">{missedOpen ? "▲" : "▼"}</span>
+            </button>
+            {missedOpen && (
+              <ul className="mt-2 space-y-1">
+                {missed.map(({ row, threshold, key, tooLate }) => (
+                  <li key={key}>
+                    • {fmt.phone(row.phone) || row.label || "(unnamed)"} — {threshold}-day
+                    reminder, now {row.daysLeft} days left (ends {fmt.date(row.endDate)})
+                    {tooLate && (
+                      <>
+                        {" "}— too late to be sent automatically.{" "}
+                        <button
+                          onClick={() => markNotified([key])}
+                          className="font-medium hover:underline"
+                        >
+                          Mark handled
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+
         {/* Controls */}
         <div className="mb-3 flex flex-wrap items-center gap-2">
           <input
@@ -560,7 +1825,11 @@ export default function ContractTracker() {
             <option value="endDate">End Date</option>
             <option value="phone">Phone Number</option>
             <option value="label">Label</option>
-            <option value="cost">£ / month</option>
+            <option value="cost">Cost / month</option>
+            <option value="monthlyNow">Cost Now</option>
+            <option value="effectiveMonthly">Effective / month</option>
+            <option value="remainingSpend">Remaining</option>
+            <option value="contractValue">Contract Value</option>
           </select>
           <button
             onClick={() => setSortDir((d) => (d === "asc" ? "desc" : "asc"))}
@@ -568,126 +1837,242 @@ export default function ContractTracker() {
           >
             {sortDir === "asc" ? "↑" : "↓"}
           </button>
+          <div className="text-sm text-slate-500">Group by:</div>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+          >
+            {Object.entries(GROUP_BY).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {archived.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-slate-500">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+              />
+              Show archived ({archived.length})
+            </label>
+          )}
         </div>
 
-        {/* Table */}
-        <div className="overflow-auto rounded-2xl shadow ring-1 ring-black/5 bg-white">
-          <table className="min-w-full text-sm">
-            <thead className="bg-slate-50 sticky top-0">
-              <tr>
-                {headers.map((h) => (
-                  <th
-                    key={h.key}
-                    className="text-left font-semibold px-3 py-2 cursor-pointer select-none"
-                    onClick={() => setSort(h.key)}
-                  >
-                    {h.label}
-                  </th>
-                ))}
-                <th className="px-3 py-2 text-right">Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filtered.map((r) => (
-                <tr
-                  key={r.id}
-                  className="border-t align-top hover:bg-slate-50/50"
+        <FilterBar
+          filters={filters}
+          setFilters={setFilters}
+          owners={owners}
+          tags={tagNames}
+          costCentres={costCentreOptions("")}
+          views={views}
+          viewId={activeView ? viewId : ""}
+          viewModified={viewModified}
+          onSelectView={selectView}
+          onSaveView={saveView}
+          onUpdateView={updateView}
+          onDeleteView={deleteView}
+        />
+
+        {/* Bulk actions on the selected lines */}
+        {selection.size > 0 && (
+          <div className="mb-3 flex flex-wrap items-center gap-2 rounded-2xl ring-1 ring-indigo-200 bg-indigo-50 px-3 py-2 text-sm">
+            <span className="font-medium text-indigo-800">
+              {selection.size} line{selection.size === 1 ? "" : "s"} selected
+              {hiddenSelected > 0 && ` (${hiddenSelected} not in view)`}
+            </span>
+            <select
+              value=""
+              onChange={(e) => setBulkAction(e.target.value)}
+              className="px-3 py-1.5 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+            >
+              <option value="">Bulk action…</option>
+              {Object.entries(BULK_ACTIONS).map(([key, a]) => (
+                <option key={key} value={key}>
+                  {a.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={clearSelection}
+              className="px-3 py-1.5 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm"
+            >
+              Clear selection
+            </button>
+          </div>
+        )}
+
+        {/* Table: only the lines in view are drawn (VirtualTable) */}
+        <VirtualTable
+          className="max-h-[75vh] rounded-2xl shadow ring-1 ring-black/5 bg-white"
+          columns={headers.length + 2}
+          head={
+            <tr>
+              <th className="pl-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={allShownSelected}
+                  ref={(el) => {
+                    if (el)
+                      el.indeterminate =
+                        !allShownSelected &&
+                        shownIds.some((id) => selection.has(id));
+                  }}
+                  onChange={toggleAllShown}
+                  disabled={shownIds.length === 0}
+                  aria-label="Select all lines in view"
+                />
+              </th>
+              {headers.map((h) => (
+                <th
+                  key={h.key}
+                  className="text-left font-semibold px-3 py-2 cursor-pointer select-none"
+                  onClick={() => setSort(h.key)}
                 >
-                  <td className="px-3 py-2">
-                    <input
-                      className="w-44 md:w-52 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
-                      value={r.phone}
-                      placeholder="07…"
-                      onChange={(e) => updateCell(r.id, "phone", e.target.value)}
-                    />
-                  </td>
-                  <td className="px-3 py-2">
-                    <input
-                      className="w-40 md:w-48 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
-                      value={r.label}
-                      placeholder="e.g., John Work iPhone"
-                      onChange={(e) => updateCell(r.id, "label", e.target.value)}
-                    />
-                  </td>
-                  <td className="px-3 py-2">
-                    <input
-                      type="date"
-                      className="px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
-                      value={r.startDate}
-                      onChange={(e) => updateCell(r.id, "startDate", e.target.value)}
-                    />
-                  </td>
-                  <td className="px-3 py-2">
-                    <input
-                      type="date"
-                      className="px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
-                      value={r.endDate}
-                      onChange={(e) => updateCell(r.id, "endDate", e.target.value)}
-                    />
-                  </td>
-                  <td className="px-3 py-2">
-                    <input
-                      type="number"
-                      inputMode="decimal"
-                      className="w-28 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
-                      placeholder="0.00"
-                      value={r.costMonthly}
-                      onChange={(e) => updateCell(r.id, "costMonthly", e.target.value)}
-                    />
-                  </td>
-                  <td className="px-3 py-2 whitespace-nowrap align-middle">
-                    {Number.isFinite(r.daysLeft) ? r.daysLeft : "—"}
-                  </td>
-                  <td className="px-3 py-2 whitespace-nowrap align-middle">
-                    <StatusBadge daysLeft={r.daysLeft} />
-                  </td>
-                  <td className="px-3 py-2 whitespace-nowrap align-middle">
-                    <Progress startDate={r.startDate} endDate={r.endDate} />
-                  </td>
-                  <td className="px-3 py-2">
-                    <input
-                      className="w-64 md:w-80 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
-                      placeholder="Notes (network, data, etc.)"
-                      value={r.notes}
-                      onChange={(e) => updateCell(r.id, "notes", e.target.value)}
-                    />
-                  </td>
-                  <td className="px-3 py-2 text-right">
-                    <button
-                      onClick={() => deleteRow(r.id)}
-                      className="px-2 py-1 rounded-lg ring-1 ring-red-200 bg-white hover:bg-red-50 text-red-700"
-                    >
-                      Delete
-                    </button>
-                  </td>
-                </tr>
+                  {h.label}
+                </th>
               ))}
-              {filtered.length === 0 && (
-                <tr>
-                  <td
-                    colSpan={headers.length + 1}
-                    className="px-3 py-10 text-center text-slate-500"
-                  >
-                    No rows match your search.
-                  </td>
-                </tr>
-              )}
-            </tbody>
-          </table>
-        </div>
+              <th className="px-3 py-2 text-right">Actions</th>
+            </tr>
+          }
+          items={tableItems}
+          renderItem={(item) =>
+            item.header ? renderGroupHeader(item.group) : renderRow(item.row)
+          }
+          empty={
+            <tr>
+              <td
+                colSpan={headers.length + 2}
+                className="px-3 py-10 text-center text-slate-500"
+              >
+                No rows match your search.
+              </td>
+            </tr>
+          }
+          onPaste={pasteBlock}
+          onEditingChange={(editing) =>
+            setPinnedOrder((pinned) =>
+              editing ? pinned || filtered.map((r) => r.id) : null
+            )
+          }
+        />
 
         <p className="mt-4 text-xs text-slate-500">
-          Tip: Add 80+ phone numbers easily. Use Import CSV for bulk entry (columns:
-          phone,label,startDate,endDate,costMonthly,notes).
+          Tip: Add 80+ phone numbers easily. Use Import CSV / Excel for bulk entry — any
+          header names work, you map them to phone, label, start/end date, cost
+          and notes before anything is added. Or copy a block of cells in Excel
+          or Google Sheets and paste it into a cell here: it fills the lines
+          from that cell down and across, adding lines as needed. Arrow keys,
+          Enter and Tab move between cells.
         </p>
       </main>
 
       <footer className="max-w-7xl mx-auto px-4 pb-10 pt-6 text-xs text-slate-500">
-        Emails are sent at the exact day thresholds you configure (default:
-        30/7/1/0 days). To send while the app is closed, deploy a serverless
-        webhook and set provider to "webhook" in Settings.
+        Emails are sent when a line reaches a threshold you configure (default:
+        30/7/1/0 days left); if the app wasn't open that day, the most urgent
+        missed one is sent on the next check, up to a week late. To send while the app is closed, deploy a serverless
+        webhook, set provider to "webhook" in Settings and schedule{" "}
+        <code>npm run remind</code> with the downloaded dataset.
       </footer>
 
+      {pendingImport && (
+        <ImportWizard
+          fileName={pendingImport.fileName}
+          text={pendingImport.text}
+          sheets={pendingImport.sheets}
+          existingRows={rows}
+          locale={settings.locale}
+          phoneCountry={settings.phoneCountry}
+          onImport={commitImport}
+          onClose={() => setPendingImport(null)}
+        />
+      )}
+
+      {pendingBill && (
+        <BillReconcile
+          fileName={pendingBill.fileName}
+          text={pendingBill.text}
+          rows={rows}
+          settings={settings}
+          setSettings={setSettings}
+          fmt={fmt}
+          onExport={exportReconciliation}
+          onClose={() => setPendingBill(null)}
+        />
+      )}
+
+      {renewingId && rows.some((r) => r.id === renewingId) && (
+        <RenewDialog
+          row={rows.find((r) => r.id === renewingId)}
+          fmt={fmt}
+          onRenew={(next) => renewLine(renewingId, next)}
+          onClose={() => setRenewingId(null)}
+        />
+      )}
+
+      {bulkAction && selection.size > 0 && (
+        <BulkDialog
+          action={bulkAction}
+          rows={rows}
+          selected={selection}
+          fmt={fmt}
+          onApply={applyBulk}
+          onClose={() => setBulkAction("")}
+        />
+      )}
+
+      {pricingId && rows.some((r) => r.id === pricingId) && (
+        <PricingDialog
+          row={rows.find((r) => r.id === pricingId)}
+          settings={settings}
+          fmt={fmt}
+          onSave={(patch) =>
+            changeRows("Edit pricing", (prev) =>
+              prev.map((r) => (r.id === pricingId ? { ...r, ...patch } : r))
+            )
+          }
+          onClose={() => setPricingId(null)}
+        />
+      )}
+
+      {toast && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 rounded-xl bg-slate-900 text-white shadow-lg px-4 py-2 text-sm">
+          <span>{toast.message}</span>
+          <button
+            onClick={toast.action === "redo" ? redoLast : undoLast}
+            className="font-semibold text-indigo-300 hover:text-indigo-200"
+          >
+            {toast.action === "redo" ? "Redo" : "Undo"}
+          </button>
+          <button
+            onClick={() => setToast(null)}
+            className="text-slate-400 hover:text-white"
+            aria-label="Dismiss"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {mergingDuplicates && (
+        <MergeDuplicates
+          groups={duplicates}
+          fmt={fmt}
+          onMerge={mergeDuplicates}
+          onClose={() => setMergingDuplicates(false)}
+        />
+      )}
+
+      {historyId && rows.some((r) => r.id === historyId) && (
+        <HistoryDrawer
+          row={rows.find((r) => r.id === historyId)}
+          fmt={fmt}
+          onClose={() => setHistoryId(null)}
+        />
+      )}
+
       {/* Settings Modal */}
       {settingsOpen && (
         <div className="fixed inset-0 z-50 grid place-items-center">
@@ -695,139 +2080,349 @@ export default function ContractTracker() {
             className="absolute inset-0 bg-black/40"
             onClick={() => setSettingsOpen(false)}
           />
-          <div className="relative bg-white rounded-2xl shadow-2xl w-[min(720px,92vw)] p-6">
+          <div className="relative bg-white rounded-2xl shadow-2xl w-[min(720px,92vw)] max-h-[90vh] overflow-auto p-6">
             <h2 className="text-xl font-semibold mb-2">Settings</h2>
             <p className="text-sm text-slate-500 mb-4">
               Configure email reminders and thresholds.
             </p>
 
-            <div className="grid gap-4 sm:grid-cols-2">
-              <div className="sm:col-span-2">
-                <label className="block text-xs text-slate-500 mb-1">
-                  Send reminders to
-                </label>
-                <input
-                  value={settings.notifyEmail}
-                  onChange={(e) =>
-                    setSettings((s) => ({ ...s, notifyEmail: e.target.value }))
-                  }
-                  placeholder="you@example.com"
-                  className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
-                />
-              </div>
-
-              <div>
-                <label className="block text-xs text-slate-500 mb-1">
-                  Provider
-                </label>
-                <select
-                  value={settings.provider}
-                  onChange={(e) =>
-                    setSettings((s) => ({ ...s, provider: e.target.value }))
-                  }
-                  className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+            <div className="mb-4 flex gap-1 border-b">
+              {[
+                ["general", "General"],
+                [
+                  "deliveries",
+                  failedDeliveries
+                    ? `Delivery log (${failedDeliveries} failed)`
+                    : "Delivery log",
+                ],
+                ["backup", "Backup & restore"],
+              ].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setSettingsTab(key)}
+                  className={`px-3 py-2 text-sm -mb-px border-b-2 ${
+                    settingsTab === key
+                      ? "border-indigo-600 text-indigo-700"
+                      : "border-transparent text-slate-500"
+                  }`}
                 >
-                  <option value="emailjs">EmailJS (no backend)</option>
-                  <option value="webhook">Serverless webhook</option>
-                </select>
-              </div>
+                  {label}
+                </button>
+              ))}
+            </div>
 
-              {settings.provider === "emailjs" && (
-                <>
-                  <div>
-                    <label className="block text-xs text-slate-500 mb-1">
-                      EmailJS Service ID
-                    </label>
-                    <input
-                      value={settings.emailjsServiceId}
-                      onChange={(e) =>
-                        setSettings((s) => ({
-                          ...s,
-                          emailjsServiceId: e.target.value,
-                        }))
-                      }
-                      placeholder="service_xxx"
-                      className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-xs text-slate-500 mb-1">
-                      EmailJS Template ID
-                    </label>
-                    <input
-                      value={settings.emailjsTemplateId}
-                      onChange={(e) =>
-                        setSettings((s) => ({
-                          ...s,
-                          emailjsTemplateId: e.target.value,
-                        }))
-                      }
-                      placeholder="template_xxx"
-                      className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
-                    />
-                  </div>
+            {settingsTab === "deliveries" && (
+              <DeliveryLog
+                deliveries={deliveries}
+                fmt={fmt}
+                onResend={resendDelivery}
+                onMarkHandled={markDeliveryHandled}
+              />
+            )}
+
+            {settingsTab === "backup" && (
+              <BackupPanel
+                workspace={workspace}
+                snapshots={snapshots}
+                setSettings={setSettings}
+                fmt={fmt}
+                onDownload={downloadJSON}
+                onRestore={restoreWorkspace}
+                setNotified={setNotified}
+              />
+            )}
+
+            {settingsTab === "general" && (
+              <div className="grid gap-4 sm:grid-cols-2">
+                <div className="sm:col-span-2">
+                  <label className="block text-xs text-slate-500 mb-1">
+                    Default recipient(s)
+                  </label>
+                  <input
+                    value={settings.notifyEmail}
+                    onChange={(e) =>
+                      setSettings((s) => ({ ...s, notifyEmail: e.target.value }))
+                    }
+                    placeholder="you@example.com, it-team@example.com"
+                    className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                  />
+                  <p className="text-xs text-slate-400 mt-1">
+                    Used for lines with no owner email and no matching routing
+                    rule. Separate several addresses with commas.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">
+                    Provider
+                  </label>
+                  <select
+                    value={settings.provider}
+                    onChange={(e) =>
+                      setSettings((s) => ({ ...s, provider: e.target.value }))
+                    }
+                    className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                  >
+                    <option value="emailjs">EmailJS (no backend)</option>
+                    <option value="webhook">Serverless webhook</option>
+                  </select>
+                </div>
+
+                {settings.provider === "emailjs" && (
+                  <>
+                    <div>
+                      <label className="block text-xs text-slate-500 mb-1">
+                        EmailJS Service ID
+                      </label>
+                      <input
+                        value={settings.emailjsServiceId}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            emailjsServiceId: e.target.value,
+                          }))
+                        }
+                        placeholder="service_xxx"
+                        className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-slate-500 mb-1">
+                        EmailJS Template ID
+                      </label>
+                      <input
+                        value={settings.emailjsTemplateId}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            emailjsTemplateId: e.target.value,
+                          }))
+                        }
+                        placeholder="template_xxx"
+                        className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                      />
+                    </div>
+                    <div className="sm:col-span-2">
+                      <label className="block text-xs text-slate-500 mb-1">
+                        EmailJS Public Key
+                      </label>
+                      <input
+                        value={settings.emailjsPublicKey}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            emailjsPublicKey: e.target.value,
+                          }))
+                        }
+                        placeholder="YOUR_PUBLIC_KEY"
+                        className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                      />
+                      <p className="text-xs text-slate-400 mt-1">
+                        EmailJS template variables used: <code>to_email, subject,
+                          message</code>, plus each placeholder below (e.g.{" "}
+                        <code>phone, endDate, cost</code>) for single-line
+                        reminders.
+                      </p>
+                    </div>
+                  </>
+                )}
+
+                {settings.provider === "webhook" && (
                   <div className="sm:col-span-2">
                     <label className="block text-xs text-slate-500 mb-1">
-                      EmailJS Public Key
+                      Webhook endpoint (POST JSON: {`{ to, subject, text }`})
                     </label>
                     <input
-                      value={settings.emailjsPublicKey}
+                      value={settings.webhookEndpoint}
                       onChange={(e) =>
                         setSettings((s) => ({
                           ...s,
-                          emailjsPublicKey: e.target.value,
+                          webhookEndpoint: e.target.value,
                         }))
                       }
-                      placeholder="YOUR_PUBLIC_KEY"
+                      placeholder="https://your-function.vercel.app/api/send"
                       className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
                     />
-                    <p className="text-xs text-slate-400 mt-1">
-                      EmailJS template variables used: <code>to_email, subject,
-                        message</code>.
-                    </p>
                   </div>
-                </>
-              )}
+                )}
 
-              {settings.provider === "webhook" && (
                 <div className="sm:col-span-2">
                   <label className="block text-xs text-slate-500 mb-1">
-                    Webhook endpoint (POST JSON: {`{ to, subject, text }`})
+                    Email thresholds (days left)
                   </label>
+                  {/* saved on blur: "1" on the way to "14" isn't a threshold */}
                   <input
-                    value={settings.webhookEndpoint}
-                    onChange={(e) =>
+                    key={(settings.thresholds || []).join(",")}
+                    defaultValue={(settings.thresholds || []).join(",")}
+                    onBlur={(e) =>
                       setSettings((s) => ({
                         ...s,
-                        webhookEndpoint: e.target.value,
+                        thresholds: e.target.value
+                          .split(",")
+                          .map((x) => parseInt(x.trim(), 10))
+                          .filter((n) => !Number.isNaN(n)),
                       }))
                     }
-                    placeholder="https://your-function.vercel.app/api/send"
+                    placeholder="30,7,1,0"
                     className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
                   />
                 </div>
-              )}
 
-              <div className="sm:col-span-2">
-                <label className="block text-xs text-slate-500 mb-1">
-                  Email thresholds (days left)
-                </label>
-                <input
-                  value={(settings.thresholds || []).join(",")}
-                  onChange={(e) =>
-                    setSettings((s) => ({
-                      ...s,
-                      thresholds: e.target.value
-                        .split(",")
-                        .map((x) => parseInt(x.trim(), 10))
-                        .filter((n) => !Number.isNaN(n)),
-                    }))
-                  }
-                  placeholder="30,7,1,0"
-                  className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                <div className="sm:col-span-2">
+                  <label className="block text-xs text-slate-500 mb-1">
+                    Thresholds count down to
+                  </label>
+                  <select
+                    value={settings.remindBefore || "end"}
+                    onChange={(e) =>
+                      setSettings((s) => ({ ...s, remindBefore: e.target.value }))
+                    }
+                    className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                  >
+                    {Object.entries(REMIND_TARGETS).map(([k, t]) => (
+                      <option key={k} value={k}>
+                        {t.label}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-slate-400 mt-1">
+                    Lines without a notice period always count down to their end
+                    date. Rolling lines that are out of contract get no reminders.
+                  </p>
+                </div>
+
+                <div className="sm:col-span-2">
+                  <label className="block text-xs text-slate-500 mb-1">
+                    Reminder emails
+                  </label>
+                  <select
+                    value={settings.digest || "immediate"}
+                    onChange={(e) =>
+                      setSettings((s) => ({ ...s, digest: e.target.value }))
+                    }
+                    className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                  >
+                    {Object.entries(DIGEST_MODES).map(([k, m]) => (
+                      <option key={k} value={k}>
+                        {m.label}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-slate-400 mt-1">
+                    A digest gathers every line that crossed a threshold into one
+                    email grouped by Expired / Urgent / Expiring. Each recipient
+                    gets a single digest of all the lines routed to them, with
+                    the CC addresses copied in.
+                  </p>
+                </div>
+
+                <div className="sm:col-span-2 border-t pt-4">
+                  <h3 className="text-sm font-semibold mb-2">Costs</h3>
+                  <div className="grid gap-4 sm:grid-cols-3">
+                    <div>
+                      <label className="block text-xs text-slate-500 mb-1">
+                        Show costs
+                      </label>
+                      <select
+                        value={settings.vatBasis || "ex"}
+                        onChange={(e) =>
+                          setSettings((s) => ({ ...s, vatBasis: e.target.value }))
+                        }
+                        className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                      >
+                        {Object.entries(VAT_BASES).map(([k, b]) => (
+                          <option key={k} value={k}>
+                            {b.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs text-slate-500 mb-1">
+                        VAT rate (%)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={settings.vatRate ?? DEFAULT_VAT_RATE}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            vatRate: Number(e.target.value) || 0,
+                          }))
+                        }
+                        className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-slate-500 mb-1">
+                        Assumed CPI for April rises (%)
+                      </label>
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={settings.cpiRate ?? DEFAULT_CPI_RATE}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            cpiRate: Number(e.target.value) || 0,
+                          }))
+                        }
+                        className="w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm"
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                <CurrencySettings
+                  settings={settings}
+                  setSettings={setSettings}
+                  rows={enriched}
                 />
+
+                <TagSettings
+                  settings={settings}
+                  setSettings={setSettings}
+                  rows={rows}
+                  onRenameTag={renameTag}
+                  onRenameCostCentre={renameCostCentre}
+                />
+
+                <RoutingRules
+                  settings={settings}
+                  setSettings={setSettings}
+                  rows={enriched}
+                />
+
+                <ChannelSettings
+                  settings={settings}
+                  setSettings={setSettings}
+                />
+
+                <TemplateEditor
+                  settings={settings}
+                  setSettings={setSettings}
+                  rows={enriched}
+                />
+
+                <div className="sm:col-span-2">
+                  <label className="block text-xs text-slate-500 mb-1">
+                    Reminders while the app is closed
+                  </label>
+                  <button
+                    onClick={exportDataset}
+                    className="px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm"
+                  >
+                    ⬇️ Download dataset (JSON)
+                  </button>
+                  <p className="text-xs text-slate-400 mt-1">
+                    Run <code>npm run remind -- --data dataset.json</code> from
+                    cron to send the same reminders without a browser (webhook
+                    provider).
+                  </p>
+                </div>
               </div>
-            </div>
+            )}
 
             <div className="mt-6 flex justify-end gap-2">
               <button
@@ -871,10 +2466,90 @@ export default function ContractTracker() {
       "CSV should use and parse newline correctly"
     );
 
+    const tricky = [["a,b", 'say "hi"', "multi\nline", " pad "]];
+    const roundTrip = parseCSV(toCSV(tricky));
+    console.assert(
+      JSON.stringify(roundTrip) === JSON.stringify(tricky),
+      "toCSV/parseCSV should round-trip commas, quotes and newlines"
+    );
+
     console.assert(
       daysBetween("2020-01-01", "2020-01-02") === 1,
       "daysBetween basic increment"
     );
+
+    console.assert(
+      termEndDate("2024-01-01", "24") === "2025-12-31",
+      "a 24-month term from 1 Jan should end on 31 Dec"
+    );
+
+    console.assert(
+      sumMoney([{ cost: 1, currency: "EUR" }, { cost: 2 }], (r) => r.cost, {
+        currency: "GBP",
+      }).totals.length === 2,
+      "totals should be grouped per currency by default"
+    );
+
+    console.assert(
+      toE164("07123 456789", "GB") === toE164("+44 7123 456789", "GB"),
+      "national and international forms should normalise to one E.164 number"
+    );
+
+    console.assert(
+      parseBackup(
+        JSON.stringify(
+          makeBackup({
+            rows: [],
+            settings: { emailjsPublicKey: "x" },
+            notified: {},
+          })
+        )
+      ).settings.emailjsPublicKey === undefined,
+      "backups should leave credentials out unless asked"
+    );
+
+    console.assert(
+      planBulk(
+        [{ id: "a", tags: "Sales" }],
+        new Set(["a"]),
+        "addTags",
+        { tags: "sales, Loan" }
+      ).rows[0].tags === "Sales, Loan",
+      "bulk tagging should skip tags a line already has, ignoring case"
+    );
+
+    console.assert(
+      reconcileBill(
+        [{ id: "a", phone: "07700900001", costMonthly: "10" }],
+        [
+          { key: "+447700900001", amount: 12, kind: "plan" },
+          { key: "+447700900002", amount: 5, kind: "plan" },
+        ],
+        { billDate: "2026-01-15", settings: { phoneCountry: "GB" } }
+      )
+        .lines.map((l) => `${l.status}:${l.variance}`)
+        .join() === "over:2,untracked:5",
+      "bill checks should match numbers however they're typed"
+    );
+
+    console.assert(
+      chargeKind("", "Business Unlimited International – monthly rental") ===
+        "plan",
+      "a monthly rental should be a plan charge whatever the tariff is called"
+    );
+
+    console.assert(
+      [
+        ["Usage", "Out of bundle data - monthly"],
+        ["Out of bundle", "Roaming (monthly total)"],
+        ["Credit", "Monthly rental credit"],
+        ["One-off", "Early termination - monthly rental x 3"],
+        ["", "Equipment monthly instalment"],
+      ]
+        .map(([type, description]) => chargeKind(type, description))
+        .join() === "extra,extra,other,other,other",
+      "the charge type should decide before words like monthly in the description"
+    );
   } catch (e) {
     console.warn("Dev smoke tests failed:", e);
   }
@@ -0,0 +1,219 @@
+import React, { useState } from "react";
+import RestoreDialog from "./RestoreDialog.jsx";
+import {
+  SNAPSHOT_KEEP_OPTIONS,
+  importSentLog,
+  makeBackup,
+  parseBackup,
+} from "../lib/backup.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+const dayOf = (iso) => (iso || "").slice(0, 10);
+
+// =============================
+// Settings tab: JSON backup, restore, the cron sent-log and rolling snapshots
+// =============================
+export default function BackupPanel({
+  workspace,
+  snapshots,
+  setSettings,
+  fmt,
+  onDownload,
+  onRestore,
+  setNotified,
+}) {
+  const { settings } = workspace;
+  const [includeSecrets, setIncludeSecrets] = useState(false);
+  const [error, setError] = useState("");
+  const [restoring, setRestoring] = useState(null); // { backup, source }
+  const [logNote, setLogNote] = useState("");
+
+  const download = () =>
+    onDownload(
+      makeBackup(workspace, { includeSecrets }),
+      `mobile-contracts-backup-${dayOf(new Date().toISOString())}.json`
+    );
+
+  const readFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setRestoring({
+          backup: parseBackup(String(e.target?.result || "")),
+          source: file.name,
+        });
+        setError("");
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const readSentLog = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const { notified, added } = importSentLog(
+          workspace.notified,
+          String(e.target?.result || "")
+        );
+        setNotified(notified);
+        setSettings((s) => ({
+          ...s,
+          sentLogImportedAt: new Date().toISOString(),
+        }));
+        setLogNote(
+          added
+            ? `${file.name}: ${added} sent reminder${added === 1 ? "" : "s"} added.`
+            : `${file.name}: nothing new.`
+        );
+      } catch (err) {
+        setLogNote(`${file.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-sm font-semibold mb-1">Backup</h3>
+        <p className="text-xs text-slate-500 mb-2">
+          Everything in this workspace: lines, settings, the reminders already
+          sent and the delivery log. Restore it on another machine or browser
+          without reminders going out twice.
+        </p>
+        <label className="flex items-center gap-2 text-sm mb-2">
+          <input
+            type="checkbox"
+            checked={includeSecrets}
+            onChange={(e) => setIncludeSecrets(e.target.checked)}
+          />
+          Include credentials and webhook URLs
+        </label>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={download} className={buttonCls}>
+            ⬇️ Download backup (JSON)
+          </button>
+          <label className={`${buttonCls} cursor-pointer`}>
+            ⬆️ Restore from file…
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files?.[0]) readFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+        </div>
+        {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+      </div>
+
+      <div className="border-t pt-4">
+        <h3 className="text-sm font-semibold mb-1">Reminders sent by cron</h3>
+        <p className="text-xs text-slate-500 mb-2">
+          <code>npm run remind</code> records what it sends in a sent-log,{" "}
+          <code>dataset.sent.json</code> by default. Import that file here after
+          it has run, or this app will send the same reminders again; the app
+          warns when the last import is more than a day old.
+        </p>
+        {settings.sentLogImportedAt && (
+          <p className="text-xs text-slate-500 mb-2">
+            Last imported {fmt.dateTime(settings.sentLogImportedAt)}.
+          </p>
+        )}
+        <label className={`${buttonCls} cursor-pointer inline-block`}>
+          ⬆️ Import sent-log…
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files?.[0]) readSentLog(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        {logNote && <p className="text-xs text-slate-600 mt-2">{logNote}</p>}
+      </div>
+
+      <div className="border-t pt-4">
+        <h3 className="text-sm font-semibold mb-1">Automatic snapshots</h3>
+        <p className="text-xs text-slate-500 mb-2">
+          A full backup saved in this browser once a day, credentials included.
+          They don&apos;t leave this device, so download a backup too.
+        </p>
+        <select
+          value={settings.snapshotKeep ?? 0}
+          onChange={(e) =>
+            setSettings((s) => ({
+              ...s,
+              snapshotKeep: Number(e.target.value),
+            }))
+          }
+          className={`${inputCls} sm:w-64`}
+        >
+          {SNAPSHOT_KEEP_OPTIONS.map((n) => (
+            <option key={n} value={n}>
+              {n ? `Keep the last ${n} days` : "Off"}
+            </option>
+          ))}
+        </select>
+        {snapshots.length > 0 && (
+          <ul className="mt-3 divide-y rounded-xl ring-1 ring-slate-200 text-sm">
+            {snapshots.map((s) => (
+              <li key={s.id} className="flex items-center gap-2 p-2">
+                <span className="flex-1">
+                  {fmt.dateTime(s.createdAt)} — {s.backup.rows.length} lines
+                </span>
+                <button
+                  onClick={() =>
+                    onDownload(
+                      s.backup,
+                      `mobile-contracts-snapshot-${dayOf(s.createdAt)}.json`
+                    )
+                  }
+                  className="text-indigo-700 hover:underline"
+                >
+                  Download
+                </button>
+                <button
+                  onClick={() =>
+                    setRestoring({
+                      backup: parseBackup(JSON.stringify(s.backup)),
+                      source: `Snapshot of ${fmt.date(dayOf(s.createdAt))}`,
+                    })
+                  }
+                  className="text-indigo-700 hover:underline"
+                >
+                  Restore…
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {restoring && (
+        <RestoreDialog
+          backup={restoring.backup}
+          source={restoring.source}
+          current={workspace}
+          fmt={fmt}
+          onRestore={(next, mode) => {
+            onRestore(next, mode);
+            setRestoring(null);
+          }}
+          onClose={() => setRestoring(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,392 @@
+import React, { useMemo, useState } from "react";
+import { detectDelimiter, parseCSV } from "../lib/csv.js";
+import {
+  BILL_FIELDS,
+  CARRIER_PROFILES,
+  CHARGE_KINDS,
+  RECONCILE_STATUSES,
+  findHeaderRow,
+  guessBillMapping,
+  readBill,
+  reconcileBill,
+} from "../lib/reconcile.js";
+
+const DELIMITERS = [
+  { value: ",", label: "Comma (,)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "\t", label: "Tab" },
+];
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+
+// =============================
+// Bill check: read a carrier's itemised bill CSV and compare what each line
+// was charged with its contracted cost (lib/reconcile.js)
+// =============================
+// Nothing here changes the lines. The network picked and any column mapped
+// by hand are saved in settings, so the next bill from the same network maps
+// itself; onExport(report, "csv" | "xlsx") downloads the report.
+export default function BillReconcile({
+  fileName,
+  text,
+  rows,
+  settings,
+  setSettings,
+  fmt,
+  onExport,
+  onClose,
+}) {
+  const saved = settings.billMappings || {};
+  const [profile, setProfile] = useState(() =>
+    CARRIER_PROFILES[settings.billProfile] ? settings.billProfile : "other"
+  );
+  // the first line may be account details, so guess from the whole text
+  const [delimiter, setDelimiter] = useState(() =>
+    detectDelimiter(
+      String(text)
+        .split(/\r?\n/)
+        .find((l) => /[,;\t].*[,;\t]/.test(l)) || ""
+    )
+  );
+  const records = useMemo(
+    () => parseCSV(text, { delimiter }),
+    [text, delimiter]
+  );
+  // header line and columns for a network and delimiter
+  const guess = (nextProfile, nextDelimiter) => {
+    const recs = parseCSV(text, { delimiter: nextDelimiter });
+    const headerRow = findHeaderRow(recs, nextProfile, saved[nextProfile]);
+    return {
+      headerRow,
+      mapping: guessBillMapping(
+        recs[headerRow] || [],
+        nextProfile,
+        saved[nextProfile]
+      ),
+    };
+  };
+  const [{ headerRow, mapping }, setLayout] = useState(() =>
+    guess(profile, delimiter)
+  );
+  const header = records[headerRow] || [];
+  const [billDate, setBillDate] = useState(todayISO);
+  const [vatIncluded, setVatIncluded] = useState(
+    () => CARRIER_PROFILES[profile].vatIncluded
+  );
+  const [show, setShow] = useState(""); // RECONCILE_STATUSES key, "" = all
+
+  const remap = (nextProfile, nextDelimiter) => {
+    setProfile(nextProfile);
+    setDelimiter(nextDelimiter);
+    setLayout(guess(nextProfile, nextDelimiter));
+    setVatIncluded(CARRIER_PROFILES[nextProfile].vatIncluded);
+    setSettings((s) => ({ ...s, billProfile: nextProfile }));
+  };
+
+  const mapColumn = (field, index) => {
+    setLayout((l) => ({ ...l, mapping: { ...l.mapping, [field]: index } }));
+    setSettings((s) => ({
+      ...s,
+      billMappings: {
+        ...s.billMappings,
+        [profile]: {
+          ...s.billMappings?.[profile],
+          [field]: index >= 0 ? header[index] : "",
+        },
+      },
+    }));
+  };
+
+  const bill = useMemo(
+    () =>
+      readBill(records, mapping, {
+        headerRow,
+        country: settings.phoneCountry,
+      }),
+    [records, mapping, headerRow, settings.phoneCountry]
+  );
+  const ready = mapping.phone >= 0 && mapping.amount >= 0;
+  const report = useMemo(
+    () =>
+      reconcileBill(rows, bill.charges, { billDate, vatIncluded, settings }),
+    [rows, bill, billDate, vatIncluded, settings]
+  );
+  const shown = show
+    ? report.lines.filter((l) => l.status === show)
+    : report.lines;
+  const money = (n) => (Number.isFinite(n) ? fmt.money(n) : "—");
+  const t = report.totals;
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-[min(960px,94vw)] max-h-[90vh] overflow-auto p-6">
+        <h2 className="text-xl font-semibold mb-1">Check a carrier bill</h2>
+        <p className="text-sm text-slate-500 mb-4">
+          {fileName} — {bill.charges.length} charges on{" "}
+          {report.lines.filter((l) => l.charges.length).length} numbers,
+          compared with contracted costs for the month of the bill date.
+        </p>
+
+        <div className="grid gap-4 sm:grid-cols-2 mb-4">
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">Network</label>
+            <select
+              value={profile}
+              onChange={(e) => remap(e.target.value, delimiter)}
+              className={inputCls}
+            >
+              {Object.entries(CARRIER_PROFILES).map(([k, p]) => (
+                <option key={k} value={k}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              Delimiter
+            </label>
+            <select
+              value={delimiter}
+              onChange={(e) => remap(profile, e.target.value)}
+              className={inputCls}
+            >
+              {DELIMITERS.map((d) => (
+                <option key={d.label} value={d.value}>
+                  {d.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              Bill date (any day in the month billed)
+            </label>
+            <input
+              type="date"
+              value={billDate}
+              onChange={(e) => setBillDate(e.target.value || todayISO())}
+              className={inputCls}
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm mt-5">
+            <input
+              type="checkbox"
+              checked={vatIncluded}
+              onChange={(e) => setVatIncluded(e.target.checked)}
+            />
+            Bill amounts include VAT
+          </label>
+        </div>
+
+        <details
+          className="mb-4 rounded-xl ring-1 ring-slate-200"
+          open={!ready}
+        >
+          <summary className="px-3 py-2 text-sm font-medium cursor-pointer">
+            Columns {headerRow > 0 && `(header on line ${headerRow + 1})`}
+          </summary>
+          <div className="grid gap-3 sm:grid-cols-2 border-t p-3">
+            {BILL_FIELDS.map((f) => (
+              <div key={f.key}>
+                <label className="block text-xs text-slate-500 mb-1">
+                  {f.label}
+                  {f.required && " *"}
+                </label>
+                <select
+                  value={mapping[f.key]}
+                  onChange={(e) => mapColumn(f.key, Number(e.target.value))}
+                  className={inputCls}
+                >
+                  <option value={-1}>— none —</option>
+                  {header.map((h, i) => (
+                    <option key={i} value={i}>
+                      {h || `Column ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <p className="px-3 pb-3 text-xs text-slate-400">
+            Charges are sorted into {Object.values(CHARGE_KINDS).join(", ")} by
+            their type and description. Only the plan charges are compared with
+            the contracted cost.
+          </p>
+        </details>
+
+        {!ready ? (
+          <p className="text-sm text-red-700">
+            Pick the phone number and amount columns to check this bill.
+          </p>
+        ) : (
+          <>
+            <div className="mb-4 grid gap-3 sm:grid-cols-4 text-sm">
+              <div className="rounded-xl ring-1 ring-slate-200 p-3">
+                <div className="text-xs text-slate-500">Billed</div>
+                <div className="text-lg font-semibold">{money(t.billed)}</div>
+              </div>
+              <div className="rounded-xl ring-1 ring-slate-200 p-3">
+                <div className="text-xs text-slate-500">Contracted</div>
+                <div className="text-lg font-semibold">
+                  {money(t.contracted)}
+                </div>
+              </div>
+              <div className="rounded-xl ring-1 ring-slate-200 p-3">
+                <div className="text-xs text-slate-500">
+                  Over contracted price
+                </div>
+                <div className="text-lg font-semibold text-red-700">
+                  {money(t.overcharged)}
+                </div>
+              </div>
+              <div className="rounded-xl ring-1 ring-slate-200 p-3">
+                <div className="text-xs text-slate-500">Out of bundle</div>
+                <div className="text-lg font-semibold">{money(t.extra)}</div>
+              </div>
+            </div>
+
+            <div className="mb-3 flex flex-wrap gap-2 text-xs">
+              <button
+                onClick={() => setShow("")}
+                className={`px-2 py-1 rounded-full ring-1 ${
+                  !show
+                    ? "bg-slate-900 text-white ring-slate-900"
+                    : "ring-slate-200"
+                }`}
+              >
+                All {report.lines.length}
+              </button>
+              {Object.entries(RECONCILE_STATUSES)
+                .filter(([k]) => report.counts[k])
+                .map(([k, s]) => (
+                  <button
+                    key={k}
+                    onClick={() => setShow(show === k ? "" : k)}
+                    className={`px-2 py-1 rounded-full ring-1 ${
+                      show === k
+                        ? "bg-slate-900 text-white ring-slate-900"
+                        : `ring-slate-200 ${s.cls}`
+                    }`}
+                  >
+                    {s.label} {report.counts[k]}
+                  </button>
+                ))}
+            </div>
+
+            <div className="overflow-auto rounded-xl ring-1 ring-slate-200 max-h-[45vh]">
+              <table className="min-w-full text-xs">
+                <thead className="bg-slate-50 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1 text-left">Number</th>
+                    <th className="px-2 py-1 text-left">Line</th>
+                    <th className="px-2 py-1 text-left">Status</th>
+                    <th className="px-2 py-1 text-right">Contracted</th>
+                    <th className="px-2 py-1 text-right">Billed plan</th>
+                    <th className="px-2 py-1 text-right">Variance</th>
+                    <th className="px-2 py-1 text-right">Out of bundle</th>
+                    <th className="px-2 py-1 text-right">One-off / credits</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map((l) => (
+                    <tr
+                      key={l.key}
+                      title={l.charges
+                        .map(
+                          (c) =>
+                            `${c.description || c.type || "Charge"}: ${fmt.money(c.amount)}`
+                        )
+                        .join("\n")}
+                      className="border-t"
+                    >
+                      <td className="px-2 py-1 whitespace-nowrap">
+                        {fmt.phone(l.key)}
+                      </td>
+                      <td className="px-2 py-1">{l.row?.label || ""}</td>
+                      <td
+                        className={`px-2 py-1 ${RECONCILE_STATUSES[l.status].cls}`}
+                      >
+                        {RECONCILE_STATUSES[l.status].label}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {money(l.contracted)}
+                      </td>
+                      <td className="px-2 py-1 text-right">{money(l.plan)}</td>
+                      <td
+                        className={`px-2 py-1 text-right font-medium ${
+                          l.variance > 0 ? "text-red-700" : ""
+                        }`}
+                      >
+                        {money(l.variance)}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {l.extra ? money(l.extra) : ""}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {l.other ? money(l.other) : ""}
+                      </td>
+                    </tr>
+                  ))}
+                  {!shown.length && (
+                    <tr>
+                      <td
+                        colSpan={8}
+                        className="px-2 py-4 text-center text-slate-500"
+                      >
+                        No charges read from this file.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {bill.skipped.length > 0 && (
+              <details className="mt-3 text-xs text-slate-500">
+                <summary className="cursor-pointer">
+                  {bill.skipped.length} record
+                  {bill.skipped.length === 1 ? "" : "s"} not read as a charge on
+                  a number
+                </summary>
+                <ul className="mt-1 space-y-0.5 max-h-40 overflow-auto">
+                  {bill.skipped.map((s) => (
+                    <li key={s.line}>
+                      Line {s.line}: {s.reason}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+          </>
+        )}
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button onClick={onClose} className={buttonCls}>
+            Close
+          </button>
+          <button
+            onClick={() => onExport(report, "csv")}
+            disabled={!ready || !report.lines.length}
+            className={`${buttonCls} disabled:opacity-50`}
+          >
+            ⬇️ Report CSV
+          </button>
+          <button
+            onClick={() => onExport(report, "xlsx")}
+            disabled={!ready || !report.lines.length}
+            className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm disabled:opacity-50"
+          >
+            ⬇️ Report Excel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
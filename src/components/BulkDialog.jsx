@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from "react";
+import { BULK_ACTIONS, planBulk } from "../lib/bulk.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+const plural = (n) => `${n} line${n === 1 ? "" : "s"}`;
+
+const FIELD_LABELS = {
+  startDate: "Start",
+  endDate: "End",
+  termMonths: "Term",
+  costMonthly: "Cost / month",
+  ownerEmail: "Owner",
+  tags: "Tags",
+  archivedAt: "Archived",
+};
+
+// how many changed lines the preview lists before "and N more"
+const PREVIEW_LIMIT = 50;
+
+// =============================
+// Bulk action dialog: inputs for the action, then what it will do to each
+// selected line before anything changes. onApply gets the inputs; the
+// change itself is planned again on apply, against the rows as they are then.
+// =============================
+export default function BulkDialog({
+  action,
+  rows,
+  selected,
+  fmt,
+  onApply,
+  onClose,
+}) {
+  const def = BULK_ACTIONS[action];
+  const [params, setParams] = useState({});
+  const set = (key, value) => setParams((p) => ({ ...p, [key]: value }));
+
+  const ready = !def.ready || def.ready(params);
+  const plan = useMemo(
+    () => (ready ? planBulk(rows, selected, action, params) : null),
+    [ready, rows, selected, action, params]
+  );
+
+  const show = (key, value) => {
+    if (value === "") return "—";
+    if (key === "archivedAt") return "yes";
+    if (key.endsWith("Date")) return fmt.date(value);
+    if (key === "termMonths") return `${value} months`;
+    return value;
+  };
+  const destructive = action === "delete";
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-[min(560px,92vw)] max-h-[90vh] overflow-auto p-6">
+        <h2 className="text-xl font-semibold mb-1">
+          {def.label} — {plural(selected.size)} selected
+        </h2>
+        {def.unchangedNote && (
+          <p className="text-sm text-slate-500 mb-4">{def.unchangedNote}</p>
+        )}
+
+        {def.fields.length > 0 && (
+          <div className="grid gap-4 sm:grid-cols-2 mb-4">
+            {def.fields.map((f) => (
+              <div key={f.key}>
+                <label className="block text-xs text-slate-500 mb-1">
+                  {f.label}
+                </label>
+                <input
+                  type={f.type || "text"}
+                  min={f.type === "number" ? "0" : undefined}
+                  step={f.key === "costMonthly" ? "0.01" : undefined}
+                  value={params[f.key] ?? ""}
+                  onChange={(e) => set(f.key, e.target.value)}
+                  placeholder={f.placeholder}
+                  className={inputCls}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {plan && (
+          <div className="mb-4 text-sm">
+            <p className="mb-2">
+              {destructive
+                ? `${plural(plan.changes.length)} will be deleted.`
+                : `${plural(plan.changes.length)} will change.`}
+              {plan.unchanged > 0 &&
+                ` ${plural(plan.unchanged)} will be left as ${
+                  plan.unchanged === 1 ? "it is" : "they are"
+                }.`}
+            </p>
+            <ul className="divide-y rounded-xl ring-1 ring-slate-200 max-h-64 overflow-auto">
+              {plan.changes.slice(0, PREVIEW_LIMIT).map((c) => (
+                <li key={c.before.id} className="px-3 py-1.5">
+                  <div className="font-medium">
+                    {fmt.phone(c.before.phone) || c.before.label || "(unnamed)"}
+                  </div>
+                  {c.fields.map(([key, from, to]) => (
+                    <div key={key} className="text-xs text-slate-500">
+                      {FIELD_LABELS[key] || key}: {show(key, from)} →{" "}
+                      <span className="text-slate-800">{show(key, to)}</span>
+                    </div>
+                  ))}
+                </li>
+              ))}
+              {plan.changes.length > PREVIEW_LIMIT && (
+                <li className="px-3 py-1.5 text-xs text-slate-500">
+                  …and {plural(plan.changes.length - PREVIEW_LIMIT)} more
+                </li>
+              )}
+            </ul>
+          </div>
+        )}
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button onClick={onClose} className={buttonCls}>
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(params)}
+            disabled={!plan || plan.changes.length === 0}
+            className={`px-3 py-2 rounded-xl text-white shadow-sm disabled:opacity-50 ${
+              destructive
+                ? "bg-red-600 hover:bg-red-700"
+                : "bg-indigo-600 hover:bg-indigo-700"
+            }`}
+          >
+            {destructive ? "Delete" : "Apply to"}{" "}
+            {plural(plan ? plan.changes.length : 0)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
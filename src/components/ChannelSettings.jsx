@@ -0,0 +1,148 @@
+import React, { useState } from "react";
+import { CHANNELS, channelConfig, testChannel } from "../lib/channels.js";
+import { DEFAULT_THRESHOLDS } from "../lib/reminders.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+function ChannelCard({ def, settings, setSettings }) {
+  const config = channelConfig(settings, def.key);
+  const [testStatus, setTestStatus] = useState("");
+  const available = !def.available || def.available();
+  const allThresholds = settings.thresholds || DEFAULT_THRESHOLDS;
+  const enabledThresholds = config.thresholds || allThresholds;
+
+  const update = (patch) =>
+    setSettings((s) => ({
+      ...s,
+      channels: {
+        ...(s.channels || {}),
+        [def.key]: { ...(s.channels?.[def.key] || {}), ...patch },
+      },
+    }));
+
+  const toggleThreshold = (t) =>
+    update({
+      thresholds: enabledThresholds.includes(t)
+        ? enabledThresholds.filter((x) => x !== t)
+        : [...enabledThresholds, t],
+    });
+
+  const sendTest = async () => {
+    setTestStatus("Sending…");
+    try {
+      // the browser only shows the permission prompt after a user gesture
+      if (def.key === "browser" && Notification.permission === "default")
+        await Notification.requestPermission();
+      await testChannel(settings, def.key);
+      setTestStatus("Test sent.");
+    } catch (e) {
+      setTestStatus(`Failed: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="rounded-xl ring-1 ring-slate-200 p-3">
+      <label className="flex items-center gap-2 text-sm font-medium">
+        <input
+          type="checkbox"
+          checked={config.enabled}
+          disabled={!available}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        {def.label}
+        {!available && (
+          <span className="text-xs font-normal text-slate-400">
+            (not supported in this browser)
+          </span>
+        )}
+      </label>
+
+      {config.enabled && (
+        <div className="mt-3 grid gap-3 sm:grid-cols-2">
+          {def.fields.map((f) => (
+            <div key={f.key} className={f.options ? "" : "sm:col-span-2"}>
+              <label className="block text-xs text-slate-500 mb-1">
+                {f.label}
+              </label>
+              {f.options ? (
+                <select
+                  value={config[f.key]}
+                  onChange={(e) => update({ [f.key]: e.target.value })}
+                  className={inputCls}
+                >
+                  {f.options.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  value={config[f.key] || ""}
+                  onChange={(e) => update({ [f.key]: e.target.value })}
+                  placeholder={f.placeholder}
+                  className={inputCls}
+                />
+              )}
+            </div>
+          ))}
+
+          <div className="sm:col-span-2">
+            <span className="block text-xs text-slate-500 mb-1">
+              Notify at (days left)
+            </span>
+            <div className="flex flex-wrap gap-3 text-sm">
+              {allThresholds.map((t) => (
+                <label key={t} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={enabledThresholds.includes(t)}
+                    onChange={() => toggleThreshold(t)}
+                  />
+                  {t}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="sm:col-span-2 flex flex-wrap items-center gap-2">
+            <button onClick={sendTest} className={buttonCls}>
+              Send test
+            </button>
+            {testStatus && (
+              <span className="text-xs text-slate-500">{testStatus}</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =============================
+// Settings section: chat, desktop and push notification channels
+// =============================
+export default function ChannelSettings({ settings, setSettings }) {
+  return (
+    <div className="sm:col-span-2 border-t pt-4">
+      <h3 className="text-sm font-semibold mb-1">Other channels</h3>
+      <p className="text-xs text-slate-500 mb-2">
+        Sent alongside the reminder emails, with the same digest setting. Each
+        channel keeps track of what it has already sent.
+      </p>
+      <div className="space-y-2">
+        {Object.values(CHANNELS).map((def) => (
+          <ChannelCard
+            key={def.key}
+            def={def}
+            settings={settings}
+            setSettings={setSettings}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React from "react";
+import {
+  TOTALS_MODES,
+  rowCurrency,
+  workspaceCurrency,
+} from "../lib/currency.js";
+import { CURRENCIES, LOCALES, formatsFor } from "../lib/format.js";
+import { COUNTRIES, DEFAULT_PHONE_COUNTRY } from "../lib/phone.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+
+// =============================
+// Settings section: workspace currency, locale, phone country and exchange
+// rates
+// =============================
+export default function CurrencySettings({ settings, setSettings, rows }) {
+  const base = workspaceCurrency(settings);
+  const rates = settings.rates || {};
+  const fmt = formatsFor(settings);
+  // every currency the lines use, plus any rate already entered
+  const others = [
+    ...new Set([
+      ...rows.map((r) => rowCurrency(r, settings)),
+      ...Object.keys(rates),
+    ]),
+  ]
+    .filter((c) => c !== base)
+    .sort();
+
+  const set = (key, value) => setSettings((s) => ({ ...s, [key]: value }));
+  const setRate = (currency, value) =>
+    setSettings((s) => ({
+      ...s,
+      rates: { ...(s.rates || {}), [currency]: value },
+    }));
+
+  return (
+    <div className="sm:col-span-2 border-t pt-4">
+      <h3 className="text-sm font-semibold mb-1">Currency &amp; locale</h3>
+      <p className="text-xs text-slate-500 mb-2">
+        Lines are priced in the workspace currency unless their pricing says
+        otherwise. The locale sets how amounts and dates are shown, e.g.{" "}
+        {fmt.money(1234.5)} on {fmt.date("2025-12-31")}. Phone numbers without a
+        country code are read as numbers in the phone country.
+      </p>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">
+            Workspace currency
+          </label>
+          <select
+            value={base}
+            onChange={(e) => set("currency", e.target.value)}
+            className={inputCls}
+          >
+            {Object.entries(CURRENCIES).map(([code, name]) => (
+              <option key={code} value={code}>
+                {code} — {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Locale</label>
+          <select
+            value={settings.locale || ""}
+            onChange={(e) => set("locale", e.target.value)}
+            className={inputCls}
+          >
+            {Object.entries(LOCALES).map(([code, name]) => (
+              <option key={code} value={code}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Totals</label>
+          <select
+            value={settings.totalsMode || "group"}
+            onChange={(e) => set("totalsMode", e.target.value)}
+            className={inputCls}
+          >
+            {Object.entries(TOTALS_MODES).map(([k, m]) => (
+              <option key={k} value={k}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">
+            Phone country
+          </label>
+          <select
+            value={settings.phoneCountry || DEFAULT_PHONE_COUNTRY}
+            onChange={(e) => set("phoneCountry", e.target.value)}
+            className={inputCls}
+          >
+            {Object.entries(COUNTRIES).map(([code, c]) => (
+              <option key={code} value={code}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {others.length > 0 && (
+        <div className="mt-3">
+          <div className="text-xs text-slate-500 mb-1">
+            Exchange rates, used to convert totals and the forecast
+          </div>
+          <div className="grid gap-2 sm:grid-cols-3">
+            {others.map((c) => (
+              <label key={c} className="flex items-center gap-2 text-sm">
+                <span className="w-20 shrink-0">1 {c} =</span>
+                <input
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="any"
+                  value={rates[c] ?? ""}
+                  onChange={(e) => setRate(c, e.target.value)}
+                  placeholder="rate"
+                  className={inputCls}
+                />
+                <span>{base}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import { MAX_ATTEMPTS } from "../lib/deliveries.js";
+
+const STATUS_STYLES = {
+  sent: "bg-emerald-50 ring-emerald-200 text-emerald-700",
+  failed: "bg-red-50 ring-red-200 text-red-700",
+  handled: "bg-slate-100 ring-slate-200 text-slate-600",
+};
+
+// =============================
+// Settings tab: delivery history and retry queue
+// =============================
+export default function DeliveryLog({
+  deliveries,
+  fmt,
+  onResend,
+  onMarkHandled,
+}) {
+  const fmtTime = (iso) => fmt.dateTime(iso) || "—";
+  const [onlyFailed, setOnlyFailed] = useState(false);
+  const [busy, setBusy] = useState(null); // entry id being resent
+  const list = onlyFailed
+    ? deliveries.filter((e) => e.status === "failed")
+    : deliveries;
+
+  const resend = async (entry) => {
+    setBusy(entry.id);
+    try {
+      await onResend(entry);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!deliveries.length)
+    return (
+      <p className="text-sm text-slate-500 py-6 text-center">
+        No reminders have been attempted yet.
+      </p>
+    );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs text-slate-500">
+          Failed sends are retried automatically with backoff (5 min, 10 min, 20
+          min… up to a day apart) for {MAX_ATTEMPTS} attempts.
+        </p>
+        <label className="flex items-center gap-2 text-xs text-slate-500 whitespace-nowrap ml-2">
+          <input
+            type="checkbox"
+            checked={onlyFailed}
+            onChange={(e) => setOnlyFailed(e.target.checked)}
+          />
+          Failed only
+        </label>
+      </div>
+      <div className="overflow-auto rounded-xl ring-1 ring-slate-200 max-h-[60vh]">
+        <table className="min-w-full text-xs">
+          <thead className="bg-slate-50 sticky top-0">
+            <tr>
+              <th className="px-2 py-1 text-left">Last attempt</th>
+              <th className="px-2 py-1 text-left">Message</th>
+              <th className="px-2 py-1 text-left">To / via</th>
+              <th className="px-2 py-1 text-left">Status</th>
+              <th className="px-2 py-1 text-right">Tries</th>
+              <th className="px-2 py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((e) => (
+              <tr key={e.id} className="border-t align-top">
+                <td className="px-2 py-1 whitespace-nowrap">
+                  {fmtTime(e.lastAttemptAt)}
+                </td>
+                <td className="px-2 py-1">
+                  <div>{e.subject || "(no subject)"}</div>
+                  {e.kind === "digest" && (
+                    <div className="text-slate-400">
+                      Digest · {e.keys.length} lines
+                    </div>
+                  )}
+                  {e.error && <div className="text-red-700">{e.error}</div>}
+                  {e.status === "failed" && (
+                    <div className="text-slate-400">
+                      {e.nextRetryAt
+                        ? `Next retry ${fmtTime(e.nextRetryAt)}`
+                        : "No more automatic retries"}
+                    </div>
+                  )}
+                </td>
+                <td className="px-2 py-1">
+                  <div>{e.recipient || "—"}</div>
+                  <div className="text-slate-400">{e.provider}</div>
+                </td>
+                <td className="px-2 py-1">
+                  <span
+                    className={`inline-flex px-2 py-0.5 rounded-full ring-1 ${
+                      STATUS_STYLES[e.status]
+                    }`}
+                  >
+                    {e.status}
+                  </span>
+                </td>
+                <td className="px-2 py-1 text-right">{e.attempts}</td>
+                <td className="px-2 py-1 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => resend(e)}
+                    disabled={busy === e.id}
+                    className="px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    {busy === e.id ? "Sending…" : "Resend"}
+                  </button>
+                  {e.status === "failed" && (
+                    <button
+                      onClick={() => onMarkHandled(e)}
+                      className="ml-1 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white hover:bg-slate-50"
+                    >
+                      Mark handled
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
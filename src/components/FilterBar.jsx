@@ -0,0 +1,204 @@
+import React from "react";
+import {
+  END_RANGES,
+  STATUS_FILTERS,
+  activeFilterCount,
+  emptyFilters,
+} from "../lib/filters.js";
+
+const inputCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+// select values for null (any) and "" (none) in owner / tag / cost centre
+const ANY = "*any";
+const NONE = "*none";
+
+// One of the "any / none / a value" filters; options = [[value, label]]
+function ChoiceFilter({ value, onChange, anyLabel, noneLabel, options }) {
+  return (
+    <select
+      value={value == null ? ANY : value === "" ? NONE : value}
+      onChange={(e) =>
+        onChange(
+          e.target.value === ANY
+            ? null
+            : e.target.value === NONE
+              ? ""
+              : e.target.value
+        )
+      }
+      className={inputCls}
+    >
+      <option value={ANY}>{anyLabel}</option>
+      <option value={NONE}>{noneLabel}</option>
+      {options.map(([v, label]) => (
+        <option key={v} value={v}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// =============================
+// Filter chips, ranges and saved views above the table
+// =============================
+export default function FilterBar({
+  filters,
+  setFilters,
+  owners,
+  tags,
+  costCentres,
+  views,
+  viewId,
+  viewModified,
+  onSelectView,
+  onSaveView,
+  onUpdateView,
+  onDeleteView,
+}) {
+  const set = (patch) => setFilters((f) => ({ ...f, ...patch }));
+  const toggleStatus = (key) =>
+    set({
+      statuses: filters.statuses.includes(key)
+        ? filters.statuses.filter((s) => s !== key)
+        : [...filters.statuses, key],
+    });
+  const count = activeFilterCount(filters);
+
+  return (
+    <div className="mb-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-slate-500">View:</span>
+        <select
+          value={viewId}
+          onChange={(e) => onSelectView(e.target.value)}
+          className={inputCls}
+        >
+          <option value="">All lines</option>
+          {views.map((v) => (
+            <option key={v.id} value={v.id}>
+              {v.name}
+            </option>
+          ))}
+        </select>
+        {viewId && viewModified && (
+          <button onClick={onUpdateView} className={buttonCls}>
+            Update view
+          </button>
+        )}
+        <button onClick={onSaveView} className={buttonCls}>
+          Save as view…
+        </button>
+        {viewId && (
+          <button
+            onClick={onDeleteView}
+            className="px-3 py-2 rounded-xl ring-1 ring-red-200 text-red-700 bg-white hover:bg-red-50 shadow-sm"
+          >
+            Delete view
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {Object.entries(STATUS_FILTERS).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => toggleStatus(key)}
+            aria-pressed={filters.statuses.includes(key)}
+            className={`px-3 py-1 rounded-full ring-1 ${
+              filters.statuses.includes(key)
+                ? "bg-indigo-600 ring-indigo-600 text-white"
+                : "bg-white ring-slate-200 text-slate-600 hover:bg-slate-50"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+
+        <select
+          value={filters.end}
+          onChange={(e) => set({ end: e.target.value })}
+          className={inputCls}
+        >
+          {Object.entries(END_RANGES).map(([key, { label }]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {filters.end === "custom" && (
+          <>
+            <input
+              type="date"
+              value={filters.endFrom}
+              onChange={(e) => set({ endFrom: e.target.value })}
+              aria-label="Ends on or after"
+              className={inputCls}
+            />
+            <span className="text-slate-400">to</span>
+            <input
+              type="date"
+              value={filters.endTo}
+              onChange={(e) => set({ endTo: e.target.value })}
+              aria-label="Ends on or before"
+              className={inputCls}
+            />
+          </>
+        )}
+
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={filters.costMin}
+          onChange={(e) => set({ costMin: e.target.value })}
+          placeholder="Min / month"
+          className={`${inputCls} w-32`}
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={filters.costMax}
+          onChange={(e) => set({ costMax: e.target.value })}
+          placeholder="Max / month"
+          className={`${inputCls} w-32`}
+        />
+
+        <ChoiceFilter
+          value={filters.owner}
+          onChange={(owner) => set({ owner })}
+          anyLabel="Any owner"
+          noneLabel="No owner"
+          options={owners.map((o) => [o, o])}
+        />
+        <ChoiceFilter
+          value={filters.tag}
+          onChange={(tag) => set({ tag })}
+          anyLabel="Any tag"
+          noneLabel="No tag"
+          options={tags.map((t) => [t, t])}
+        />
+        <ChoiceFilter
+          value={filters.costCentre}
+          onChange={(costCentre) => set({ costCentre })}
+          anyLabel="Any cost centre"
+          noneLabel="No cost centre"
+          options={costCentres}
+        />
+
+        {count > 0 && (
+          <button
+            onClick={() => setFilters(emptyFilters())}
+            className="text-indigo-700 hover:underline"
+          >
+            Clear {count} filter{count === 1 ? "" : "s"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
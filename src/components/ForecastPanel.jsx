@@ -0,0 +1,221 @@
+import React, { useMemo, useState } from "react";
+import { missingRates } from "../lib/currency.js";
+import { renewalTimeline, spendForecast } from "../lib/forecast.js";
+import { formatsFor } from "../lib/format.js";
+
+const HORIZONS = [12, 24];
+
+// Chart geometry (SVG user units; the SVG scales to its container)
+const W = 720;
+const H = 220;
+const PAD = { top: 10, right: 10, bottom: 28, left: 56 };
+
+// Round the axis maximum up to 1 / 2 / 5 × 10^n.
+function niceMax(v) {
+  if (v <= 0) return 1;
+  const p = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 5, 10].map((m) => m * p).find((m) => m >= v);
+}
+
+function SpendChart({ data, fmt }) {
+  const max = niceMax(Math.max(...data.map((d) => d.total)));
+  const plotW = W - PAD.left - PAD.right;
+  const plotH = H - PAD.top - PAD.bottom;
+  const slot = plotW / data.length;
+  const barW = Math.max(4, slot * 0.7);
+  const y = (v) => PAD.top + plotH - (v / max) * plotH;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * max);
+  const labelEvery = data.length > 12 ? 2 : 1;
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img">
+      {ticks.map((t) => (
+        <g key={t}>
+          <line
+            x1={PAD.left}
+            x2={W - PAD.right}
+            y1={y(t)}
+            y2={y(t)}
+            className="stroke-slate-200"
+          />
+          <text
+            x={PAD.left - 6}
+            y={y(t) + 4}
+            textAnchor="end"
+            className="fill-slate-400 text-[10px]"
+          >
+            {fmt.money(t).replace(/[.,]00(?=\D*$)/, "")}
+          </text>
+        </g>
+      ))}
+      {data.map((d, i) => {
+        const x = PAD.left + i * slot + (slot - barW) / 2;
+        return (
+          <g key={d.month}>
+            <title>
+              {`${fmt.month(d.month)}: ${fmt.money(d.total)} (${fmt.money(
+                d.outOfContract
+              )} out of contract)`}
+            </title>
+            <rect
+              x={x}
+              width={barW}
+              y={y(d.inContract)}
+              height={y(0) - y(d.inContract)}
+              className="fill-indigo-500"
+            />
+            <rect
+              x={x}
+              width={barW}
+              y={y(d.total)}
+              height={y(d.inContract) - y(d.total)}
+              className="fill-slate-300"
+            />
+            {i % labelEvery === 0 && (
+              <text
+                x={x + barW / 2}
+                y={H - 10}
+                textAnchor="middle"
+                className="fill-slate-500 text-[10px]"
+              >
+                {fmt.month(d.month)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// =============================
+// Dashboard section: spend forecast + renewal timeline
+// =============================
+export default function ForecastPanel({ rows, settings }) {
+  const [months, setMonths] = useState(12);
+  const [selected, setSelected] = useState(null); // "YYYY-MM" | "overdue"
+
+  const forecast = useMemo(
+    () => spendForecast(rows, new Date(), months, settings),
+    [rows, months, settings]
+  );
+  const timeline = useMemo(
+    () => renewalTimeline(rows, new Date(), months),
+    [rows, months]
+  );
+
+  const fmt = formatsFor(settings);
+  const missing = missingRates(rows, settings);
+  const total = forecast.reduce((sum, d) => sum + d.total, 0);
+  const busiest = Math.max(1, ...timeline.months.map((b) => b.rows.length));
+  const selectedRows =
+    selected === "overdue"
+      ? timeline.overdue
+      : timeline.months.find((b) => b.month === selected)?.rows || [];
+
+  return (
+    <section className="mb-4 bg-white rounded-2xl shadow p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div>
+          <h2 className="font-semibold">Forecast</h2>
+          <p className="text-xs text-slate-500">
+            {fmt.money(total)} over the next {months} months if nothing is
+            renewed. Lines past their end date continue at their out-of-contract
+            price.
+          </p>
+          {missing.length > 0 && (
+            <p className="text-xs text-amber-700">
+              Lines priced in {missing.join(", ")} are left out: add an exchange
+              rate in Settings to include them.
+            </p>
+          )}
+        </div>
+        <div className="flex gap-1">
+          {HORIZONS.map((h) => (
+            <button
+              key={h}
+              onClick={() => setMonths(h)}
+              className={`px-3 py-1 rounded-xl ring-1 text-sm ${
+                months === h
+                  ? "bg-indigo-600 text-white ring-indigo-600"
+                  : "bg-white ring-slate-200 hover:bg-slate-50"
+              }`}
+            >
+              {h} months
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <SpendChart data={forecast} fmt={fmt} />
+      <div className="flex gap-4 text-xs text-slate-500 mb-4">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-2 w-3 bg-indigo-500" /> In contract
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-2 w-3 bg-slate-300" /> Out of contract
+        </span>
+      </div>
+
+      <h3 className="text-sm font-semibold mb-2">Contracts ending</h3>
+      <div className="flex gap-1 overflow-x-auto pb-1">
+        {timeline.overdue.length > 0 && (
+          <button
+            onClick={() =>
+              setSelected((s) => (s === "overdue" ? null : "overdue"))
+            }
+            className={`shrink-0 w-14 rounded-lg ring-1 p-1 text-center ${
+              selected === "overdue"
+                ? "ring-red-400 bg-red-50"
+                : "ring-red-200 hover:bg-red-50"
+            }`}
+          >
+            <div className="text-lg font-semibold text-red-700">
+              {timeline.overdue.length}
+            </div>
+            <div className="text-[10px] text-red-700">Ended</div>
+          </button>
+        )}
+        {timeline.months.map((b) => (
+          <button
+            key={b.month}
+            onClick={() => setSelected((s) => (s === b.month ? null : b.month))}
+            disabled={!b.rows.length}
+            className={`shrink-0 w-14 rounded-lg ring-1 p-1 text-center disabled:cursor-default ${
+              selected === b.month
+                ? "ring-indigo-400 bg-indigo-50"
+                : "ring-slate-200 enabled:hover:bg-slate-50"
+            }`}
+          >
+            <div className="h-10 flex items-end justify-center">
+              <div
+                className="w-4 rounded-t bg-orange-400"
+                style={{ height: `${(b.rows.length / busiest) * 100}%` }}
+              />
+            </div>
+            <div className="text-sm font-semibold">{b.rows.length}</div>
+            <div className="text-[10px] text-slate-500">
+              {fmt.month(b.month)}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <ul className="mt-2 text-sm space-y-1">
+          {selectedRows.map((r) => (
+            <li key={r.id}>
+              • {fmt.phone(r.phone) || r.label || "(unnamed)"}
+              {r.phone && r.label ? ` (${r.label})` : ""} — ends{" "}
+              {fmt.date(r.endDate)}
+              {r.noticeBy ? `, give notice by ${fmt.date(r.noticeBy)}` : ""}
+              {Number.isFinite(r.monthlyNow)
+                ? ` — ${fmt.money(r.monthlyNow, r.currency)}/month`
+                : ""}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,72 @@
+import React from "react";
+function Term({ term, current, currency, fmt }) {
+  return (
+    <li
+      className={`rounded-xl ring-1 p-3 text-sm ${
+        current ? "ring-indigo-200 bg-indigo-50/50" : "ring-slate-200"
+      }`}
+    >
+      <div className="flex justify-between gap-2">
+        <span className="font-medium">
+          {fmt.date(term.startDate) || "?"} → {fmt.date(term.endDate) || "?"}
+        </span>
+        <span>
+          {term.costMonthly
+            ? `${fmt.money(Number(term.costMonthly), currency)}/month`
+            : "—"}
+        </span>
+      </div>
+      <div className="text-xs text-slate-500 mt-1">
+        {current ? "Current term" : `Renewed ${fmt.date(term.renewedAt)}`}
+        {term.termMonths && ` · ${term.termMonths} months`}
+        {term.noticeDays && ` · ${term.noticeDays} days' notice`}
+      </div>
+      {term.notes && <div className="text-xs mt-1">{term.notes}</div>}
+    </li>
+  );
+}
+
+// =============================
+// History drawer: every term a line has had, newest first
+// =============================
+export default function HistoryDrawer({ row, fmt, onClose }) {
+  const past = [...(row.history || [])].reverse();
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <aside className="absolute right-0 top-0 h-full w-[min(420px,92vw)] bg-white shadow-2xl overflow-auto p-6">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-semibold">
+              {fmt.phone(row.phone) || "(no number)"}
+            </h2>
+            {row.label && <p className="text-sm text-slate-500">{row.label}</p>}
+          </div>
+          <button
+            onClick={onClose}
+            className="px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white hover:bg-slate-50"
+          >
+            ✕
+          </button>
+        </div>
+        <ul className="space-y-2">
+          <Term term={row} current currency={row.currency} fmt={fmt} />
+          {past.map((term) => (
+            <Term
+              key={term.renewedAt}
+              term={term}
+              currency={row.currency}
+              fmt={fmt}
+            />
+          ))}
+        </ul>
+        {!past.length && (
+          <p className="mt-4 text-sm text-slate-500">
+            No earlier terms yet. Use Renew to start a new term and keep this
+            one on record.
+          </p>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,484 @@
+import React, { useMemo, useState } from "react";
+import { detectDelimiter, parseCSV } from "../lib/csv.js";
+import { dateOrder } from "../lib/format.js";
+import { IMPORT_FIELDS, buildPreview, guessMapping } from "../lib/importer.js";
+import { IMPORT_MODES, MATCH_KEYS, diffImport } from "../lib/merge.js";
+
+const DELIMITERS = [
+  { value: ",", label: "Comma (,)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "\t", label: "Tab" },
+];
+
+const DATE_ORDERS = [
+  { value: "dmy", label: "Day first (31/12/2025)" },
+  { value: "mdy", label: "Month first (12/31/2025)" },
+];
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+const FIELD_LABELS = {
+  ...Object.fromEntries(IMPORT_FIELDS.map((f) => [f.key, f.label])),
+  archivedAt: "Archived",
+};
+
+const DIFF_SECTIONS = [
+  { key: "added", label: "New", cls: "text-emerald-700" },
+  { key: "changed", label: "Changed", cls: "text-indigo-700" },
+  { key: "unchanged", label: "Unchanged", cls: "text-slate-500" },
+  { key: "missing", label: "Missing from file", cls: "text-red-700" },
+  {
+    key: "duplicates",
+    label: "Duplicate in file (skipped)",
+    cls: "text-orange-700",
+  },
+];
+
+const lineName = (r) => r.phone || r.label || "(unnamed)";
+
+// =============================
+// Import wizard: map columns → review → merge → commit
+// =============================
+// Takes a CSV file's `text`, or an Excel file's `sheets` ([{ name, records }]
+// from lib/xlsx.js) to pick a worksheet from; the steps after that are the
+// same.
+export default function ImportWizard({
+  fileName,
+  text,
+  sheets,
+  existingRows,
+  locale,
+  phoneCountry,
+  onImport,
+  onClose,
+}) {
+  const [delimiter, setDelimiter] = useState(() =>
+    sheets ? "," : detectDelimiter(text)
+  );
+  // first worksheet with anything on it
+  const [sheet, setSheet] = useState(() =>
+    Math.max(0, sheets?.findIndex((s) => s.records.length) ?? 0)
+  );
+  const readRecords = (nextDelimiter, nextSheet) =>
+    sheets
+      ? sheets[nextSheet]?.records || []
+      : parseCSV(text, { delimiter: nextDelimiter });
+  const [hasHeader, setHasHeader] = useState(true);
+  // ISO dates always work; this only decides how 03/04/2025 is read
+  const [order, setOrder] = useState(() =>
+    dateOrder(locale) === "mdy" ? "mdy" : "dmy"
+  );
+  const records = useMemo(
+    () =>
+      sheets ? sheets[sheet]?.records || [] : parseCSV(text, { delimiter }),
+    [text, sheets, sheet, delimiter]
+  );
+  const header = useMemo(
+    () =>
+      hasHeader
+        ? records[0] || []
+        : (records[0] || []).map((_, i) => `Column ${i + 1}`),
+    [records, hasHeader]
+  );
+
+  const [mapping, setMapping] = useState(() => guessMapping(header));
+  const [step, setStep] = useState("map"); // "map" | "review" | "merge"
+  // rows the user explicitly toggled away from the default (valid = included)
+  const [toggled, setToggled] = useState(() => new Set());
+
+  const preview = useMemo(
+    () =>
+      buildPreview(records, mapping, {
+        hasHeader,
+        dateOrder: order,
+        phoneCountry,
+      }),
+    [records, mapping, hasHeader, order, phoneCountry]
+  );
+  const isIncluded = (p) => (p.issues.length === 0) !== toggled.has(p.line);
+  const included = useMemo(
+    () =>
+      preview.filter((p) => (p.issues.length === 0) !== toggled.has(p.line)),
+    [preview, toggled]
+  );
+  const invalidCount = preview.filter((p) => p.issues.length).length;
+
+  const changeParsing = (nextDelimiter, nextHasHeader, nextSheet = sheet) => {
+    const recs = readRecords(nextDelimiter, nextSheet);
+    const hdr = nextHasHeader ? recs[0] || [] : [];
+    setDelimiter(nextDelimiter);
+    setHasHeader(nextHasHeader);
+    setSheet(nextSheet);
+    setMapping(guessMapping(hdr));
+    setToggled(new Set());
+  };
+
+  const toggle = (line) =>
+    setToggled((prev) => {
+      const next = new Set(prev);
+      if (next.has(line)) next.delete(line);
+      else next.add(line);
+      return next;
+    });
+
+  const [matchBy, setMatchBy] = useState("phone");
+  const [mode, setMode] = useState("update");
+  const [openSection, setOpenSection] = useState("changed");
+  const diff = useMemo(
+    () =>
+      step === "merge"
+        ? diffImport(
+            existingRows,
+            included.map((p) => p.values),
+            {
+              matchBy,
+              country: phoneCountry,
+              // a mapped term also produces the end date
+              fields: IMPORT_FIELDS.map((f) => f.key).filter(
+                (k) =>
+                  mapping[k] >= 0 ||
+                  (k === "endDate" && mapping.termMonths >= 0)
+              ),
+            }
+          )
+        : null,
+    [step, existingRows, included, matchBy, mapping, phoneCountry]
+  );
+
+  const commit = () => {
+    onImport({ diff, mode });
+    onClose();
+  };
+
+  const willApply = diff && {
+    added: diff.added.length,
+    updated: mode === "add" ? 0 : diff.changed.length,
+    archived: mode === "sync" ? diff.missing.length : 0,
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-[min(960px,94vw)] max-h-[90vh] overflow-auto p-6">
+        <h2 className="text-xl font-semibold mb-1">
+          Import {sheets ? "Excel" : "CSV"}
+        </h2>
+        <p className="text-sm text-slate-500 mb-4">
+          {fileName} — {Math.max(0, records.length - (hasHeader ? 1 : 0))} data
+          rows
+        </p>
+
+        {step === "map" && (
+          <>
+            <div className="grid gap-4 sm:grid-cols-2 mb-4">
+              {sheets ? (
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">
+                    Worksheet
+                  </label>
+                  <select
+                    value={sheet}
+                    onChange={(e) =>
+                      changeParsing(
+                        delimiter,
+                        hasHeader,
+                        Number(e.target.value)
+                      )
+                    }
+                    className={inputCls}
+                  >
+                    {sheets.map((s, i) => (
+                      <option key={i} value={i}>
+                        {s.name} ({s.records.length} rows)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">
+                    Delimiter
+                  </label>
+                  <select
+                    value={delimiter}
+                    onChange={(e) => changeParsing(e.target.value, hasHeader)}
+                    className={inputCls}
+                  >
+                    {DELIMITERS.map((d) => (
+                      <option key={d.label} value={d.value}>
+                        {d.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <label className="flex items-center gap-2 text-sm mt-5">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => changeParsing(delimiter, e.target.checked)}
+                />
+                First row is a header
+              </label>
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">
+                  Dates like 03/04/2025
+                </label>
+                <select
+                  value={order}
+                  onChange={(e) => setOrder(e.target.value)}
+                  className={inputCls}
+                >
+                  {DATE_ORDERS.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <h3 className="text-sm font-semibold mb-2">Map columns</h3>
+            <div className="grid gap-3 sm:grid-cols-2">
+              {IMPORT_FIELDS.map((f) => (
+                <div key={f.key}>
+                  <label className="block text-xs text-slate-500 mb-1">
+                    {f.label}
+                  </label>
+                  <select
+                    value={mapping[f.key]}
+                    onChange={(e) =>
+                      setMapping((m) => ({
+                        ...m,
+                        [f.key]: Number(e.target.value),
+                      }))
+                    }
+                    className={inputCls}
+                  >
+                    <option value={-1}>— don't import —</option>
+                    {header.map((h, i) => (
+                      <option key={i} value={i}>
+                        {h || `Column ${i + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-6 flex justify-end gap-2">
+              <button onClick={onClose} className={buttonCls}>
+                Cancel
+              </button>
+              <button
+                onClick={() => setStep("review")}
+                disabled={!preview.length}
+                className={`${buttonCls} disabled:opacity-50`}
+              >
+                Next: review {preview.length} rows →
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === "review" && (
+          <>
+            <p className="text-sm mb-3">
+              <span className="font-medium">{included.length}</span> of{" "}
+              {preview.length} rows will be imported.
+              {invalidCount > 0 && (
+                <span className="text-red-700">
+                  {" "}
+                  {invalidCount} row{invalidCount === 1 ? " has" : "s have"}{" "}
+                  problems and {invalidCount === 1 ? "is" : "are"} unticked by
+                  default; ticking one imports it with the bad fields left
+                  blank.
+                </span>
+              )}
+            </p>
+            <div className="overflow-auto rounded-xl ring-1 ring-slate-200 max-h-[50vh]">
+              <table className="min-w-full text-xs">
+                <thead className="bg-slate-50 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1" />
+                    <th className="px-2 py-1 text-left">Row</th>
+                    {IMPORT_FIELDS.map((f) => (
+                      <th key={f.key} className="px-2 py-1 text-left">
+                        {f.label}
+                      </th>
+                    ))}
+                    <th className="px-2 py-1 text-left">Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((p) => {
+                    const bad = new Set(p.issues.map((x) => x.field));
+                    return (
+                      <tr
+                        key={p.line}
+                        className={`border-t align-top ${
+                          p.issues.length ? "bg-red-50/60" : ""
+                        }`}
+                      >
+                        <td className="px-2 py-1">
+                          <input
+                            type="checkbox"
+                            checked={isIncluded(p)}
+                            onChange={() => toggle(p.line)}
+                          />
+                        </td>
+                        <td className="px-2 py-1 text-slate-500">{p.line}</td>
+                        {IMPORT_FIELDS.map((f) => (
+                          <td
+                            key={f.key}
+                            className={`px-2 py-1 whitespace-pre-wrap ${
+                              bad.has(f.key) ? "text-red-700 font-medium" : ""
+                            }`}
+                          >
+                            {bad.has(f.key) ? p.raw[f.key] : p.values[f.key]}
+                          </td>
+                        ))}
+                        <td className="px-2 py-1 text-red-700">
+                          {p.issues.map((x) => x.message).join("; ")}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-6 flex justify-end gap-2">
+              <button onClick={() => setStep("map")} className={buttonCls}>
+                ← Back
+              </button>
+              <button
+                onClick={() => setStep("merge")}
+                disabled={!included.length}
+                className={`${buttonCls} disabled:opacity-50`}
+              >
+                Next: compare with existing →
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === "merge" && diff && (
+          <>
+            <div className="grid gap-4 sm:grid-cols-2 mb-4">
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">
+                  Match existing lines by
+                </label>
+                <select
+                  value={matchBy}
+                  onChange={(e) => setMatchBy(e.target.value)}
+                  className={inputCls}
+                >
+                  {Object.entries(MATCH_KEYS).map(([k, m]) => (
+                    <option key={k} value={k}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">
+                  Import mode
+                </label>
+                <select
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  className={inputCls}
+                >
+                  {Object.entries(IMPORT_MODES).map(([k, m]) => (
+                    <option key={k} value={k}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-slate-400 mt-1">
+                  {IMPORT_MODES[mode].hint}
+                </p>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              {DIFF_SECTIONS.map((sec) => {
+                const items = diff[sec.key];
+                const open = openSection === sec.key && items.length > 0;
+                return (
+                  <div key={sec.key} className="rounded-xl ring-1 ring-slate-200">
+                    <button
+                      onClick={() => setOpenSection(open ? null : sec.key)}
+                      className="w-full flex justify-between px-3 py-2 text-sm"
+                    >
+                      <span className={`font-medium ${sec.cls}`}>
+                        {sec.label}
+                      </span>
+                      <span className="text-slate-500">{items.length}</span>
+                    </button>
+                    {open && (
+                      <ul className="border-t px-3 py-2 text-xs space-y-1 max-h-60 overflow-auto">
+                        {items.map((item, i) => {
+                          if (sec.key === "changed")
+                            return (
+                              <li key={item.row.id}>
+                                <span className="font-medium">
+                                  {lineName(item.row)}
+                                </span>
+                                {": "}
+                                {item.changes
+                                  .map(
+                                    (c) =>
+                                      `${FIELD_LABELS[c.field]} ${
+                                        c.from || "—"
+                                      } → ${c.to || "—"}`
+                                  )
+                                  .join("; ")}
+                              </li>
+                            );
+                          const r = item.row || item;
+                          return (
+                            <li key={r.id || i}>
+                              {lineName(r)}
+                              {r.endDate ? ` (ends ${r.endDate})` : ""}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            <p className="text-sm mt-4">
+              Will add <b>{willApply.added}</b>, update{" "}
+              <b>{willApply.updated}</b> and archive <b>{willApply.archived}</b>{" "}
+              line{willApply.archived === 1 ? "" : "s"}.
+            </p>
+
+            <div className="mt-6 flex justify-end gap-2">
+              <button onClick={() => setStep("review")} className={buttonCls}>
+                ← Back
+              </button>
+              <button
+                onClick={commit}
+                disabled={
+                  !willApply.added && !willApply.updated && !willApply.archived
+                }
+                className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm disabled:opacity-50"
+              >
+                Apply import
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
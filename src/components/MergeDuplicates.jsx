@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+function Group({ rows, fmt, onMerge }) {
+  const [keepId, setKeepId] = useState(rows[0].id);
+  return (
+    <li className="rounded-xl ring-1 ring-slate-200 p-3">
+      <div className="font-medium mb-2">{fmt.phone(rows[0].phone)}</div>
+      <ul className="space-y-1 text-sm">
+        {rows.map((r) => (
+          <li key={r.id}>
+            <label className="flex items-start gap-2">
+              <input
+                type="radio"
+                checked={keepId === r.id}
+                onChange={() => setKeepId(r.id)}
+                className="mt-1"
+              />
+              <span>
+                {r.label || "(no label)"} — {fmt.date(r.startDate) || "?"} →{" "}
+                {fmt.date(r.endDate) || "?"}
+                {r.costMonthly
+                  ? `, ${fmt.money(Number(r.costMonthly), r.currency)}/month`
+                  : ""}
+                {r.notes && (
+                  <span className="block text-xs text-slate-500">
+                    {r.notes}
+                  </span>
+                )}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      <div className="mt-2 flex justify-end">
+        <button
+          onClick={() =>
+            onMerge(
+              keepId,
+              rows.filter((r) => r.id !== keepId).map((r) => r.id)
+            )
+          }
+          className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm"
+        >
+          Merge into selected
+        </button>
+      </div>
+    </li>
+  );
+}
+
+// =============================
+// Merge dialog: lines sharing a phone number, one merge per number
+// =============================
+export default function MergeDuplicates({ groups, fmt, onMerge, onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-[min(560px,92vw)] max-h-[90vh] overflow-auto p-6">
+        <h2 className="text-xl font-semibold mb-1">Duplicate numbers</h2>
+        <p className="text-sm text-slate-500 mb-4">
+          Pick the line with the current term. Its blank fields are filled from
+          the others, notes and past terms are kept, and the others are deleted.
+        </p>
+        {groups.length ? (
+          <ul className="space-y-3">
+            {groups.map((g) => (
+              <Group key={g[0].id} rows={g} fmt={fmt} onMerge={onMerge} />
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-slate-500">No duplicates left.</p>
+        )}
+        <div className="mt-6 flex justify-end">
+          <button onClick={onClose} className={buttonCls}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
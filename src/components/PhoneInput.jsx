@@ -0,0 +1,30 @@
+import React, { useState } from "react";
+import { COUNTRIES, formatPhone, phoneError, toE164 } from "../lib/phone.js";
+
+// =============================
+// Phone cell: shows the formatted number, stores E.164 once you leave it
+// =============================
+export default function PhoneInput({ value, country, className, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const error = editing ? "" : phoneError(value, country);
+
+  return (
+    <>
+      <input
+        className={`${className} ${error ? "ring-red-300" : "ring-slate-200"}`}
+        value={editing ? value : formatPhone(value, country)}
+        placeholder={(COUNTRIES[country] || COUNTRIES.GB).example}
+        aria-invalid={Boolean(error)}
+        title={error || undefined}
+        onFocus={() => setEditing(true)}
+        onChange={(e) => onChange(e.target.value)}
+        onBlur={() => {
+          setEditing(false);
+          const e164 = toE164(value, country);
+          if (e164 && e164 !== value) onChange(e164);
+        }}
+      />
+      {error && <div className="mt-1 text-[10px] text-red-600">{error}</div>}
+    </>
+  );
+}
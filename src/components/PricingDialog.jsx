@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { DEFAULT_CPI_RATE, RISE_TYPES, costSummary } from "../lib/costs.js";
+import { CURRENCIES } from "../lib/format.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+const PRICE_FIELDS = [
+  { key: "costMonthly", label: "Airtime / month", placeholder: "0.00" },
+  { key: "deviceMonthly", label: "Device plan / month", placeholder: "0.00" },
+  { key: "upfrontCost", label: "Upfront (one-off)", placeholder: "0.00" },
+  {
+    key: "oocMonthly",
+    label: "Out-of-contract / month",
+    placeholder: "Same as airtime",
+  },
+];
+
+// =============================
+// Pricing dialog: the cost-model fields of one line, with a live summary
+// =============================
+export default function PricingDialog({ row, settings, fmt, onSave, onClose }) {
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(
+      [
+        ...PRICE_FIELDS.map((f) => f.key),
+        "riseType",
+        "riseValue",
+        "vatIncluded",
+        "currency",
+      ].map((k) => [k, row[k] ?? ""])
+    )
+  );
+  const set = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+  const summary = costSummary({ ...row, ...draft }, new Date(), settings);
+  const basis = settings.vatBasis === "inc" ? "inc. VAT" : "ex. VAT";
+  const currency = draft.currency || fmt.currency;
+  const money = (n) => (Number.isFinite(n) ? fmt.money(n, currency) : "—");
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-[min(560px,92vw)] max-h-[90vh] overflow-auto p-6">
+        <h2 className="text-xl font-semibold mb-1">
+          Pricing — {fmt.phone(row.phone) || row.label || "(unnamed)"}
+        </h2>
+        <p className="text-sm text-slate-500 mb-4">
+          Device plans stop at the end date; April rises apply to airtime only.
+        </p>
+
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="sm:col-span-2">
+            <label className="block text-xs text-slate-500 mb-1">
+              Currency
+            </label>
+            <select
+              value={draft.currency}
+              onChange={(e) => set("currency", e.target.value)}
+              className={inputCls}
+            >
+              <option value="">Workspace default ({fmt.currency})</option>
+              {Object.entries(CURRENCIES).map(([code, name]) => (
+                <option key={code} value={code}>
+                  {code} — {name}
+                </option>
+              ))}
+              {draft.currency && !CURRENCIES[draft.currency] && (
+                <option value={draft.currency}>{draft.currency}</option>
+              )}
+            </select>
+          </div>
+          {PRICE_FIELDS.map((f) => (
+            <div key={f.key}>
+              <label className="block text-xs text-slate-500 mb-1">
+                {f.label} ({currency})
+              </label>
+              <input
+                type="number"
+                inputMode="decimal"
+                min="0"
+                value={draft[f.key]}
+                onChange={(e) => set(f.key, e.target.value)}
+                placeholder={f.placeholder}
+                className={inputCls}
+              />
+            </div>
+          ))}
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              Annual price rise
+            </label>
+            <select
+              value={draft.riseType}
+              onChange={(e) => set("riseType", e.target.value)}
+              className={inputCls}
+            >
+              {Object.entries(RISE_TYPES).map(([k, t]) => (
+                <option key={k} value={k}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {draft.riseType && (
+            <div>
+              <label className="block text-xs text-slate-500 mb-1">
+                {draft.riseType === "cpi"
+                  ? "x (% on top of CPI)"
+                  : `Uplift ${currency} / month`}
+              </label>
+              <input
+                type="number"
+                inputMode="decimal"
+                min="0"
+                value={draft.riseValue}
+                onChange={(e) => set("riseValue", e.target.value)}
+                placeholder={draft.riseType === "cpi" ? "3.9" : "2.00"}
+                className={inputCls}
+              />
+            </div>
+          )}
+          <label className="sm:col-span-2 flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={Boolean(draft.vatIncluded)}
+              onChange={(e) =>
+                set("vatIncluded", e.target.checked ? "yes" : "")
+              }
+            />
+            These prices include VAT
+          </label>
+        </div>
+
+        <dl className="mt-4 grid grid-cols-2 gap-2 text-sm rounded-xl bg-slate-50 p-3">
+          <dt className="text-slate-500">This month</dt>
+          <dd className="text-right">{money(summary.monthlyNow)}</dd>
+          <dt className="text-slate-500">Total contract value</dt>
+          <dd className="text-right">{money(summary.contractValue)}</dd>
+          <dt className="text-slate-500">Remaining committed</dt>
+          <dd className="text-right">{money(summary.remainingSpend)}</dd>
+          <dt className="text-slate-500">Effective / month</dt>
+          <dd className="text-right">{money(summary.effectiveMonthly)}</dd>
+          <dd className="col-span-2 text-xs text-slate-400">
+            Shown {basis}. Future CPI is assumed to be{" "}
+            {settings.cpiRate ?? DEFAULT_CPI_RATE}%.
+          </dd>
+        </dl>
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button onClick={onClose} className={buttonCls}>
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              onSave(draft);
+              onClose();
+            }}
+            className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import { renewalDefaults, termEndDate } from "../lib/rows.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+
+// =============================
+// Renew dialog: archive the current term and start the next one
+// =============================
+export default function RenewDialog({ row, fmt, onRenew, onClose }) {
+  const [next, setNext] = useState(() => renewalDefaults(row, todayISO()));
+  const set = (key, value) => setNext((n) => ({ ...n, [key]: value }));
+
+  const derivedEnd = termEndDate(next.startDate, next.termMonths);
+  const endDate = derivedEnd || next.endDate;
+  const invalid =
+    !next.startDate || !endDate || endDate < next.startDate
+      ? "Set a start date and either a term or an end date after it."
+      : "";
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-[min(560px,92vw)] max-h-[90vh] overflow-auto p-6">
+        <h2 className="text-xl font-semibold mb-1">
+          Renew {fmt.phone(row.phone) || row.label || "(unnamed)"}
+        </h2>
+        <p className="text-sm text-slate-500 mb-4">
+          The current term ({fmt.date(row.startDate) || "?"} →{" "}
+          {fmt.date(row.endDate) || "?"}
+          {row.costMonthly
+            ? `, ${fmt.money(Number(row.costMonthly), row.currency)}/month`
+            : ""}
+          ) moves to the line's history and its reminders start over.
+        </p>
+
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              New start date
+            </label>
+            <input
+              type="date"
+              value={next.startDate}
+              onChange={(e) => set("startDate", e.target.value)}
+              className={inputCls}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              Term (months)
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={next.termMonths}
+              onChange={(e) => set("termMonths", e.target.value)}
+              placeholder="24"
+              className={inputCls}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              New end date
+            </label>
+            <input
+              type="date"
+              value={endDate}
+              readOnly={Boolean(derivedEnd)}
+              onChange={(e) => set("endDate", e.target.value)}
+              className={`${inputCls} read-only:bg-slate-50 read-only:text-slate-500`}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              Notice period (days)
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={next.noticeDays}
+              onChange={(e) => set("noticeDays", e.target.value)}
+              placeholder="30"
+              className={inputCls}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">
+              New {row.currency || fmt.currency} / month
+            </label>
+            <input
+              type="number"
+              inputMode="decimal"
+              value={next.costMonthly}
+              onChange={(e) => set("costMonthly", e.target.value)}
+              placeholder="0.00"
+              className={inputCls}
+            />
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-xs text-slate-500 mb-1">
+              Tariff / notes
+            </label>
+            <input
+              value={next.notes}
+              onChange={(e) => set("notes", e.target.value)}
+              placeholder="Notes (network, data, etc.)"
+              className={inputCls}
+            />
+          </div>
+        </div>
+
+        {invalid && <p className="mt-3 text-sm text-red-700">{invalid}</p>}
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button onClick={onClose} className={buttonCls}>
+            Cancel
+          </button>
+          <button
+            disabled={Boolean(invalid)}
+            onClick={() => {
+              onRenew({ ...next, endDate });
+              onClose();
+            }}
+            className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm disabled:opacity-50"
+          >
+            Renew
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useMemo, useState } from "react";
+import { RESTORE_MODES, planRestore } from "../lib/backup.js";
+
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+const plural = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+
+// =============================
+// Restore preview: what a backup changes here, replace or merge
+// =============================
+export default function RestoreDialog({
+  backup,
+  source,
+  current,
+  fmt,
+  onRestore,
+  onClose,
+}) {
+  const [mode, setMode] = useState("replace");
+  const { next, summary } = useMemo(
+    () => planRestore(current, backup, mode),
+    [current, backup, mode]
+  );
+  const { rows } = summary;
+  const rowChanges = [
+    rows.added && `${plural(rows.added, "line")} added`,
+    rows.changed && `${plural(rows.changed, "line")} updated`,
+    rows.removed && `${plural(rows.removed, "line")} removed`,
+    rows.kept &&
+      `${plural(rows.kept, "line")} that differ kept as they are here`,
+  ].filter(Boolean);
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl w-[min(560px,92vw)] max-h-[90vh] overflow-auto p-6">
+        <h2 className="text-xl font-semibold mb-1">Restore backup</h2>
+        <p className="text-sm text-slate-500 mb-4">
+          {source}
+          {backup.createdAt &&
+            ` — made ${fmt.dateTime(backup.createdAt)}`},{" "}
+          {plural(backup.rows.length, "line")}.
+          {!backup.secrets &&
+            " Credentials and webhook URLs aren't in it; the ones set here are kept."}
+        </p>
+
+        <div className="space-y-2 mb-4">
+          {Object.entries(RESTORE_MODES).map(([key, label]) => (
+            <label key={key} className="flex items-center gap-2 text-sm">
+              <input
+                type="radio"
+                checked={mode === key}
+                onChange={() => setMode(key)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <ul className="rounded-xl ring-1 ring-slate-200 p-3 text-sm space-y-1 list-disc list-inside">
+          <li>
+            Lines: {rowChanges.length ? rowChanges.join(", ") : "no changes"}
+          </li>
+          <li>
+            Settings:{" "}
+            {summary.settings.length
+              ? summary.settings.join(", ")
+              : "no changes"}
+          </li>
+          <li>
+            Reminders already sent:{" "}
+            {summary.notified
+              ? `${summary.notified} more recorded, so they aren't sent again`
+              : "no changes"}
+          </li>
+          <li>
+            Delivery log:{" "}
+            {summary.deliveries
+              ? `${plural(summary.deliveries, "entry", "entries")} from the backup`
+              : "no new entries"}
+          </li>
+        </ul>
+        <p className="text-xs text-slate-400 mt-2">
+          Changes to the lines can be undone afterwards; settings and reminder
+          history can't.
+        </p>
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button onClick={onClose} className={buttonCls}>
+            Cancel
+          </button>
+          <button
+            onClick={() => onRestore(next, mode)}
+            className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm"
+          >
+            {mode === "replace" ? "Replace" : "Merge"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
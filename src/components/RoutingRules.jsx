@@ -0,0 +1,142 @@
+import React, { useMemo } from "react";
+import { RULE_FIELDS, RULE_OPS, emptyRule, routeRow } from "../lib/routing.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const cellCls = "px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white text-sm";
+
+// =============================
+// Settings section: per-line routing rules, CC list and routing preview
+// =============================
+export default function RoutingRules({ settings, setSettings, rows }) {
+  const rules = settings.routingRules || [];
+
+  const setRules = (fn) =>
+    setSettings((s) => ({ ...s, routingRules: fn(s.routingRules || []) }));
+  const updateRule = (id, patch) =>
+    setRules((list) => list.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  // recipient → number of lines routed to them (as To)
+  const preview = useMemo(() => {
+    const counts = new Map();
+    let unrouted = 0;
+    for (const row of rows) {
+      const { to } = routeRow(row, settings);
+      if (!to.length) unrouted++;
+      for (const e of to) counts.set(e, (counts.get(e) || 0) + 1);
+    }
+    return { counts: [...counts.entries()], unrouted };
+  }, [rows, settings]);
+
+  return (
+    <div className="sm:col-span-2 border-t pt-4">
+      <h3 className="text-sm font-semibold mb-1">Routing rules</h3>
+      <p className="text-xs text-slate-500 mb-2">
+        Each line is sent to its owner email (set in the table) plus everyone
+        from matching rules. Lines with neither go to the default recipient
+        above.
+      </p>
+
+      <div className="space-y-2">
+        {rules.map((rule) => {
+          const type = RULE_FIELDS[rule.field]?.type || "text";
+          const ops = Object.entries(RULE_OPS).filter(([, o]) =>
+            o.types.includes(type)
+          );
+          return (
+            <div key={rule.id} className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-slate-500">If</span>
+              <select
+                value={rule.field}
+                onChange={(e) => {
+                  const field = e.target.value;
+                  const opOk = RULE_OPS[rule.op].types.includes(
+                    RULE_FIELDS[field].type
+                  );
+                  updateRule(rule.id, {
+                    field,
+                    op: opOk ? rule.op : "equals",
+                  });
+                }}
+                className={cellCls}
+              >
+                {Object.entries(RULE_FIELDS).map(([k, f]) => (
+                  <option key={k} value={k}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={rule.op}
+                onChange={(e) => updateRule(rule.id, { op: e.target.value })}
+                className={cellCls}
+              >
+                {ops.map(([k, o]) => (
+                  <option key={k} value={k}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                value={rule.value}
+                type={type === "number" ? "number" : "text"}
+                placeholder={type === "number" ? "40" : "Sales"}
+                onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+                className={`${cellCls} w-28`}
+              />
+              <span className="text-xs text-slate-500">→</span>
+              <input
+                value={rule.to}
+                placeholder="sales-ops@example.com"
+                onChange={(e) => updateRule(rule.id, { to: e.target.value })}
+                className={`${cellCls} flex-1 min-w-[12rem]`}
+              />
+              <button
+                onClick={() =>
+                  setRules((list) => list.filter((r) => r.id !== rule.id))
+                }
+                className="px-2 py-1 rounded-lg ring-1 ring-red-200 bg-white hover:bg-red-50 text-red-700 text-sm"
+              >
+                ✕
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <button
+        onClick={() => setRules((list) => [...list, emptyRule()])}
+        className="mt-2 px-3 py-1 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm text-sm"
+      >
+        + Add rule
+      </button>
+
+      <label className="block text-xs text-slate-500 mt-4 mb-1">
+        CC on every reminder
+      </label>
+      <input
+        value={settings.ccEmails || ""}
+        onChange={(e) =>
+          setSettings((s) => ({ ...s, ccEmails: e.target.value }))
+        }
+        placeholder="it-manager@example.com, finance@example.com"
+        className={inputCls}
+      />
+
+      {rows.length > 0 && (
+        <div className="mt-3 text-xs text-slate-500">
+          <span className="font-medium">Current routing:</span>{" "}
+          {preview.counts
+            .map(([e, n]) => `${e} (${n} line${n === 1 ? "" : "s"})`)
+            .join(", ") || "nobody"}
+          {preview.unrouted > 0 && (
+            <span className="text-orange-700">
+              {" "}
+              · {preview.unrouted} line{preview.unrouted === 1 ? "" : "s"} with
+              no recipient
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
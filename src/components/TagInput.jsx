@@ -0,0 +1,60 @@
+import React, { useId, useState } from "react";
+import { formatTags, parseTags } from "../lib/rows.js";
+
+// =============================
+// Tags cell: chips plus a box to add more, suggesting the managed tags
+// =============================
+export default function TagInput({ value, suggestions, onChange }) {
+  const [draft, setDraft] = useState("");
+  const listId = useId();
+  const tags = parseTags(value);
+  const have = new Set(tags.map((t) => t.toLowerCase()));
+
+  const add = () => {
+    if (draft.trim()) onChange(formatTags([...tags, draft]));
+    setDraft("");
+  };
+  const remove = (tag) => onChange(formatTags(tags.filter((t) => t !== tag)));
+
+  return (
+    <div className="w-48 flex flex-wrap gap-1">
+      {tags.map((t) => (
+        <span
+          key={t}
+          className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-indigo-50 ring-1 ring-indigo-200 text-indigo-700 text-xs"
+        >
+          {t}
+          <button
+            onClick={() => remove(t)}
+            aria-label={`Remove tag ${t}`}
+            className="text-indigo-400 hover:text-indigo-700"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        value={draft}
+        list={listId}
+        placeholder={tags.length ? "+" : "Add tag"}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault();
+            add();
+          } else if (e.key === "Backspace" && !draft && tags.length)
+            remove(tags[tags.length - 1]);
+        }}
+        onBlur={add}
+        className="flex-1 min-w-[4rem] px-2 py-0.5 rounded-lg ring-1 ring-slate-200 bg-white text-xs"
+      />
+      <datalist id={listId}>
+        {suggestions
+          .filter((s) => !have.has(s.toLowerCase()))
+          .map((s) => (
+            <option key={s} value={s} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+import React, { useState } from "react";
+import { parseTags } from "../lib/rows.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+const linkCls = "text-xs text-indigo-700 hover:underline";
+
+const plural = (n) => `${n} line${n === 1 ? "" : "s"}`;
+
+// =============================
+// Settings section: the managed tag and cost-centre lists
+// =============================
+// Renaming or removing one also changes the lines that use it (through
+// onRenameTag / onRenameCostCentre, so it can be undone).
+export default function TagSettings({
+  settings,
+  setSettings,
+  rows,
+  onRenameTag,
+  onRenameCostCentre,
+}) {
+  const [newTag, setNewTag] = useState("");
+  const [newCode, setNewCode] = useState("");
+  const [newName, setNewName] = useState("");
+
+  const listed = settings.tags || [];
+  const centres = settings.costCentres || [];
+
+  // usage counts; tags ignore case
+  const tagUse = new Map();
+  const centreUse = new Map();
+  for (const r of rows) {
+    for (const t of parseTags(r.tags)) {
+      const key = t.toLowerCase();
+      tagUse.set(key, {
+        name: tagUse.get(key)?.name || t,
+        count: (tagUse.get(key)?.count || 0) + 1,
+      });
+    }
+    if (r.costCentre)
+      centreUse.set(r.costCentre, (centreUse.get(r.costCentre) || 0) + 1);
+  }
+  const isListed = (t) =>
+    listed.some((l) => l.toLowerCase() === t.toLowerCase());
+  const allTags = [
+    ...listed,
+    ...[...tagUse.values()].map((u) => u.name).filter((t) => !isListed(t)),
+  ];
+  const allCentres = [
+    ...centres,
+    ...[...centreUse.keys()]
+      .filter((code) => !centres.some((c) => c.code === code))
+      .map((code) => ({ code, name: "", unlisted: true })),
+  ];
+
+  const setTags = (tags) => setSettings((s) => ({ ...s, tags }));
+  const setCentres = (costCentres) =>
+    setSettings((s) => ({ ...s, costCentres }));
+
+  const addTag = (name) => {
+    const t = name.trim();
+    if (t && !isListed(t)) setTags([...listed, t]);
+    setNewTag("");
+  };
+  const renameTag = (t) => {
+    const to = prompt(`Rename the tag "${t}" to`, t)?.trim();
+    if (!to || to === t) return;
+    setTags(
+      isListed(t)
+        ? listed.map((l) => (l.toLowerCase() === t.toLowerCase() ? to : l))
+        : listed
+    );
+    onRenameTag(t, to);
+  };
+  const removeTag = (t) => {
+    const count = tagUse.get(t.toLowerCase())?.count || 0;
+    if (
+      count &&
+      !confirm(`Remove "${t}" from the list and from ${plural(count)}?`)
+    )
+      return;
+    setTags(listed.filter((l) => l.toLowerCase() !== t.toLowerCase()));
+    if (count) onRenameTag(t, "");
+  };
+
+  const addCentre = (code, name) => {
+    const c = code.trim();
+    if (!c) return;
+    setCentres([
+      ...centres.filter((x) => x.code !== c),
+      { code: c, name: name.trim() },
+    ]);
+    setNewCode("");
+    setNewName("");
+  };
+  const renameCentre = (cc, name) =>
+    setCentres(centres.map((x) => (x.code === cc.code ? { ...x, name } : x)));
+  const recodeCentre = (cc) => {
+    const to = prompt(`Change the code "${cc.code}" to`, cc.code)?.trim();
+    if (!to || to === cc.code) return;
+    if (!cc.unlisted)
+      setCentres(
+        centres.map((x) => (x.code === cc.code ? { ...x, code: to } : x))
+      );
+    onRenameCostCentre(cc.code, to);
+  };
+  const removeCentre = (cc) => {
+    const count = centreUse.get(cc.code) || 0;
+    if (
+      count &&
+      !confirm(
+        `Remove ${cc.code} from the list and clear it on ${plural(count)}?`
+      )
+    )
+      return;
+    setCentres(centres.filter((x) => x.code !== cc.code));
+    if (count) onRenameCostCentre(cc.code, "");
+  };
+
+  return (
+    <div className="sm:col-span-2 border-t pt-4">
+      <h3 className="text-sm font-semibold mb-1">Tags &amp; cost centres</h3>
+      <p className="text-xs text-slate-500 mb-3">
+        Listed tags are suggested when tagging a line; lines can also have tags
+        that aren&apos;t listed. Cost centres are picked from this list and
+        drive the recharge summary.
+      </p>
+
+      <div className="grid gap-6 sm:grid-cols-2">
+        <div>
+          <div className="text-xs text-slate-500 mb-1">Tags</div>
+          <ul className="mb-2 divide-y rounded-xl ring-1 ring-slate-200 text-sm">
+            {allTags.map((t) => (
+              <li key={t} className="flex items-center gap-2 px-3 py-1.5">
+                <span className="flex-1">
+                  {t}
+                  <span className="ml-2 text-xs text-slate-400">
+                    {plural(tagUse.get(t.toLowerCase())?.count || 0)}
+                    {!isListed(t) && ", not listed"}
+                  </span>
+                </span>
+                {!isListed(t) && (
+                  <button onClick={() => addTag(t)} className={linkCls}>
+                    Add to list
+                  </button>
+                )}
+                <button onClick={() => renameTag(t)} className={linkCls}>
+                  Rename
+                </button>
+                <button onClick={() => removeTag(t)} className={linkCls}>
+                  Remove
+                </button>
+              </li>
+            ))}
+            {allTags.length === 0 && (
+              <li className="px-3 py-2 text-xs text-slate-400">No tags yet.</li>
+            )}
+          </ul>
+          <div className="flex gap-2">
+            <input
+              value={newTag}
+              onChange={(e) => setNewTag(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && addTag(newTag)}
+              placeholder="e.g. Loan phones"
+              className={inputCls}
+            />
+            <button onClick={() => addTag(newTag)} className={buttonCls}>
+              Add
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs text-slate-500 mb-1">Cost centres</div>
+          <ul className="mb-2 divide-y rounded-xl ring-1 ring-slate-200 text-sm">
+            {allCentres.map((cc) => (
+              <li key={cc.code} className="flex items-center gap-2 px-3 py-1.5">
+                <span className="w-20 font-mono text-xs">{cc.code}</span>
+                {cc.unlisted ? (
+                  <span className="flex-1 text-xs text-slate-400">
+                    not listed
+                  </span>
+                ) : (
+                  <input
+                    value={cc.name}
+                    onChange={(e) => renameCentre(cc, e.target.value)}
+                    placeholder="Name"
+                    className="flex-1 min-w-0 px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white"
+                  />
+                )}
+                <span className="text-xs text-slate-400">
+                  {plural(centreUse.get(cc.code) || 0)}
+                </span>
+                {cc.unlisted && (
+                  <button
+                    onClick={() => addCentre(cc.code, "")}
+                    className={linkCls}
+                  >
+                    Add to list
+                  </button>
+                )}
+                <button onClick={() => recodeCentre(cc)} className={linkCls}>
+                  Change code
+                </button>
+                <button onClick={() => removeCentre(cc)} className={linkCls}>
+                  Remove
+                </button>
+              </li>
+            ))}
+            {allCentres.length === 0 && (
+              <li className="px-3 py-2 text-xs text-slate-400">
+                No cost centres yet.
+              </li>
+            )}
+          </ul>
+          <div className="flex gap-2">
+            <input
+              value={newCode}
+              onChange={(e) => setNewCode(e.target.value)}
+              placeholder="Code, e.g. CC100"
+              className={`${inputCls} w-32`}
+            />
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) =>
+                e.key === "Enter" && addCentre(newCode, newName)
+              }
+              placeholder="Name, e.g. Sales"
+              className={inputCls}
+            />
+            <button
+              onClick={() => addCentre(newCode, newName)}
+              className={buttonCls}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useState } from "react";
+import { formatsFor } from "../lib/format.js";
+import {
+  DEFAULT_BODY_TEMPLATE,
+  DEFAULT_SUBJECT_TEMPLATE,
+  TEMPLATE_FIELDS,
+} from "../lib/reminders.js";
+import { reminderEmail, sendEmail } from "../lib/send.js";
+import { unknownPlaceholders } from "../lib/templates.js";
+
+const inputCls =
+  "w-full px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white shadow-sm";
+const buttonCls =
+  "px-3 py-2 rounded-xl ring-1 ring-slate-200 bg-white hover:bg-slate-50 shadow-sm";
+
+// Used for the preview until the table has a line with an end date.
+const SAMPLE_ROW = {
+  id: "sample",
+  phone: "07123 456789",
+  label: "Sample line",
+  startDate: "2024-01-01",
+  endDate: "2025-12-31",
+  daysLeft: 7,
+  cost: 12.5,
+  notes: "Sample notes",
+};
+
+const lineName = (r) => r.phone || r.label || "(unnamed)";
+
+// =============================
+// Settings section: reminder email templates with live preview
+// =============================
+export default function TemplateEditor({ settings, setSettings, rows }) {
+  const templates = settings.emailTemplates || {};
+  const candidates = rows.filter((r) => r.endDate);
+  const [rowId, setRowId] = useState(() => candidates[0]?.id);
+  const [testStatus, setTestStatus] = useState("");
+  const row =
+    candidates.find((r) => r.id === rowId) || candidates[0] || SAMPLE_ROW;
+
+  const setTemplate = (key, value) =>
+    setSettings((s) => ({
+      ...s,
+      emailTemplates: { ...(s.emailTemplates || {}), [key]: value },
+    }));
+
+  let preview = null;
+  let error = "";
+  try {
+    preview = reminderEmail(row, templates, formatsFor(settings));
+  } catch (e) {
+    error = e.message;
+  }
+  const unknown = unknownPlaceholders(
+    `${templates.subject || ""}${templates.body || ""}`,
+    Object.keys(TEMPLATE_FIELDS)
+  );
+
+  const sendTest = async () => {
+    setTestStatus("Sending…");
+    try {
+      const ok = await sendEmail(settings, {
+        ...preview,
+        subject: `[Test] ${preview.subject}`,
+      });
+      setTestStatus(
+        ok
+          ? `Test email sent to ${settings.notifyEmail}.`
+          : "Not sent: set a recipient and complete the provider settings."
+      );
+    } catch (e) {
+      setTestStatus(`Failed: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="sm:col-span-2 border-t pt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold">Reminder email template</h3>
+        <button
+          onClick={() =>
+            setSettings((s) => ({ ...s, emailTemplates: undefined }))
+          }
+          className="text-xs text-indigo-700 hover:underline"
+        >
+          Reset to default
+        </button>
+      </div>
+
+      <label className="block text-xs text-slate-500 mb-1">Subject</label>
+      <input
+        value={templates.subject ?? DEFAULT_SUBJECT_TEMPLATE}
+        onChange={(e) => setTemplate("subject", e.target.value)}
+        className={`${inputCls} font-mono text-xs`}
+      />
+      <label className="block text-xs text-slate-500 mt-3 mb-1">Body</label>
+      <textarea
+        rows={10}
+        value={templates.body ?? DEFAULT_BODY_TEMPLATE}
+        onChange={(e) => setTemplate("body", e.target.value)}
+        className={`${inputCls} font-mono text-xs`}
+      />
+
+      <details className="mt-2 text-xs text-slate-500">
+        <summary className="cursor-pointer">Placeholders</summary>
+        <p className="mt-1">
+          <code>{"{{field}}"}</code> inserts a value;{" "}
+          <code>{"{{#field}}…{{/field}}"}</code> is only shown when the field
+          is non-empty and <code>{"{{^field}}…{{/field}}"}</code> only when it
+          is empty.
+        </p>
+        <ul className="mt-1 grid sm:grid-cols-2 gap-x-4">
+          {Object.entries(TEMPLATE_FIELDS).map(([k, desc]) => (
+            <li key={k}>
+              <code>{`{{${k}}}`}</code> — {desc}
+            </li>
+          ))}
+        </ul>
+      </details>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <span className="text-xs text-slate-500">Preview with</span>
+        <select
+          value={row.id}
+          onChange={(e) => setRowId(e.target.value)}
+          disabled={!candidates.length}
+          className="px-2 py-1 rounded-lg ring-1 ring-slate-200 bg-white text-sm"
+        >
+          {candidates.length ? (
+            candidates.map((r) => (
+              <option key={r.id} value={r.id}>
+                {lineName(r)}
+              </option>
+            ))
+          ) : (
+            <option value="sample">Sample line</option>
+          )}
+        </select>
+        <button
+          onClick={sendTest}
+          disabled={!preview}
+          className={`${buttonCls} text-sm disabled:opacity-50`}
+        >
+          ✉️ Send test email
+        </button>
+        {testStatus && (
+          <span className="text-xs text-slate-500">{testStatus}</span>
+        )}
+      </div>
+
+      {error ? (
+        <p className="mt-2 text-xs text-red-700">Template error: {error}</p>
+      ) : (
+        <div className="mt-2 rounded-xl ring-1 ring-slate-200 bg-slate-50 p-3 text-sm">
+          <div className="font-medium">{preview.subject}</div>
+          <pre className="mt-2 whitespace-pre-wrap font-sans text-slate-700">
+            {preview.message}
+          </pre>
+        </div>
+      )}
+      {unknown.length > 0 && (
+        <p className="mt-1 text-xs text-orange-700">
+          Unknown placeholder{unknown.length === 1 ? "" : "s"} (will be blank):{" "}
+          {unknown.map((n) => `{{${n}}}`).join(", ")}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+import React, { useLayoutEffect, useRef, useState } from "react";
+
+// rows drawn above and below the visible ones, so short scrolls and
+// keyboard moves land on rows that are already there
+const OVERSCAN = 8;
+// height assumed for a row until it has been drawn once
+const ESTIMATE = 53;
+
+const CONTROLS = "input:not([type=hidden]), select, textarea";
+const FOCUSABLE = `${CONTROLS}, button, a[href]`;
+
+const controlIn = (td) => td?.querySelector(CONTROLS) || null;
+
+// focus a cell's control with its text selected, as a spreadsheet does
+const focusCell = (el) => {
+  if (!el) return;
+  el.focus();
+  if (el.tagName === "INPUT" && el.type !== "checkbox") el.select?.();
+};
+
+// caret at the very start / end of a text box (false where the input type
+// has no caret we can read, e.g. number, date and email)
+const caretAt = (el, edge) => {
+  if (el.tagName === "SELECT" || el.type === "checkbox") return true;
+  let start;
+  try {
+    start = el.selectionStart;
+  } catch {
+    return false;
+  }
+  if (start == null || start !== el.selectionEnd) return false;
+  return edge === "start" ? start === 0 : start === el.value.length;
+};
+
+// =============================
+// Table whose body only draws the rows in view, with spreadsheet-style
+// keyboard navigation between cell inputs
+// =============================
+// items: [{ key, header? }] in display order; renderItem(item) returns its
+// <tr>. Header items (group headings) are skipped by the keyboard. Row
+// heights are measured as rows are drawn, so rows may differ in height.
+//
+// Keys: ↑/↓ and Enter / Shift+Enter move to the same column in the next or
+// previous line; ←/→ move between cells once the caret is at the edge of
+// the text; Tab runs through every control as usual and carries on into
+// lines that aren't drawn yet. onPaste(event, index, cellIndex) gets pastes
+// in the body; onEditingChange(true | false) says when focus enters or
+// leaves it. The line with focus stays drawn when scrolled out of view, so
+// it keeps focus and editing doesn't end.
+export default function VirtualTable({
+  head,
+  items,
+  renderItem,
+  columns,
+  empty,
+  onPaste,
+  onEditingChange,
+  className = "",
+}) {
+  const scrollRef = useRef(null);
+  const headRef = useRef(null);
+  const bodyRef = useRef(null);
+  const heightsRef = useRef(new Map()); // item key → measured height
+  const pendingFocusRef = useRef(null); // { index, col: number | "first" | "last" }
+  const focusedKeyRef = useRef(null); // item key of the line with focus
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(800);
+  const [measured, setMeasured] = useState(0); // bumped to draw again
+
+  // top of each row, plus the total height at the end
+  const tops = new Array(items.length + 1);
+  tops[0] = 0;
+  for (let i = 0; i < items.length; i++)
+    tops[i + 1] = tops[i] + (heightsRef.current.get(items[i].key) ?? ESTIMATE);
+
+  const headHeight = headRef.current?.offsetHeight || 0;
+  const viewTop = Math.max(0, scrollTop - headHeight);
+  let first = 0;
+  let hi = items.length;
+  while (first < hi) {
+    const mid = (first + hi) >> 1;
+    if (tops[mid + 1] <= viewTop) first = mid + 1;
+    else hi = mid;
+  }
+  let last = first;
+  while (last < items.length && tops[last] < viewTop + viewport) last++;
+  first = Math.max(0, first - OVERSCAN);
+  last = Math.min(items.length, last + OVERSCAN);
+  const drawn = [];
+  for (let i = first; i < last; i++) drawn.push(i);
+  const focused = items.findIndex((it) => it.key === focusedKeyRef.current);
+  if (focused >= 0 && (focused < first || focused >= last))
+    drawn.splice(focused < first ? 0 : drawn.length, 0, focused);
+
+  // measure what was drawn, and finish a keyboard move into a new row
+  useLayoutEffect(() => {
+    let changed = false;
+    for (const tr of bodyRef.current?.rows || []) {
+      const key = tr.dataset.key;
+      if (key == null) continue;
+      if (heightsRef.current.get(key) !== tr.offsetHeight) {
+        heightsRef.current.set(key, tr.offsetHeight);
+        changed = true;
+      }
+    }
+    if (changed) setMeasured((n) => n + 1);
+
+    const pending = pendingFocusRef.current;
+    if (!pending) return;
+    const tr = bodyRef.current?.querySelector(
+      `tr[data-index="${pending.index}"]`
+    );
+    if (!tr) return;
+    pendingFocusRef.current = null;
+    const all = tr.querySelectorAll(FOCUSABLE);
+    focusCell(
+      pending.col === "first"
+        ? all[0]
+        : pending.col === "last"
+          ? all[all.length - 1]
+          : controlIn(tr.cells[pending.col])
+    );
+  }, [items, first, last, measured]);
+
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    const measure = () => setViewport(el.clientHeight);
+    measure();
+    const ro = new ResizeObserver(measure);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // Scroll row `index` into view (below the sticky header) and focus its
+  // cell `col` once it is drawn.
+  const moveTo = (index, col) => {
+    const el = scrollRef.current;
+    if (tops[index] < el.scrollTop) el.scrollTop = tops[index];
+    else if (headHeight + tops[index + 1] > el.scrollTop + el.clientHeight)
+      el.scrollTop = headHeight + tops[index + 1] - el.clientHeight;
+    setScrollTop(el.scrollTop);
+    pendingFocusRef.current = { index, col };
+    setMeasured((n) => n + 1);
+  };
+
+  // next line (not a group heading) from `index` going `step` (±1)
+  const nextLine = (index, step) => {
+    for (let i = index + step; i >= 0 && i < items.length; i += step)
+      if (!items[i].header) return i;
+    return -1;
+  };
+
+  const onKeyDown = (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    const el = e.target;
+    const tr = el.closest("tr[data-index]");
+    const td = el.closest("td");
+    if (!tr || !td) return;
+    const index = Number(tr.dataset.index);
+    const col = td.cellIndex;
+    const isControl = el.matches(CONTROLS);
+
+    if (e.key === "Tab") {
+      // only the last (first) control in a line: the next line may not be
+      // drawn yet
+      const all = [...tr.querySelectorAll(FOCUSABLE)];
+      const edge = e.shiftKey ? all[0] : all[all.length - 1];
+      const to = nextLine(index, e.shiftKey ? -1 : 1);
+      if (el !== edge || to < 0) return;
+      e.preventDefault();
+      moveTo(to, e.shiftKey ? "last" : "first");
+      return;
+    }
+    if (!isControl) return;
+
+    let vertical = 0;
+    if (e.key === "ArrowDown") vertical = 1;
+    else if (e.key === "ArrowUp") vertical = -1;
+    else if (e.key === "Enter" && el.type !== "checkbox")
+      vertical = e.shiftKey ? -1 : 1;
+    if (vertical) {
+      // leave the arrows to an open suggestion list, and to multi-line text
+      if (e.key !== "Enter" && el.list && el.value) return;
+      if (
+        el.tagName === "TEXTAREA" &&
+        !caretAt(el, vertical < 0 ? "start" : "end")
+      )
+        return;
+      const to = nextLine(index, vertical);
+      e.preventDefault();
+      if (to >= 0) moveTo(to, col);
+      return;
+    }
+
+    if (
+      (e.key === "ArrowLeft" || e.key === "ArrowRight") &&
+      !e.shiftKey &&
+      caretAt(el, e.key === "ArrowLeft" ? "start" : "end")
+    ) {
+      const cells = [...tr.cells];
+      const step = e.key === "ArrowLeft" ? -1 : 1;
+      for (let c = col + step; c >= 0 && c < cells.length; c += step) {
+        const target = controlIn(cells[c]);
+        if (!target) continue;
+        e.preventDefault();
+        focusCell(target);
+        return;
+      }
+    }
+  };
+
+  const onFocus = (e) => {
+    focusedKeyRef.current =
+      e.target.closest("tr[data-key]")?.dataset.key ?? null;
+    onEditingChange?.(true);
+  };
+  const onBlur = (e) => {
+    if (bodyRef.current?.contains(e.relatedTarget)) return;
+    focusedKeyRef.current = null;
+    onEditingChange?.(false);
+  };
+
+  const spacer = (height, key) =>
+    height > 0 && (
+      <tr key={key} aria-hidden="true">
+        <td colSpan={columns} style={{ height, padding: 0 }} />
+      </tr>
+    );
+
+  return (
+    <div
+      ref={scrollRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className={`overflow-auto ${className}`}
+    >
+      <table className="min-w-full text-sm">
+        <thead ref={headRef} className="bg-slate-50 sticky top-0 z-10">
+          {head}
+        </thead>
+        <tbody
+          ref={bodyRef}
+          onKeyDown={onKeyDown}
+          onFocus={onFocus}
+          onBlur={onBlur}
+          onPaste={(e) => {
+            const tr = e.target.closest("tr[data-index]");
+            const td = e.target.closest("td");
+            if (tr && td && onPaste)
+              onPaste(e, Number(tr.dataset.index), td.cellIndex);
+          }}
+        >
+          {drawn.flatMap((index, i) => [
+            spacer(
+              tops[index] - (i ? tops[drawn[i - 1] + 1] : 0),
+              i ? `gap-${index}` : "above"
+            ),
+            React.cloneElement(renderItem(items[index]), {
+              key: items[index].key,
+              "data-key": items[index].key,
+              "data-index": index,
+            }),
+          ])}
+          {spacer(
+            tops[items.length] -
+              (drawn.length ? tops[drawn[drawn.length - 1] + 1] : 0),
+            "below"
+          )}
+          {items.length === 0 && empty}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,297 @@
+// =============================
+// Workspace backup & restore (JSON)
+// =============================
+// A backup is
+//   { format: BACKUP_FORMAT, version, createdAt, secrets,
+//     rows, settings, notified, deliveries }
+// Everything the app keeps goes in, so moving to another machine doesn't
+// re-send reminders that already went out. rows / settings / notified sit at
+// the top level like the dataset file, so scripts/remind.js --data reads a
+// backup as well.
+//
+// BACKUP_UPGRADES[n] turns a version-n backup into version n + 1. Version 0
+// is the plain dataset file ({ rows, settings, notified }), which restores
+// too. Files from a newer version of the app are refused, not half-read.
+import { CHANNELS } from "./channels.js";
+import { isRowRecord, normaliseRow } from "./storage.js";
+
+export const BACKUP_FORMAT = "mobile-contract-tracker-backup";
+export const BACKUP_VERSION = 1;
+
+// Credentials and webhook URLs (which carry their own tokens). Channel
+// fields marked `secret` are left out as well.
+export const SECRET_SETTINGS = [
+  "emailjsServiceId",
+  "emailjsTemplateId",
+  "emailjsPublicKey",
+  "webhookEndpoint",
+];
+
+export const RESTORE_MODES = {
+  replace: "Replace everything here with the backup",
+  merge: "Merge: keep what's here, add what's only in the backup",
+};
+
+const isObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+const secretFields = (channel) =>
+  (CHANNELS[channel]?.fields || []).filter((f) => f.secret).map((f) => f.key);
+
+// settings without SECRET_SETTINGS or secret channel fields
+export function withoutSecrets(settings) {
+  const out = { ...settings };
+  for (const key of SECRET_SETTINGS) delete out[key];
+  if (isObject(settings.channels))
+    out.channels = Object.fromEntries(
+      Object.entries(settings.channels).map(([key, config]) => {
+        const copy = { ...config };
+        for (const f of secretFields(key)) delete copy[f];
+        return [key, copy];
+      })
+    );
+  return out;
+}
+
+// Secrets missing from `next` (a backup made without them) are taken from
+// `current`, so restoring doesn't sign the workspace out of its providers.
+function keepSecrets(next, current) {
+  const out = { ...next };
+  for (const key of SECRET_SETTINGS)
+    if (!(key in out) && key in current) out[key] = current[key];
+  for (const [key, config] of Object.entries(current.channels || {})) {
+    const restored = out.channels?.[key] || {};
+    const kept = secretFields(key).filter(
+      (f) => f in config && !(f in restored)
+    );
+    if (kept.length)
+      out.channels = {
+        ...out.channels,
+        [key]: {
+          ...restored,
+          ...Object.fromEntries(kept.map((f) => [f, config[f]])),
+        },
+      };
+  }
+  return out;
+}
+
+/**
+ * Backup of the workspace { rows, settings, notified, deliveries, … }.
+ * Secrets are left out unless `includeSecrets` is set.
+ */
+export function makeBackup(workspace, { includeSecrets = false } = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    secrets: includeSecrets,
+    ...workspace,
+    settings: includeSecrets
+      ? workspace.settings
+      : withoutSecrets(workspace.settings),
+  };
+}
+
+export const BACKUP_UPGRADES = [
+  // 0 → 1: the dataset file, which always had the full settings
+  (data) => ({
+    ...data,
+    format: BACKUP_FORMAT,
+    version: 1,
+    createdAt: "",
+    secrets: true,
+  }),
+];
+
+/**
+ * Read and check a backup file's text. Returns the backup at
+ * BACKUP_VERSION with rows normalised; throws an Error saying what's wrong
+ * otherwise.
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file isn't valid JSON.");
+  }
+  if (!isObject(data)) throw new Error("The file isn't a backup.");
+  let version =
+    data.format === BACKUP_FORMAT
+      ? data.version
+      : !("format" in data) && Array.isArray(data.rows)
+        ? 0
+        : null;
+  if (!Number.isInteger(version) || version < 0)
+    throw new Error("The file isn't a Mobile Contract Tracker backup.");
+  if (version > BACKUP_VERSION)
+    throw new Error(
+      `The backup is from a newer version of the app (format ${version}); update the app to restore it.`
+    );
+  for (; version < BACKUP_VERSION; version++)
+    data = BACKUP_UPGRADES[version](data);
+
+  if (!Array.isArray(data.rows)) throw new Error("The backup has no lines.");
+  const ids = new Set();
+  data.rows.forEach((r, i) => {
+    if (!isRowRecord(r)) throw new Error(`Line ${i + 1} has no id.`);
+    if (ids.has(r.id)) throw new Error(`Line ${i + 1} repeats id ${r.id}.`);
+    ids.add(r.id);
+    // past terms (see renewRow): objects, renewedAt a date when present
+    if (
+      r.history != null &&
+      !(
+        Array.isArray(r.history) &&
+        r.history.every(
+          (h) =>
+            isObject(h) &&
+            (h.renewedAt == null || !Number.isNaN(Date.parse(h.renewedAt)))
+        )
+      )
+    )
+      throw new Error(`Line ${i + 1}'s past terms aren't readable.`);
+  });
+  for (const key of ["settings", "notified"])
+    if (data[key] != null && !isObject(data[key]))
+      throw new Error(`The backup's ${key} aren't readable.`);
+  if (data.deliveries != null && !Array.isArray(data.deliveries))
+    throw new Error("The backup's delivery log isn't readable.");
+
+  return {
+    ...data,
+    rows: data.rows.map(normaliseRow),
+    settings: data.settings || {},
+    notified: data.notified || {},
+    deliveries: data.deliveries || [],
+  };
+}
+
+// JSON equality that ignores key order
+const sortedKeys = (_, v) =>
+  isObject(v) ? Object.fromEntries(Object.entries(v).sort()) : v;
+const same = (a, b) =>
+  JSON.stringify(a, sortedKeys) === JSON.stringify(b, sortedKeys);
+
+// Reminder records from both; a key sent in both keeps the later time.
+const mergeNotified = (a, b) => {
+  const out = { ...a };
+  for (const [key, at] of Object.entries(b))
+    if (!(key in out) || String(at) > String(out[key])) out[key] = at;
+  return out;
+};
+
+/**
+ * What restoring `backup` over `current` (both { rows, settings, notified,
+ * deliveries }) in `mode` gives: { next, summary }. `next` is the new
+ * workspace; summary = { rows: { added, changed, removed, kept },
+ * settings: [changed key], notified: new reminder records,
+ * deliveries: new log entries }.
+ */
+export function planRestore(current, backup, mode) {
+  const here = new Map(current.rows.map((r) => [r.id, r]));
+  const incoming = new Set(backup.rows.map((r) => r.id));
+  const fresh = backup.rows.filter((r) => !here.has(r.id));
+  const differing = backup.rows.filter(
+    (r) => here.has(r.id) && !same(here.get(r.id), r)
+  );
+  const logIds = new Set(current.deliveries.map((e) => e.id));
+  const newEntries = backup.deliveries.filter((e) => !logIds.has(e.id));
+
+  const next =
+    mode === "replace"
+      ? {
+          rows: backup.rows,
+          settings: keepSecrets(backup.settings, current.settings),
+          // reminders sent from here since the backup still count
+          notified: mergeNotified(backup.notified, current.notified),
+          deliveries: backup.deliveries,
+        }
+      : {
+          rows: [...current.rows, ...fresh],
+          settings: current.settings,
+          notified: mergeNotified(current.notified, backup.notified),
+          deliveries: [...current.deliveries, ...newEntries],
+        };
+
+  const keys = new Set([
+    ...Object.keys(current.settings),
+    ...Object.keys(next.settings),
+  ]);
+  return {
+    next,
+    summary: {
+      rows: {
+        added: fresh.length,
+        changed: mode === "replace" ? differing.length : 0,
+        removed:
+          mode === "replace"
+            ? current.rows.filter((r) => !incoming.has(r.id)).length
+            : 0,
+        // lines in both that differ, left as they are here
+        kept: mode === "replace" ? 0 : differing.length,
+      },
+      settings: [...keys].filter(
+        (k) => !same(current.settings[k], next.settings[k])
+      ),
+      notified: Object.keys(next.notified).filter(
+        (k) => !(k in current.notified)
+      ).length,
+      deliveries: newEntries.length,
+    },
+  };
+}
+
+/**
+ * Merge a sent-log written by scripts/remind.js (`{ key: ISO time }`) into
+ * `notified`, so reminders cron has already sent aren't sent again from the
+ * app. Returns { notified, added } (added = keys new here); throws an Error
+ * when the text isn't a sent-log.
+ */
+export function importSentLog(notified, text) {
+  let log;
+  try {
+    log = JSON.parse(text);
+  } catch {
+    throw new Error("The file isn't valid JSON.");
+  }
+  if (
+    !isObject(log) ||
+    Object.values(log).some((at) => Number.isNaN(Date.parse(at)))
+  )
+    throw new Error("The file isn't a reminder sent-log.");
+  const next = mergeNotified(notified, log);
+  return {
+    notified: next,
+    added: Object.keys(next).filter((k) => !(k in notified)).length,
+  };
+}
+
+// scripts/remind.js is meant to run daily (see README), so a sent-log older
+// than this may be missing what it has sent since.
+const SENT_LOG_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether the app and scripts/remind.js may both be sending the same
+ * reminders: a dataset was downloaded for the script
+ * (settings.remindDatasetAt) and its sent-log hasn't been imported
+ * (settings.sentLogImportedAt) within the last day.
+ */
+export const sentLogOverdue = (settings, now = Date.now()) =>
+  Boolean(settings.remindDatasetAt) &&
+  now - Date.parse(settings.sentLogImportedAt || settings.remindDatasetAt) >
+    SENT_LOG_MAX_AGE_MS;
+
+// =============================
+// Rolling snapshots
+// =============================
+// With settings.snapshotKeep > 0 the app saves a full backup (secrets
+// included; it never leaves the device) at most once a day and keeps the
+// newest `snapshotKeep`. The store holds them, see lib/storage.js.
+export const SNAPSHOT_KEEP_OPTIONS = [0, 3, 7, 14, 30];
+const SNAPSHOT_EVERY_MS = 24 * 60 * 60 * 1000;
+
+// snapshots: newest first
+export const snapshotDue = (snapshots, now = Date.now()) =>
+  !snapshots.length ||
+  now - Date.parse(snapshots[0].createdAt) >= SNAPSHOT_EVERY_MS;
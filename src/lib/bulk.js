@@ -0,0 +1,163 @@
+// =============================
+// Bulk actions on selected lines
+// =============================
+// Each action in BULK_ACTIONS is
+//   { label, fields: [{ key, label, type?, placeholder? }],
+//     ready?: (params) => boolean,      // required inputs are filled in
+//     apply: (row, params, now) => row | null,    // null = delete the line
+//     unchangedNote?: why a selected line may be left as it is }
+// planBulk runs one over the selection so the confirmation can show exactly
+// what will change before anything is applied.
+import {
+  ROW_COLUMNS,
+  applyTerm,
+  formatTags,
+  isArchived,
+  parseTags,
+  renewRow,
+  renewalDefaults,
+  termEndDate,
+} from "./rows.js";
+
+const todayOf = (now) => now.toISOString().slice(0, 10);
+
+export const BULK_ACTIONS = {
+  endDate: {
+    label: "Set end date",
+    fields: [{ key: "endDate", label: "End date", type: "date" }],
+    ready: (p) => Boolean(p.endDate),
+    // a term would work the end date out again, so it's cleared
+    apply: (r, p) => ({ ...r, endDate: p.endDate, termMonths: "" }),
+  },
+  term: {
+    label: "Apply term length",
+    fields: [
+      {
+        key: "termMonths",
+        label: "Term (months)",
+        type: "number",
+        placeholder: "24",
+      },
+    ],
+    ready: (p) => parseInt(p.termMonths, 10) > 0,
+    apply: (r, p) => applyTerm({ ...r, termMonths: p.termMonths }),
+  },
+  cost: {
+    label: "Set monthly cost",
+    fields: [
+      {
+        key: "costMonthly",
+        label: "Cost / month",
+        type: "number",
+        placeholder: "12.50",
+      },
+    ],
+    ready: (p) => p.costMonthly !== "" && Number(p.costMonthly) >= 0,
+    apply: (r, p) => ({ ...r, costMonthly: p.costMonthly }),
+  },
+  addTags: {
+    label: "Add tags",
+    fields: [{ key: "tags", label: "Tags", placeholder: "Sales, Loan phones" }],
+    ready: (p) => parseTags(p.tags).length > 0,
+    apply: (r, p) => ({
+      ...r,
+      tags: formatTags([...parseTags(r.tags), ...parseTags(p.tags)]),
+    }),
+  },
+  removeTags: {
+    label: "Remove tags",
+    fields: [{ key: "tags", label: "Tags", placeholder: "Sales, Loan phones" }],
+    ready: (p) => parseTags(p.tags).length > 0,
+    apply: (r, p) => {
+      const drop = new Set(parseTags(p.tags).map((t) => t.toLowerCase()));
+      return {
+        ...r,
+        tags: formatTags(
+          parseTags(r.tags).filter((t) => !drop.has(t.toLowerCase()))
+        ),
+      };
+    },
+  },
+  owner: {
+    label: "Assign owner",
+    fields: [
+      {
+        key: "ownerEmail",
+        label: "Owner email (blank to clear)",
+        type: "email",
+        placeholder: "manager@example.com",
+      },
+    ],
+    apply: (r, p) => ({ ...r, ownerEmail: (p.ownerEmail || "").trim() }),
+  },
+  renew: {
+    label: "Renew",
+    fields: [
+      {
+        key: "termMonths",
+        label: "New term (months, blank = same as now)",
+        type: "number",
+        placeholder: "24",
+      },
+    ],
+    unchangedNote:
+      "Lines with no term length to repeat are left as they are; renew those one at a time.",
+    // same defaults as the Renew dialog, one line at a time
+    apply: (r, p, now) => {
+      const next = renewalDefaults(r, todayOf(now));
+      if (p.termMonths) next.termMonths = p.termMonths;
+      if (!termEndDate(next.startDate, next.termMonths)) return r;
+      return renewRow(r, next, now);
+    },
+  },
+  archive: {
+    label: "Archive",
+    fields: [],
+    apply: (r, p, now) =>
+      isArchived(r) ? r : { ...r, archivedAt: now.toISOString() },
+  },
+  delete: {
+    label: "Delete",
+    fields: [],
+    apply: () => null,
+  },
+};
+
+// fields compared for the preview
+const SHOWN = [...ROW_COLUMNS, "archivedAt"];
+
+/**
+ * Run `action` over the rows whose id is in `ids`. Returns
+ *   { rows, changes: [{ before, after, fields: [[key, from, to]] }],
+ *     unchanged }
+ * where `rows` is the whole table afterwards, `after` is null for a deleted
+ * line and `unchanged` counts selected lines the action leaves as they are.
+ */
+export function planBulk(rows, ids, action, params, now = new Date()) {
+  const def = BULK_ACTIONS[action];
+  const changes = [];
+  let unchanged = 0;
+  const next = [];
+  for (const row of rows) {
+    if (!ids.has(row.id)) {
+      next.push(row);
+      continue;
+    }
+    const after = def.apply(row, params, now);
+    const fields = after
+      ? SHOWN.filter((k) => (row[k] ?? "") !== (after[k] ?? "")).map((k) => [
+          k,
+          row[k] ?? "",
+          after[k] ?? "",
+        ])
+      : [];
+    if (after && !fields.length) {
+      unchanged++;
+      next.push(row);
+      continue;
+    }
+    changes.push({ before: row, after, fields });
+    if (after) next.push(after);
+  }
+  return { rows: next, changes, unchanged };
+}
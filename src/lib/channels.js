@@ -0,0 +1,316 @@
+// =============================
+// Notification channels beyond email
+// =============================
+// Each channel is a plain object registered in CHANNELS:
+//
+//   {
+//     key, label,
+//     fields: [{ key, label, placeholder?, options?: [[value, label]],
+//                secret? }],         // secret: left out of backups by default
+//     defaults: { …config },
+//     available?: () => boolean,      // e.g. browser-only APIs
+//     configured: (config) => boolean,
+//     describe?: (config) => string,  // shown as "To / via" in the log
+//     send: async (config, message) => void, // throws on failure
+//   }
+//
+// message = { title, text, status, fields: [[label, value]] }, where status
+// is a statusOf() bucket. The reminder loop in send.js only goes through this
+// interface, so a new provider is just another registerChannel() call.
+// Config lives in settings.channels[key] alongside `enabled` and
+// `thresholds` (the subset of settings.thresholds the channel fires for).
+import { formatsFor } from "./format.js";
+import {
+  DEFAULT_THRESHOLDS,
+  digestBody,
+  digestSubject,
+  emailBody,
+  emailSubject,
+  rowStatus,
+  statusOf,
+  templateVars,
+} from "./reminders.js";
+
+const postJSON = async (url, body, what) => {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`${what} failed: ${res.status}`);
+};
+
+const isUrgent = (status) => status === "expired" || status === "urgent";
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+// =============================
+// Chat incoming webhooks (Slack / Teams / Mattermost)
+// =============================
+const SLACK_EMOJI = { expired: "🔴", urgent: "🟠", expiring: "🟡" };
+
+export const chatPayload = (flavor, { title, text, status, fields = [] }) => {
+  if (flavor === "teams")
+    return {
+      "@type": "MessageCard",
+      "@context": "https://schema.org/extensions",
+      summary: title,
+      themeColor: isUrgent(status) ? "DC2626" : "F59E0B",
+      title,
+      sections: [
+        {
+          text: text.replace(/\n/g, "<br>"),
+          facts: fields.map(([name, value]) => ({ name, value })),
+        },
+      ],
+    };
+  const heading = `${SLACK_EMOJI[status] || "📱"} ${title}`;
+  if (flavor === "mattermost")
+    return {
+      text: [`#### ${heading}`, text].join("\n"),
+      ...(fields.length
+        ? {
+            attachments: [
+              {
+                fields: fields.map(([t, value]) => ({
+                  title: t,
+                  value,
+                  short: true,
+                })),
+              },
+            ],
+          }
+        : {}),
+    };
+  return {
+    text: heading, // fallback for notifications and old clients
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: heading } },
+      { type: "section", text: { type: "mrkdwn", text: "```" + text + "```" } },
+      ...(fields.length
+        ? [
+            {
+              type: "section",
+              fields: fields.map(([label, value]) => ({
+                type: "mrkdwn",
+                text: `*${label}*\n${value}`,
+              })),
+            },
+          ]
+        : []),
+      {
+        type: "context",
+        elements: [{ type: "mrkdwn", text: "Mobile Contract Tracker" }],
+      },
+    ],
+  };
+};
+
+const chatChannel = {
+  key: "chat",
+  label: "Chat webhook",
+  fields: [
+    {
+      key: "flavor",
+      label: "Service",
+      options: [
+        ["slack", "Slack"],
+        ["teams", "Microsoft Teams"],
+        ["mattermost", "Mattermost"],
+      ],
+    },
+    {
+      key: "url",
+      label: "Incoming webhook URL",
+      placeholder: "https://hooks.slack.com/services/…",
+      secret: true,
+    },
+  ],
+  defaults: { flavor: "slack", url: "" },
+  configured: (config) => Boolean(config.url),
+  describe: (config) => `${config.flavor} · ${hostOf(config.url)}`,
+  send: (config, message) =>
+    postJSON(config.url, chatPayload(config.flavor, message), "Chat webhook"),
+};
+
+// =============================
+// Browser desktop notifications (only while the tracker is open)
+// =============================
+const browserChannel = {
+  key: "browser",
+  label: "Desktop notification",
+  fields: [],
+  defaults: {},
+  available: () => typeof Notification !== "undefined",
+  configured: () => true,
+  describe: () => "this browser",
+  send: async (config, { title, text }) => {
+    if (Notification.permission !== "granted")
+      throw new Error("Desktop notifications are not allowed in this browser");
+    new Notification(title, { body: text });
+  },
+};
+
+// =============================
+// Plain HTTP push (ntfy / Gotify)
+// =============================
+// JSON publishing for both, so titles aren't limited to ASCII header values.
+export const pushRequest = (config, { title, text, status }) => {
+  const server = config.server.replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  if (config.flavor === "gotify")
+    return {
+      url: `${server}/message?token=${encodeURIComponent(config.token)}`,
+      init: {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          title,
+          message: text,
+          priority: isUrgent(status) ? 8 : 5,
+        }),
+      },
+    };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+  return {
+    url: `${server}/`,
+    init: {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        topic: config.topic,
+        title,
+        message: text,
+        priority: isUrgent(status) ? 4 : 3,
+        tags: [status === "expired" ? "rotating_light" : "calendar"],
+      }),
+    },
+  };
+};
+
+const pushChannel = {
+  key: "push",
+  label: "Push (ntfy / Gotify)",
+  fields: [
+    {
+      key: "flavor",
+      label: "Service",
+      options: [
+        ["ntfy", "ntfy"],
+        ["gotify", "Gotify"],
+      ],
+    },
+    { key: "server", label: "Server URL", placeholder: "https://ntfy.sh" },
+    { key: "topic", label: "Topic (ntfy)", placeholder: "my-sim-contracts" },
+    {
+      key: "token",
+      label: "Access / app token",
+      placeholder: "Optional for ntfy, required for Gotify",
+      secret: true,
+    },
+  ],
+  defaults: { flavor: "ntfy", server: "https://ntfy.sh", topic: "", token: "" },
+  configured: (config) =>
+    Boolean(
+      config.server &&
+      (config.flavor === "gotify" ? config.token : config.topic)
+    ),
+  describe: (config) =>
+    config.flavor === "gotify"
+      ? `gotify · ${hostOf(config.server)}`
+      : `ntfy · ${hostOf(config.server)}/${config.topic}`,
+  send: async (config, message) => {
+    const { url, init } = pushRequest(config, message);
+    const res = await fetch(url, init);
+    if (!res.ok) throw new Error(`Push failed: ${res.status}`);
+  },
+};
+
+// =============================
+// Registry
+// =============================
+export const CHANNELS = {};
+
+export function registerChannel(def) {
+  CHANNELS[def.key] = def;
+}
+
+[chatChannel, browserChannel, pushChannel].forEach(registerChannel);
+
+export const channelConfig = (settings, key) => ({
+  enabled: false,
+  ...CHANNELS[key]?.defaults,
+  ...settings.channels?.[key],
+});
+
+// Thresholds the channel fires for; unset means all of them.
+export const channelThresholds = (settings, config) => {
+  const all = settings.thresholds || DEFAULT_THRESHOLDS;
+  return config.thresholds
+    ? all.filter((t) => config.thresholds.includes(t))
+    : all;
+};
+
+// Channels that are switched on, complete and usable in this environment.
+export const activeChannels = (settings) =>
+  Object.values(CHANNELS).filter((def) => {
+    const config = channelConfig(settings, def.key);
+    return (
+      config.enabled &&
+      (!def.available || def.available()) &&
+      def.configured(config)
+    );
+  });
+
+// Message for one reminder (or a digest of several) — same wording as the
+// default email, so every channel says the same thing. `fmt` is
+// formatsFor(settings); `settings` decide how a digest's total is given.
+export function channelMessage(items, kind, fmt = formatsFor(), settings) {
+  if (kind === "digest") {
+    const rows = items.map((d) => d.row);
+    return {
+      title: digestSubject(rows),
+      text: digestBody(rows, fmt, settings),
+      status: statusOf(Math.min(...rows.map((r) => r.daysLeft))),
+      fields: [],
+    };
+  }
+  const { row } = items[0];
+  const vars = templateVars(row, fmt);
+  return {
+    title: emailSubject(row, {}, fmt),
+    text: emailBody(row, {}, fmt),
+    status: rowStatus(row),
+    fields: [
+      ["Ends", vars.endDate],
+      ["Days left", vars.daysLeft],
+      ["Give notice by", vars.noticeBy],
+      ["Monthly cost", vars.cost],
+    ].filter(([, value]) => value),
+  };
+}
+
+export async function sendToChannel(settings, key, message) {
+  const def = CHANNELS[key];
+  if (!def) throw new Error(`Unknown channel: ${key}`);
+  if (def.available && !def.available())
+    throw new Error(`${def.label} is not available here`);
+  const config = channelConfig(settings, key);
+  if (!def.configured(config))
+    throw new Error(`${def.label} is not configured`);
+  await def.send(config, message);
+}
+
+export const testChannel = (settings, key) =>
+  sendToChannel(settings, key, {
+    title: "Test notification from Mobile Contract Tracker",
+    text: "If you can read this, contract reminders will arrive here.",
+    status: "active",
+    fields: [],
+  });
@@ -0,0 +1,136 @@
+// =============================
+// Cost model: device plans, price rises, VAT, out-of-contract pricing
+// =============================
+// Per-row pricing (all optional, strings like the other row fields):
+//   costMonthly   airtime price per month
+//   deviceMonthly device plan per month, paid for the term only
+//   upfrontCost   one-off cost (handset, connection) at the start
+//   riseType      "" | "cpi" (CPI + riseValue %) | "fixed" (+ riseValue)
+//                 applied to airtime every 1 April after the start date
+//   oocMonthly    price once out of contract (defaults to the last airtime)
+//   vatIncluded   "yes" when the prices above include VAT
+// Results are converted to settings.vatBasis ("ex" | "inc") and stay in the
+// line's own currency (see lib/currency.js).
+import { addDays, addMonths, daysBetween } from "./dates.js";
+import { isRolling } from "./rows.js";
+
+export const RISE_TYPES = {
+  "": { label: "No rises" },
+  cpi: { label: "CPI + x% each April" },
+  fixed: { label: "Fixed uplift each April" },
+};
+
+export const VAT_BASES = {
+  ex: { label: "Excluding VAT" },
+  inc: { label: "Including VAT" },
+};
+
+export const DEFAULT_VAT_RATE = 20; // %
+export const DEFAULT_CPI_RATE = 3; // % assumed for future April rises
+
+const num = (v) => Number(v) || 0;
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+// 1 Aprils strictly after `start`, up to and including `date`.
+export function aprilsBetween(start, date) {
+  let year = Number(start.slice(0, 4));
+  if (`${year}-04-01` <= start) year++;
+  let n = 0;
+  while (`${year}-04-01` <= date) {
+    n++;
+    year++;
+  }
+  return n;
+}
+
+// Whole months in the term: termMonths, or counted from the dates.
+export function termLength(row) {
+  const n = parseInt(row.termMonths, 10);
+  if (n > 0) return n;
+  if (!row.startDate || !row.endDate || row.endDate < row.startDate) return 0;
+  const after = addDays(row.endDate, 1);
+  let months = 0;
+  while (months < 600 && addMonths(row.startDate, months + 1) <= after)
+    months++;
+  return Math.max(1, months);
+}
+
+// Airtime price on `date`, after the April rises since the start date.
+export function airtimeAt(row, date, cpiRate = DEFAULT_CPI_RATE) {
+  const base = num(row.costMonthly);
+  const rises = row.startDate ? aprilsBetween(row.startDate, date) : 0;
+  if (row.riseType === "cpi")
+    return base * (1 + (cpiRate + num(row.riseValue)) / 100) ** rises;
+  if (row.riseType === "fixed") return base + num(row.riseValue) * rises;
+  return base;
+}
+
+// Past the end date, or rolling with no end date at all.
+export const isOutOfContract = (row, date) =>
+  row.endDate ? date > row.endDate : isRolling(row);
+
+// What the line costs for the month billed on `date`.
+export function monthlyAt(row, date, cpiRate) {
+  if (isOutOfContract(row, date))
+    return row.oocMonthly !== "" && row.oocMonthly != null
+      ? num(row.oocMonthly)
+      : airtimeAt(row, row.endDate || date, cpiRate);
+  return airtimeAt(row, date, cpiRate) + num(row.deviceMonthly);
+}
+
+const vatFactor = (row, settings) => {
+  const rate = 1 + (settings.vatRate ?? DEFAULT_VAT_RATE) / 100;
+  const included = Boolean(row.vatIncluded);
+  if (settings.vatBasis === "inc" && !included) return rate;
+  if (settings.vatBasis !== "inc" && included) return 1 / rate;
+  return 1;
+};
+
+// monthlyAt in the settings' VAT basis and CPI assumption.
+export const priceAt = (row, date, settings = {}) =>
+  monthlyAt(row, date, settings.cpiRate ?? DEFAULT_CPI_RATE) *
+  vatFactor(row, settings);
+
+/**
+ * Cost figures for one row as of `today`, in the settings' VAT basis:
+ *   monthlyNow       this month's price (with rises / out-of-contract)
+ *   contractValue    upfront + every month of the term (NaN if the term
+ *                    length or start date is unknown)
+ *   remainingSpend   what is still committed from today to the end date
+ *   effectiveMonthly contractValue spread over the term
+ * Rows without a start date can't be scheduled, so their remaining spend is
+ * the current price times the months left.
+ */
+export function costSummary(row, today = new Date(), settings = {}) {
+  const cpi = settings.cpiRate ?? DEFAULT_CPI_RATE;
+  const k = vatFactor(row, settings);
+  const now = ymd(today);
+  const monthlyNow = monthlyAt(row, now, cpi);
+
+  const n = termLength(row);
+  const schedule = row.startDate
+    ? Array.from({ length: n }, (_, i) => addMonths(row.startDate, i))
+    : [];
+  const contractValue = schedule.length
+    ? num(row.upfrontCost) +
+      schedule.reduce((sum, d) => sum + monthlyAt(row, d, cpi), 0)
+    : NaN;
+
+  let remainingSpend = 0;
+  if (schedule.length)
+    remainingSpend = schedule
+      .filter((d) => d >= now)
+      .reduce((sum, d) => sum + monthlyAt(row, d, cpi), 0);
+  else if (row.endDate && row.endDate >= now)
+    remainingSpend =
+      monthlyNow * Math.ceil((daysBetween(now, row.endDate) + 1) / 30.44);
+
+  return {
+    monthlyNow: monthlyNow * k,
+    contractValue: contractValue * k,
+    remainingSpend: remainingSpend * k,
+    effectiveMonthly: schedule.length
+      ? (contractValue / n) * k
+      : monthlyNow * k,
+  };
+}
@@ -0,0 +1,108 @@
+// =============================
+// RFC 4180 CSV parsing / serialising
+// =============================
+// Pure functions only (no DOM) so they can be shared with Node scripts.
+
+const BOM = "\uFEFF";
+const EOL = "\r\n"; // RFC 4180 record separator
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Guess the delimiter from the first record, ignoring anything inside quotes.
+ * Carrier exports from EU locales often use ";" because "," is the decimal mark.
+ */
+export function detectDelimiter(text) {
+  const counts = Object.fromEntries(CANDIDATE_DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return CANDIDATE_DELIMITERS.reduce((best, d) =>
+    counts[d] > counts[best] ? d : best
+  );
+}
+
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Handles quoted fields, escaped quotes (""), embedded newlines, CRLF/LF/CR
+ * line endings and a leading BOM. Blank lines are dropped.
+ */
+export function parseCSV(text, { delimiter } = {}) {
+  let src = String(text ?? "");
+  if (src.startsWith(BOM)) src = src.slice(1);
+  const delim = delimiter || detectDelimiter(src);
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let i = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    // a blank line parses as a single empty field — skip it
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delim) {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      endRecord();
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (field !== "" || record.length) endRecord();
+  return records;
+}
+
+const needsQuoting = (value, delim) =>
+  value.includes(delim) ||
+  value.includes('"') ||
+  value.includes("\n") ||
+  value.includes("\r") ||
+  value !== value.trim();
+
+export function quoteField(value, delimiter = ",") {
+  const s = (value ?? "").toString();
+  return needsQuoting(s, delimiter) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+/**
+ * Serialise records (arrays of values) to CSV text. A BOM is prepended by
+ * default so Excel opens UTF-8 (e.g. "£") correctly; parseCSV strips it again.
+ */
+export function toCSV(records, { delimiter = ",", bom = true } = {}) {
+  const body = records
+    .map((rec) => rec.map((v) => quoteField(v, delimiter)).join(delimiter))
+    .join(EOL);
+  return (bom ? BOM : "") + body;
+}
@@ -0,0 +1,76 @@
+// =============================
+// Multi-currency lines and totals
+// =============================
+// A line is priced in row.currency, or the workspace currency when blank.
+// settings.rates maps a currency code to the value of one unit in the
+// workspace currency, e.g. { EUR: "0.86" } for a GBP workspace.
+// settings.totalsMode: "group" shows one total per currency, "convert" adds
+// everything up in the workspace currency.
+import { DEFAULT_CURRENCY } from "./format.js";
+
+export const TOTALS_MODES = {
+  group: { label: "One total per currency" },
+  convert: { label: "Convert to the workspace currency" },
+};
+
+export const workspaceCurrency = (settings = {}) =>
+  settings.currency || DEFAULT_CURRENCY;
+
+export const rowCurrency = (row, settings) =>
+  row.currency || workspaceCurrency(settings);
+
+// Value of one `currency` in the workspace currency; NaN without a rate.
+export function rateFor(currency, settings = {}) {
+  if (currency === workspaceCurrency(settings)) return 1;
+  const rate = Number(settings.rates?.[currency]);
+  return rate > 0 ? rate : NaN;
+}
+
+// Currencies the rows use that have no rate to the workspace currency.
+export const missingRates = (rows, settings) => [
+  ...new Set(
+    rows
+      .map((r) => rowCurrency(r, settings))
+      .filter((c) => !Number.isFinite(rateFor(c, settings)))
+  ),
+];
+
+/**
+ * Add up value(row) over the rows, following settings.totalsMode:
+ *   { totals: [{ currency, amount, count }], missing: [currency] }
+ * where `count` is how many rows went into the amount. Grouped totals list
+ * the workspace currency first. Converted totals have a single entry;
+ * currencies without a rate are left out and listed in `missing`.
+ */
+export function sumMoney(rows, value, settings = {}) {
+  const base = workspaceCurrency(settings);
+  const sums = new Map([[base, { currency: base, amount: 0, count: 0 }]]);
+  for (const row of rows) {
+    const v = value(row);
+    if (!Number.isFinite(v)) continue;
+    const c = rowCurrency(row, settings);
+    if (!sums.has(c)) sums.set(c, { currency: c, amount: 0, count: 0 });
+    sums.get(c).amount += v;
+    sums.get(c).count++;
+  }
+  const groups = [...sums.values()];
+
+  if (settings.totalsMode === "convert") {
+    const total = { currency: base, amount: 0, count: 0 };
+    const missing = [];
+    for (const g of groups) {
+      const rate = rateFor(g.currency, settings);
+      if (!Number.isFinite(rate)) missing.push(g.currency);
+      else {
+        total.amount += g.amount * rate;
+        total.count += g.count;
+      }
+    }
+    return { totals: [total], missing };
+  }
+
+  // the workspace entry stays, even when empty, unless other currencies
+  // have lines
+  const used = groups.filter((g) => g.count);
+  return { totals: used.length ? used : groups.slice(0, 1), missing: [] };
+}
@@ -0,0 +1,25 @@
+// =============================
+// Date helpers
+// =============================
+export function daysBetween(a, b) {
+  const MS = 24 * 60 * 60 * 1000;
+  const start = new Date(a).setHours(0, 0, 0, 0);
+  const end = new Date(b).setHours(0, 0, 0, 0);
+  return Math.round((end - start) / MS);
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings (UTC, so no DST surprises).
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+export function addDays(iso, n) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return ymd(d);
+}
+
+// Same day n months later, clamped to the month's end (31 Jan + 1 → 28 Feb).
+export function addMonths(iso, n) {
+  const [y, m, day] = iso.split("-").map(Number);
+  const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return ymd(new Date(Date.UTC(y, m - 1 + n, Math.min(day, last))));
+}
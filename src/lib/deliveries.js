@@ -0,0 +1,96 @@
+// =============================
+// Delivery log + retry queue
+// =============================
+// Every send attempt is recorded. An entry is keyed by its `slot`: the
+// reminder key (`${id}:${endDate}:${t}`, see reminderKey) for single-line
+// emails, or `digest:<recipient>` for email digests; other channels use
+// `${id}:${endDate}:${t}@<channel>` and `digest@<channel>`. Repeated
+// attempts at the same reminder update one entry.
+// Failed entries stay open and are retried with exponential backoff until
+// they succeed, are marked handled, or run out of attempts.
+
+export const RETRY_BASE_MS = 5 * 60 * 1000; // first retry after 5 minutes
+export const RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+export const MAX_ATTEMPTS = 8;
+const MAX_ENTRIES = 500; // oldest closed entries are dropped beyond this
+
+export const backoffMs = (attempts) =>
+  Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+const isOpen = (e) => e.status === "failed";
+
+const openEntryFor = (log, slot) =>
+  log.find((e) => e.slot === slot && isOpen(e));
+
+/**
+ * Record one attempt and return the new log.
+ * attempt = { slot, kind, channel, keys, provider, recipient, email, ok,
+ *             error, at }
+ * where `email` is the { to, cc, subject, message, params } that was sent
+ * (kept so the log can resend it as-is).
+ */
+export function recordAttempt(log, attempt) {
+  const at = attempt.at || new Date().toISOString();
+  const prev = openEntryFor(log, attempt.slot);
+  const attempts = (prev?.attempts || 0) + 1;
+  const entry = {
+    id: prev?.id || crypto.randomUUID(),
+    slot: attempt.slot,
+    kind: attempt.kind,
+    channel: attempt.channel || "", // "" = email, else a CHANNELS key
+    keys: attempt.keys,
+    provider: attempt.provider,
+    recipient: attempt.recipient,
+    to: attempt.email.to,
+    cc: attempt.email.cc,
+    subject: attempt.email.subject,
+    message: attempt.email.message,
+    params: attempt.email.params,
+    firstAttemptAt: prev?.firstAttemptAt || at,
+    lastAttemptAt: at,
+    attempts,
+    status: attempt.ok ? "sent" : "failed",
+    error: attempt.ok ? "" : attempt.error || "Unknown error",
+    nextRetryAt:
+      attempt.ok || attempts >= MAX_ATTEMPTS
+        ? ""
+        : new Date(Date.parse(at) + backoffMs(attempts)).toISOString(),
+  };
+  const rest = log.filter((e) => e.id !== entry.id);
+  return [entry, ...rest].slice(0, MAX_ENTRIES);
+}
+
+/**
+ * Whether the reminder engine may try `slot` now: true unless an open
+ * failure is still backing off or has used up its automatic attempts.
+ */
+export function canAttempt(log, slot, now = new Date()) {
+  const open = openEntryFor(log, slot);
+  if (!open) return true;
+  if (!open.nextRetryAt) return false; // gave up — needs a manual resend
+  return Date.parse(open.nextRetryAt) <= now.getTime();
+}
+
+// Earliest pending retry time (ms), for scheduling the next check.
+export function nextRetryAt(log) {
+  const times = log
+    .filter((e) => isOpen(e) && e.nextRetryAt)
+    .map((e) => Date.parse(e.nextRetryAt));
+  return times.length ? Math.min(...times) : undefined;
+}
+
+export const markHandled = (log, id, at = new Date().toISOString()) =>
+  log.map((e) =>
+    e.id === id
+      ? { ...e, status: "handled", nextRetryAt: "", handledAt: at }
+      : e
+  );
+
+// Close every open entry that includes one of the row's reminders — after a
+// renewal those retries are about a term that no longer exists.
+export const markRowHandled = (log, rowId, at = new Date().toISOString()) =>
+  log.map((e) =>
+    isOpen(e) && e.keys.some((k) => k.startsWith(`${rowId}:`))
+      ? { ...e, status: "handled", nextRetryAt: "", handledAt: at }
+      : e
+  );
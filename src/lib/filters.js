@@ -0,0 +1,139 @@
+// =============================
+// Table filters and saved views
+// =============================
+// filters = { statuses: [rowStatus key], end: key of END_RANGES, endFrom,
+//             endTo, costMin, costMax, owner, tag, costCentre }
+// An empty list / "" means "any". owner, tag and costCentre are null for any,
+// "" for lines without one. Rows are enriched rows (daysLeft, monthlyNow, …).
+//
+// A saved view is { id, name, filters, search, sortBy, sortDir,
+// showArchived, groupBy }, kept in settings.views. Relative end-date ranges ("this
+// quarter") are worked out on the day, so a view doesn't go stale.
+import { addDays, addMonths } from "./dates.js";
+import { rowStatus } from "./reminders.js";
+import { parseTags } from "./rows.js";
+
+// chip order; "none" is a line without an end date
+export const STATUS_FILTERS = {
+  expired: "Expired",
+  urgent: "Urgent",
+  expiring: "Expiring",
+  active: "Active",
+  rolling: "Out of contract",
+  none: "No end date",
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const quarterStart = (iso, offset = 0) => {
+  const [y, m] = iso.split("-").map(Number);
+  const start = `${y}-${pad(Math.floor((m - 1) / 3) * 3 + 1)}-01`;
+  return addMonths(start, offset * 3);
+};
+
+// { label, range(today) → { from, to } } — both ISO dates, "" = open-ended
+export const END_RANGES = {
+  "": { label: "Any end date", range: () => ({ from: "", to: "" }) },
+  overdue: {
+    label: "Already ended",
+    range: (today) => ({ from: "", to: addDays(today, -1) }),
+  },
+  next30: {
+    label: "Ending in the next 30 days",
+    range: (today) => ({ from: today, to: addDays(today, 30) }),
+  },
+  next90: {
+    label: "Ending in the next 90 days",
+    range: (today) => ({ from: today, to: addDays(today, 90) }),
+  },
+  thisQuarter: {
+    label: "Ending this quarter",
+    range: (today) => ({
+      from: quarterStart(today),
+      to: addDays(quarterStart(today, 1), -1),
+    }),
+  },
+  nextQuarter: {
+    label: "Ending next quarter",
+    range: (today) => ({
+      from: quarterStart(today, 1),
+      to: addDays(quarterStart(today, 2), -1),
+    }),
+  },
+  custom: {
+    label: "Custom dates…",
+    range: (today, filters) => ({ from: filters.endFrom, to: filters.endTo }),
+  },
+};
+
+export const emptyFilters = () => ({
+  statuses: [],
+  end: "",
+  endFrom: "",
+  endTo: "",
+  costMin: "",
+  costMax: "",
+  owner: null,
+  tag: null,
+  costCentre: null,
+});
+
+// How many filters are set, for the "Filters (2)" badge
+export const activeFilterCount = (filters) =>
+  [
+    filters.statuses.length > 0,
+    Boolean(filters.end),
+    filters.costMin !== "" || filters.costMax !== "",
+    filters.owner != null,
+    filters.tag != null,
+    filters.costCentre != null,
+  ].filter(Boolean).length;
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Whether an enriched row passes `filters`. Cost is this month's price
+ * (monthlyNow) in the line's own currency.
+ */
+export function matchesFilters(row, filters, today = todayISO()) {
+  if (filters.statuses.length && !filters.statuses.includes(rowStatus(row)))
+    return false;
+
+  const { from, to } = (END_RANGES[filters.end] || END_RANGES[""]).range(
+    today,
+    filters
+  );
+  if (from || to) {
+    if (!row.endDate) return false;
+    if (from && row.endDate < from) return false;
+    if (to && row.endDate > to) return false;
+  }
+
+  if (filters.costMin !== "" || filters.costMax !== "") {
+    const cost = Number(row.monthlyNow);
+    if (!Number.isFinite(cost)) return false;
+    if (filters.costMin !== "" && cost < Number(filters.costMin)) return false;
+    if (filters.costMax !== "" && cost > Number(filters.costMax)) return false;
+  }
+
+  if (filters.owner != null && (row.ownerEmail || "").trim() !== filters.owner)
+    return false;
+  if (filters.tag != null) {
+    const tags = parseTags(row.tags).map((t) => t.toLowerCase());
+    if (filters.tag ? !tags.includes(filters.tag.toLowerCase()) : tags.length)
+      return false;
+  }
+  if (
+    filters.costCentre != null &&
+    (row.costCentre || "") !== filters.costCentre
+  )
+    return false;
+  return true;
+}
+
+// Filters from a saved view, with defaults for anything added since it was
+// saved.
+export const viewFilters = (view) => ({
+  ...emptyFilters(),
+  ...view.filters,
+});
@@ -0,0 +1,72 @@
+// =============================
+// Forecast: projected spend and contract ends, month by month
+// =============================
+// Built from enriched rows. Spend assumes nothing is renewed: lines past their
+// end date carry on at their out-of-contract price (see lib/costs.js).
+import { isOutOfContract, priceAt } from "./costs.js";
+import { rateFor, rowCurrency } from "./currency.js";
+import { addMonths } from "./dates.js";
+import { rowStatus } from "./reminders.js";
+
+const firstOfMonth = (today) => `${today.toISOString().slice(0, 7)}-01`;
+
+/**
+ * Projected spend for `months` months from the current one:
+ * [{ month: "YYYY-MM", inContract, outOfContract, total }], priced on the
+ * 1st of each month in the settings' VAT basis and converted to the
+ * workspace currency. Lines in a currency without a rate are left out (see
+ * missingRates in currency.js).
+ */
+export function spendForecast(
+  rows,
+  today = new Date(),
+  months = 12,
+  settings = {}
+) {
+  const first = firstOfMonth(today);
+  return Array.from({ length: months }, (_, i) => {
+    const date = addMonths(first, i);
+    let inContract = 0;
+    let outOfContract = 0;
+    for (const row of rows) {
+      const cost =
+        priceAt(row, date, settings) *
+        rateFor(rowCurrency(row, settings), settings);
+      if (!Number.isFinite(cost)) continue;
+      if (isOutOfContract(row, date)) outOfContract += cost;
+      else inContract += cost;
+    }
+    return {
+      month: date.slice(0, 7),
+      inContract,
+      outOfContract,
+      total: inContract + outOfContract,
+    };
+  });
+}
+
+/**
+ * Contracts ending in each of the next `months` months, plus an `overdue`
+ * bucket for ones that have already ended and aren't rolling:
+ * { overdue: [row], months: [{ month: "YYYY-MM", rows: [row] }] }.
+ */
+export function renewalTimeline(rows, today = new Date(), months = 12) {
+  const first = firstOfMonth(today);
+  const buckets = Array.from({ length: months }, (_, i) => ({
+    month: addMonths(first, i).slice(0, 7),
+    rows: [],
+  }));
+  const byMonth = new Map(buckets.map((b) => [b.month, b]));
+  const overdue = [];
+  for (const row of rows) {
+    if (!row.endDate) continue;
+    if (row.endDate < first) {
+      if (rowStatus(row) !== "rolling") overdue.push(row);
+      continue;
+    }
+    byMonth.get(row.endDate.slice(0, 7))?.rows.push(row);
+  }
+  for (const b of buckets)
+    b.rows.sort((x, y) => x.endDate.localeCompare(y.endDate));
+  return { overdue, months: buckets };
+}
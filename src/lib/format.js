@@ -0,0 +1,87 @@
+// =============================
+// Display formatting
+// =============================
+// Everything is formatted through formatsFor(settings), which binds the
+// workspace locale (settings.locale, "" = the browser's) and currency
+// (settings.currency). Lines can override the currency (row.currency).
+import { formatPhone } from "./phone.js";
+
+export const DEFAULT_CURRENCY = "GBP";
+
+export const CURRENCIES = {
+  GBP: "Pound sterling (£)",
+  EUR: "Euro (€)",
+  USD: "US dollar ($)",
+  CHF: "Swiss franc",
+  SEK: "Swedish krona",
+  NOK: "Norwegian krone",
+  DKK: "Danish krone",
+  PLN: "Polish złoty",
+};
+
+export const LOCALES = {
+  "": "Browser default",
+  "en-GB": "English (UK)",
+  "en-IE": "English (Ireland)",
+  "de-DE": "Deutsch (Deutschland)",
+  "fr-FR": "Français (France)",
+  "en-US": "English (US)",
+};
+
+const moneyCache = new Map();
+const moneyFormat = (currency, locale) => {
+  const key = `${locale}|${currency}`;
+  if (!moneyCache.has(key))
+    moneyCache.set(
+      key,
+      new Intl.NumberFormat(locale || undefined, {
+        style: "currency",
+        currency,
+        maximumFractionDigits: 2,
+      })
+    );
+  return moneyCache.get(key);
+};
+
+// Order of day, month and year in the locale's numeric dates:
+// "dmy" (31/12/2025), "mdy" (12/31/2025) or "ymd" (2025-12-31).
+export function dateOrder(locale) {
+  const parts = new Intl.DateTimeFormat(locale || undefined, {
+    timeZone: "UTC",
+  })
+    .formatToParts(new Date(Date.UTC(2025, 11, 31)))
+    .map((p) => p.type[0])
+    .filter((t) => "dmy".includes(t));
+  return parts.join("");
+}
+
+/**
+ * Formatting helpers for the workspace settings:
+ *   money(amount, currency?)  currency defaults to the workspace's
+ *   date("YYYY-MM-DD"), dateTime(iso), month("YYYY-MM")
+ *   phone(number)            national form in settings.phoneCountry
+ */
+export function formatsFor(settings = {}) {
+  const locale = settings.locale || undefined;
+  const currency = settings.currency || DEFAULT_CURRENCY;
+  return {
+    locale,
+    currency,
+    money: (n, cur) => moneyFormat(cur || currency, locale).format(n),
+    date: (iso) =>
+      iso
+        ? new Date(`${iso.slice(0, 10)}T00:00:00Z`).toLocaleDateString(locale, {
+            timeZone: "UTC",
+          })
+        : "",
+    dateTime: (iso) => (iso ? new Date(iso).toLocaleString(locale) : ""),
+    phone: (p) => formatPhone(p, settings.phoneCountry),
+    // "2026-11" → "Nov 26"
+    month: (ym) =>
+      new Date(`${ym}-01T00:00:00Z`).toLocaleDateString(locale, {
+        month: "short",
+        year: "2-digit",
+        timeZone: "UTC",
+      }),
+  };
+}
@@ -0,0 +1,136 @@
+// =============================
+// Grouping lines: tags, cost centres and subtotals
+// =============================
+// settings.tags is the managed list of tag names offered when tagging a
+// line; settings.costCentres is [{ code, name }] and row.costCentre holds a
+// code. Rows here are enriched rows (monthlyNow, remainingSpend, daysLeft).
+// Grouped by tag, a line with several tags shows under each of them.
+import { sumMoney } from "./currency.js";
+import { STATUS_FILTERS } from "./filters.js";
+import { rowStatus } from "./reminders.js";
+import { isArchived, parseTags } from "./rows.js";
+
+export const GROUP_BY = {
+  "": "No grouping",
+  tag: "Tag",
+  costCentre: "Cost centre",
+  owner: "Owner",
+  status: "Status",
+};
+
+// "CC100 — Sales" for a listed code, else the code as saved
+export function costCentreLabel(code, settings = {}) {
+  const cc = (settings.costCentres || []).find((c) => c.code === code);
+  return cc?.name ? `${cc.code} — ${cc.name}` : code;
+}
+
+// group keys of a row for each GROUP_BY mode ("" = none)
+const KEYS = {
+  tag: (r) => parseTags(r.tags),
+  costCentre: (r) => [r.costCentre || ""],
+  owner: (r) => [(r.ownerEmail || "").trim()],
+  status: (r) => [rowStatus(r)],
+};
+
+const NONE_LABELS = {
+  tag: "No tag",
+  costCentre: "No cost centre",
+  owner: "No owner",
+};
+
+/**
+ * Split rows into [{ key, label, rows }] for GROUP_BY mode `by`, keeping
+ * their order within each group. Groups are sorted by label (statuses in
+ * chip order), with the "No …" group last. No grouping gives one group.
+ */
+export function groupRows(rows, by, settings = {}) {
+  if (!KEYS[by]) return [{ key: "", label: "", rows }];
+  const groups = new Map();
+  for (const row of rows) {
+    const keys = KEYS[by](row);
+    for (const name of keys.length ? keys : [""]) {
+      // tags group regardless of case, under the first spelling seen
+      const key = by === "tag" ? name.toLowerCase() : name;
+      if (!groups.has(key)) groups.set(key, { key, name, rows: [] });
+      groups.get(key).rows.push(row);
+    }
+  }
+  const statusOrder = Object.keys(STATUS_FILTERS);
+  return [...groups.values()]
+    .map(({ key, name, rows }) => ({
+      key,
+      rows,
+      label: !key
+        ? NONE_LABELS[by]
+        : by === "status"
+          ? STATUS_FILTERS[key]
+          : by === "costCentre"
+            ? costCentreLabel(key, settings)
+            : name,
+    }))
+    .sort((a, b) => {
+      if (!a.key !== !b.key) return a.key ? -1 : 1;
+      if (by === "status")
+        return statusOrder.indexOf(a.key) - statusOrder.indexOf(b.key);
+      return a.label.localeCompare(b.label);
+    });
+}
+
+const round2 = (n) => (Math.round(n * 100) / 100).toFixed(2);
+
+/**
+ * Per-cost-centre recharge summary for finance, as CSV records: one line
+ * per cost centre and currency with the number of lines, this month's cost
+ * (on the workspace's VAT basis) and the remaining commitment, then a total
+ * per currency. Amounts stay in each line's own currency. Archived lines are
+ * left out.
+ */
+export function rechargeSummary(rows, settings = {}) {
+  const vat = settings.vatBasis === "inc" ? "inc. VAT" : "ex. VAT";
+  const money = { currency: settings.currency, rates: settings.rates };
+  const active = rows.filter((r) => !isArchived(r));
+  const sums = (list) => {
+    const monthly = sumMoney(list, (r) => r.monthlyNow || 0, money).totals;
+    const remaining = sumMoney(list, (r) => r.remainingSpend || 0, money);
+    return monthly
+      .filter((t) => t.count)
+      .map((t) => ({
+        ...t,
+        remaining:
+          remaining.totals.find((x) => x.currency === t.currency)?.amount || 0,
+      }));
+  };
+
+  const out = [
+    [
+      "Cost centre",
+      "Name",
+      "Currency",
+      "Lines",
+      `Monthly cost (${vat})`,
+      `Remaining commitment (${vat})`,
+    ],
+  ];
+  for (const g of groupRows(active, "costCentre", settings)) {
+    const cc = (settings.costCentres || []).find((c) => c.code === g.key);
+    for (const t of sums(g.rows))
+      out.push([
+        g.key,
+        g.key ? cc?.name || "" : "No cost centre",
+        t.currency,
+        t.count,
+        round2(t.amount),
+        round2(t.remaining),
+      ]);
+  }
+  for (const t of sums(active))
+    out.push([
+      "Total",
+      "",
+      t.currency,
+      t.count,
+      round2(t.amount),
+      round2(t.remaining),
+    ]);
+  return out;
+}
@@ -0,0 +1,63 @@
+// =============================
+// Undo / redo for the rows
+// =============================
+// history = { past: [entry], future: [entry] }, entry = { label, rows, group,
+// at }: `rows` is the whole table before (past) or after (future) a change.
+// Whole snapshots are cheap because edits are immutable and share every row
+// they don't touch. Only rows are covered; reminder state (notified, the
+// delivery log) isn't rolled back. Each tab has its own history, cleared when
+// another tab changes the rows.
+
+export const MAX_UNDO = 100;
+
+// Edits with the same `group` within this window are one undo step, so a
+// cell typed in character by character undoes in one go.
+const COALESCE_MS = 1500;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+/**
+ * Record that `rows` (the table before the change) is being replaced.
+ * `label` names the change ("Delete line"); `group` (e.g. "cell:<id>:phone")
+ * merges quick repeated edits into the step before. Clears the redo stack.
+ */
+export function recordChange(history, rows, label, group, now = Date.now()) {
+  const last = history.past[history.past.length - 1];
+  if (group && last?.group === group && now - last.at < COALESCE_MS)
+    return {
+      past: [...history.past.slice(0, -1), { ...last, at: now }],
+      future: [],
+    };
+  return {
+    past: [...history.past, { label, rows, group, at: now }].slice(-MAX_UNDO),
+    future: [],
+  };
+}
+
+// Step back: { history, rows } to apply, or null when there's nothing to undo.
+export function undo(history, rows) {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return null;
+  return {
+    rows: entry.rows,
+    label: entry.label,
+    history: {
+      past: history.past.slice(0, -1),
+      future: [{ ...entry, rows, group: "" }, ...history.future],
+    },
+  };
+}
+
+// Step forward again after an undo; null when there's nothing to redo.
+export function redo(history, rows) {
+  const [entry, ...future] = history.future;
+  if (!entry) return null;
+  return {
+    rows: entry.rows,
+    label: entry.label,
+    history: {
+      past: [...history.past, { ...entry, rows, group: "" }],
+      future,
+    },
+  };
+}
@@ -0,0 +1,407 @@
+// =============================
+// Import: header mapping + per-row validation
+// =============================
+import { toE164 } from "./phone.js";
+import { parseEmails } from "./routing.js";
+import { ROW_COLUMNS, formatTags, parseTags, termEndDate } from "./rows.js";
+
+// Known header spellings per field. Compared after normaliseHeader(), so
+// "Contract End", "contract_end" and "CONTRACT-END" all match "contractend".
+export const IMPORT_FIELDS = [
+  {
+    key: "phone",
+    label: "Phone Number",
+    aliases: ["phone", "phonenumber", "msisdn", "mobile", "mobilenumber", "number", "sim", "cli"],
+  },
+  {
+    key: "label",
+    label: "Label",
+    aliases: ["label", "name", "user", "username", "description", "assignedto"],
+  },
+  {
+    key: "startDate",
+    label: "Start Date",
+    aliases: ["startdate", "start", "contractstart", "connectiondate", "connected"],
+  },
+  {
+    key: "endDate",
+    label: "End Date",
+    aliases: ["enddate", "end", "contractend", "contractenddate", "expiry", "expirydate", "renewaldate"],
+  },
+  {
+    key: "termMonths",
+    label: "Term (months)",
+    aliases: [
+      "termmonths",
+      "term",
+      "contractterm",
+      "contractlength",
+      "minimumterm",
+      "months",
+    ],
+  },
+  {
+    key: "noticeDays",
+    label: "Notice (days)",
+    aliases: ["noticedays", "notice", "noticeperiod", "noticeperioddays"],
+  },
+  {
+    key: "rolling",
+    label: "Rolling",
+    aliases: ["rolling", "outofcontract", "monthtomonth", "30day", "sim30"],
+  },
+  {
+    key: "costMonthly",
+    label: "Cost / month",
+    aliases: ["costmonthly", "cost", "monthlycost", "price", "monthlyprice", "linerental", "tariff"],
+  },
+  {
+    key: "deviceMonthly",
+    label: "Device / month",
+    aliases: ["devicemonthly", "device", "devicecost", "deviceplan", "handset"],
+  },
+  {
+    key: "upfrontCost",
+    label: "Upfront cost",
+    aliases: ["upfrontcost", "upfront", "oneoff", "oneoffcost", "connection"],
+  },
+  {
+    key: "riseType",
+    label: "Price rise",
+    aliases: ["risetype", "pricerise", "rise", "annualrise"],
+  },
+  {
+    key: "riseValue",
+    label: "Rise (% over CPI or amount)",
+    aliases: ["risevalue", "riseamount", "uplift", "risepercent"],
+  },
+  {
+    key: "oocMonthly",
+    label: "Out-of-contract / month",
+    aliases: ["oocmonthly", "ooc", "outofcontractprice", "outofcontractcost"],
+  },
+  {
+    key: "currency",
+    label: "Currency",
+    aliases: ["currency", "ccy", "currencycode"],
+  },
+  {
+    key: "vatIncluded",
+    label: "Prices inc. VAT",
+    aliases: ["vatincluded", "incvat", "includesvat", "vat"],
+  },
+  {
+    key: "notes",
+    label: "Notes",
+    aliases: ["notes", "note", "comments", "comment", "network", "plan"],
+  },
+  {
+    key: "ownerEmail",
+    label: "Owner email",
+    aliases: [
+      "owneremail",
+      "owner",
+      "manager",
+      "manageremail",
+      "contactemail",
+      "contact",
+      "email",
+    ],
+  },
+  {
+    key: "tags",
+    label: "Tags",
+    aliases: ["tags", "tag", "labels", "groups", "group"],
+  },
+  {
+    key: "costCentre",
+    label: "Cost centre",
+    aliases: [
+      "costcentre",
+      "costcenter",
+      "cc",
+      "department",
+      "dept",
+      "businessunit",
+    ],
+  },
+];
+
+const DATE_FIELDS = ["startDate", "endDate"];
+const MONEY_FIELDS = [
+  "costMonthly",
+  "deviceMonthly",
+  "upfrontCost",
+  "riseValue",
+  "oocMonthly",
+];
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+export const normaliseHeader = (h) =>
+  String(h ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Map each field key to a column index (-1 = not imported). Exact matches
+ * on our own column names win, then our labels, then aliases; a column is
+ * only used once.
+ */
+export function guessMapping(header) {
+  const norm = header.map(normaliseHeader);
+  const used = new Set();
+  const mapping = {};
+  for (const f of IMPORT_FIELDS) {
+    const exact = header.indexOf(f.key);
+    let idx = exact >= 0 && !used.has(exact) ? exact : -1;
+    if (idx < 0) {
+      // our own labels, as the Excel export writes them
+      for (const alias of [normaliseHeader(f.label), ...f.aliases]) {
+        const i = norm.indexOf(alias);
+        if (i >= 0 && !used.has(i)) {
+          idx = i;
+          break;
+        }
+      }
+    }
+    if (idx >= 0) used.add(idx);
+    mapping[f.key] = idx;
+  }
+  return mapping;
+}
+
+const isValidYMD = (y, m, d) => {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  );
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * Normalise a date cell to YYYY-MM-DD (what <input type="date"> stores).
+ * Accepts ISO (2025-12-31, 2025/12/31) and numeric dates in `order`: "dmy"
+ * (31/12/2025, 31-12-2025, 31.12.2025) or "mdy" (12/31/2025). Returns ""
+ * for blank input and null when it can't be read.
+ */
+export function normaliseDate(value, order = "dmy") {
+  const s = String(value ?? "").trim();
+  if (!s) return "";
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/);
+  if (m) {
+    const [y, mo, d] = [+m[1], +m[2], +m[3]];
+    return isValidYMD(y, mo, d) ? `${y}-${pad2(mo)}-${pad2(d)}` : null;
+  }
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (m) {
+    const [d, mo] = order === "mdy" ? [+m[2], +m[1]] : [+m[1], +m[2]];
+    const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return isValidYMD(y, mo, d) ? `${y}-${pad2(mo)}-${pad2(d)}` : null;
+  }
+  return null;
+}
+
+/**
+ * Normalise a cost cell ("£12.50", "12,50 €", "1,234.00", "1.234,00") to a
+ * plain decimal string, digits kept as written ("12.50" stays "12.50", so an
+ * exported cost imports back unchanged). Returns "" for blank input and null
+ * when it isn't a number >= 0.
+ */
+export function normaliseCost(value) {
+  let s = String(value ?? "")
+    .trim()
+    .replace(/[£€$\s]/g, "")
+    .replace(/^[a-z]{3}|[a-z]{3}$/i, "");
+  if (!s) return "";
+  // "12,50" and "1.234,50" → decimal comma; otherwise commas are thousands
+  // separators
+  if (/^\d{1,3}(\.\d{3})+,\d{1,2}$/.test(s))
+    s = s.replaceAll(".", "").replace(",", ".");
+  else
+    s = /^\d+,\d{1,2}$/.test(s) ? s.replace(",", ".") : s.replaceAll(",", "");
+  return /^\d*\.?\d+$/.test(s) && Number.isFinite(Number(s)) ? s : null;
+}
+
+/**
+ * Normalise a whole-number cell ("24", "24 months", "30 days") to a plain
+ * integer string. Returns "" for blank input and null when there's no
+ * non-negative whole number.
+ */
+export function normaliseCount(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return "";
+  const m = s.match(/^(\d+)(?:\s*[a-z]+)?$/i);
+  return m ? String(Number(m[1])) : null;
+}
+
+// "yes" for truthy cells (yes / y / true / 1 / rolling / x), "" otherwise.
+const YES = ["yes", "y", "true", "1", "rolling", "x"];
+export const normaliseFlag = (value) =>
+  YES.includes(
+    String(value ?? "")
+      .trim()
+      .toLowerCase()
+  )
+    ? "yes"
+    : "";
+
+const CURRENCY_SYMBOLS = { "£": "GBP", "€": "EUR", $: "USD" };
+
+// Normalise a currency cell ("eur", "€") to an ISO 4217 code. Returns "" for
+// blank input and null when it isn't one.
+export function normaliseCurrency(value) {
+  const s = String(value ?? "")
+    .trim()
+    .toUpperCase();
+  if (!s) return "";
+  const code = CURRENCY_SYMBOLS[s] || s;
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+/**
+ * Normalise a price-rise cell to a RISE_TYPES key: "CPI + 3.9%" → "cpi",
+ * "£2 fixed" → "fixed", blank / "none" → "". Returns null when unknown.
+ */
+export function normaliseRiseType(value) {
+  const s = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (!s || s === "none" || s === "no") return "";
+  if (s.includes("cpi") || s.includes("rpi")) return "cpi";
+  if (s.includes("fixed") || /[£€$]/.test(s)) return "fixed";
+  return null;
+}
+
+/**
+ * Normalise a single cell for `field` the way buildPreview does, for cells
+ * pasted straight into the table. Returns null when it can't be read.
+ */
+export function normaliseCell(
+  field,
+  value,
+  { dateOrder = "dmy", phoneCountry } = {}
+) {
+  const s = String(value ?? "");
+  if (field === "phone") return toE164(s, phoneCountry);
+  if (DATE_FIELDS.includes(field)) return normaliseDate(s, dateOrder);
+  if (MONEY_FIELDS.includes(field)) return normaliseCost(s);
+  if (field === "termMonths" || field === "noticeDays")
+    return normaliseCount(s);
+  if (field === "rolling" || field === "vatIncluded") return normaliseFlag(s);
+  if (field === "currency") return normaliseCurrency(s);
+  if (field === "riseType") return normaliseRiseType(s);
+  if (field === "tags") return formatTags(parseTags(s));
+  if (field === "ownerEmail") {
+    const emails = s.trim();
+    return !emails || parseEmails(emails).every((e) => EMAIL_RE.test(e))
+      ? emails
+      : null;
+  }
+  if (field === "costCentre") return s.trim();
+  return s;
+}
+
+/**
+ * Apply a mapping to parsed data records and validate each one.
+ * Returns [{ line, values, raw, issues: [{ field, message }] }]; `values`
+ * holds normalised fields with invalid ones blanked. Fully blank records
+ * are dropped. `line` is the 1-based record number in the source file.
+ * `dateOrder` ("dmy" | "mdy") says how to read dates like 03/04/2025, and
+ * phone numbers are stored in E.164, read in `phoneCountry` when they have
+ * no country code.
+ */
+export function buildPreview(
+  records,
+  mapping,
+  { hasHeader = true, dateOrder = "dmy", phoneCountry } = {}
+) {
+  const data = hasHeader ? records.slice(1) : records;
+  const offset = hasHeader ? 2 : 1;
+  const out = [];
+  data.forEach((rec, i) => {
+    const raw = {};
+    for (const key of ROW_COLUMNS) {
+      const idx = mapping[key];
+      raw[key] = idx >= 0 && idx < rec.length ? rec[idx] : "";
+    }
+    if (ROW_COLUMNS.every((k) => raw[k].trim() === "")) return;
+
+    // label/notes are kept verbatim so export → import round-trips exactly
+    const values = { ...raw, phone: raw.phone.trim() };
+    const issues = [];
+    const phone = toE164(raw.phone, phoneCountry);
+    if (phone === null)
+      issues.push({
+        field: "phone",
+        message: `Invalid phone number "${raw.phone}"`,
+      });
+    else values.phone = phone;
+    for (const key of DATE_FIELDS) {
+      const d = normaliseDate(raw[key], dateOrder);
+      if (d === null) {
+        issues.push({ field: key, message: `Unrecognised date "${raw[key]}"` });
+        values[key] = "";
+      } else values[key] = d;
+    }
+    for (const key of MONEY_FIELDS) {
+      const cost = normaliseCost(raw[key]);
+      if (cost === null) {
+        issues.push({ field: key, message: `Invalid cost "${raw[key]}"` });
+        values[key] = "";
+      } else values[key] = cost;
+    }
+    values.riseType = normaliseRiseType(raw.riseType);
+    if (values.riseType === null) {
+      issues.push({
+        field: "riseType",
+        message: `Unknown price rise "${raw.riseType}"`,
+      });
+      values.riseType = "";
+    }
+    values.vatIncluded = normaliseFlag(raw.vatIncluded);
+    values.tags = formatTags(parseTags(raw.tags));
+    values.costCentre = raw.costCentre.trim();
+    values.currency = normaliseCurrency(raw.currency);
+    if (values.currency === null) {
+      issues.push({
+        field: "currency",
+        message: `Unknown currency "${raw.currency}"`,
+      });
+      values.currency = "";
+    }
+
+    for (const key of ["termMonths", "noticeDays"]) {
+      const n = normaliseCount(raw[key]);
+      if (n === null) {
+        issues.push({ field: key, message: `Invalid number "${raw[key]}"` });
+        values[key] = "";
+      } else values[key] = n;
+    }
+    values.rolling = normaliseFlag(raw.rolling);
+    // a term wins over the file's end date, as it does when editing
+    const derived = termEndDate(values.startDate, values.termMonths);
+    if (derived) values.endDate = derived;
+
+    if (values.startDate && values.endDate && values.startDate > values.endDate)
+      issues.push({ field: "endDate", message: "End date is before start date" });
+    if (!values.phone && !values.label)
+      issues.push({ field: "phone", message: "No phone number or label" });
+    values.ownerEmail = raw.ownerEmail.trim();
+    if (
+      values.ownerEmail &&
+      !parseEmails(values.ownerEmail).every((e) => EMAIL_RE.test(e))
+    ) {
+      issues.push({
+        field: "ownerEmail",
+        message: `Invalid email "${raw.ownerEmail}"`,
+      });
+      values.ownerEmail = "";
+    }
+
+    out.push({ line: i + offset, values, raw, issues });
+  });
+  return out;
+}
@@ -0,0 +1,113 @@
+// =============================
+// Import merge: match incoming rows to existing ones and diff them
+// =============================
+import { emptyRow, isArchived, phoneKey } from "./rows.js";
+
+export const MATCH_KEYS = {
+  phone: {
+    label: "Phone number",
+    key: (r, country) => phoneKey(r.phone, country),
+  },
+  label: { label: "Label", key: (r) => (r.label || "").trim().toLowerCase() },
+};
+
+export const IMPORT_MODES = {
+  add: { label: "Add only", hint: "Add new lines; leave existing ones alone." },
+  update: {
+    label: "Update existing",
+    hint: "Add new lines and update matched ones with the file's values.",
+  },
+  sync: {
+    label: "Full sync (archive missing)",
+    hint: "As update, and archive existing lines that aren't in the file.",
+  },
+};
+
+/**
+ * Compare incoming (validated) values against existing rows.
+ *
+ * Only `fields` (the columns the user mapped) are compared, and a blank
+ * incoming value never overwrites existing data — so a carrier export without
+ * a notes column, or a cost that failed validation, doesn't wipe ours.
+ * Archived rows can be matched; updating one restores it. Phone numbers
+ * without a country code are read in `country` (see lib/phone.js).
+ *
+ * Returns { added, changed, unchanged, missing, duplicates } where
+ *   changed   = [{ row, values, changes: [{ field, from, to }] }]
+ *   unchanged = [{ row, values }]
+ *   missing   = active existing rows whose key isn't in the file
+ *   duplicates = incoming values whose key already appeared in the file
+ */
+export function diffImport(
+  existing,
+  incoming,
+  { matchBy = "phone", fields, country }
+) {
+  const keyOf = (r) => MATCH_KEYS[matchBy].key(r, country);
+  const byKey = new Map();
+  for (const row of existing) {
+    const k = keyOf(row);
+    if (k && !byKey.has(k)) byKey.set(k, row);
+  }
+
+  const result = {
+    added: [],
+    changed: [],
+    unchanged: [],
+    missing: [],
+    duplicates: [],
+  };
+  const seen = new Set();
+  for (const values of incoming) {
+    const k = keyOf(values);
+    if (k && seen.has(k)) {
+      result.duplicates.push(values);
+      continue;
+    }
+    if (k) seen.add(k);
+    const row = k ? byKey.get(k) : undefined;
+    if (!row) {
+      result.added.push(values);
+      continue;
+    }
+    // the match field itself only differs in formatting — keep ours
+    const changes = fields
+      .filter((f) => f !== matchBy)
+      .filter((f) => values[f] !== "" && values[f] !== (row[f] ?? ""))
+      .map((f) => ({ field: f, from: row[f] ?? "", to: values[f] }));
+    if (isArchived(row))
+      changes.push({ field: "archivedAt", from: row.archivedAt, to: "" });
+    if (changes.length) result.changed.push({ row, values, changes });
+    else result.unchanged.push({ row, values });
+  }
+
+  result.missing = existing.filter((row) => {
+    const k = keyOf(row);
+    return k && !seen.has(k) && !isArchived(row);
+  });
+  return result;
+}
+
+/**
+ * Apply a diff to the current rows. Existing row ids are always kept so
+ * `notified` keys (`${row.id}:${t}`) stay valid across re-imports.
+ */
+export function applyImport(rows, diff, mode, now = new Date()) {
+  const patches = new Map();
+  if (mode === "update" || mode === "sync") {
+    for (const { row, changes } of diff.changed) {
+      patches.set(
+        row.id,
+        Object.fromEntries(changes.map((c) => [c.field, c.to]))
+      );
+    }
+  }
+  if (mode === "sync") {
+    const stamp = now.toISOString();
+    for (const row of diff.missing) patches.set(row.id, { archivedAt: stamp });
+  }
+  const next = rows.map((r) =>
+    patches.has(r.id) ? { ...r, ...patches.get(r.id) } : r
+  );
+  return [...next, ...diff.added.map((v) => ({ ...emptyRow(), ...v }))];
+}
@@ -0,0 +1,60 @@
+// =============================
+// Pasting a block of cells copied from Excel or Google Sheets
+// =============================
+// Spreadsheets put tab-separated text on the clipboard, one line per row
+// (cells with tabs or line breaks in them are quoted, as in CSV). A block
+// fills the table from the cell it's pasted into: down the lines in the
+// order shown, adding new lines past the end, and across the editable
+// columns, skipping the worked-out ones.
+import { parseCSV } from "./csv.js";
+import { normaliseCell } from "./importer.js";
+import { applyTerm, emptyRow } from "./rows.js";
+
+// A single value pastes into its box as usual; only tabs or several lines
+// make a block.
+export const isBlockPaste = (text) =>
+  /[\t\r\n]/.test(String(text ?? "").replace(/[\r\n]+$/, ""));
+
+export const parseTSV = (text) =>
+  parseCSV(String(text ?? "").replace(/[\r\n]+$/, ""), { delimiter: "\t" });
+
+/**
+ * Write `grid` (rows of cell strings) into `rows`. `ids` are the lines from
+ * the one pasted into onward, in display order; `fields` the editable fields
+ * from the pasted-into column onward. Values are normalised as on import
+ * (`dateOrder`, `phoneCountry`); a cell that can't be read is left as it was.
+ * Returns { rows, updated, added, rejected: [{ line, field, value }] } where
+ * `line` is the 1-based line of the pasted block.
+ */
+export function pasteGrid(
+  rows,
+  grid,
+  { ids, fields, dateOrder = "dmy", phoneCountry }
+) {
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  const changed = new Map(); // id → row
+  const added = [];
+  const rejected = [];
+
+  grid.forEach((cells, i) => {
+    const id = ids[i];
+    let row = id ? changed.get(id) || byId.get(id) : emptyRow();
+    cells.slice(0, fields.length).forEach((raw, c) => {
+      const field = fields[c];
+      const value = normaliseCell(field, raw, { dateOrder, phoneCountry });
+      if (value === null) rejected.push({ line: i + 1, field, value: raw });
+      else if (value !== row[field]) row = { ...row, [field]: value };
+    });
+    row = applyTerm(row);
+    if (id) changed.set(id, row);
+    else added.push(row);
+  });
+
+  const updated = [...changed.values()].filter((r) => r !== byId.get(r.id));
+  return {
+    rows: [...rows.map((r) => changed.get(r.id) || r), ...added],
+    updated: updated.length,
+    added: added.length,
+    rejected,
+  };
+}
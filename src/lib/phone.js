@@ -0,0 +1,159 @@
+// =============================
+// Phone numbers: E.164 normalisation, validation and display
+// =============================
+// Numbers are stored in E.164 ("+447123456789"). Input without a country code
+// is read in the workspace's default country (settings.phoneCountry), so
+// "07123 456789", "7123456789", "447123456789" and "+44 7123 456789" are all
+// the same GB number.
+
+export const DEFAULT_PHONE_COUNTRY = "GB";
+
+// code: country calling code; trunk: national prefix dropped in E.164;
+// lengths: [min, max] digits after the code; groups: display grouping;
+// example: placeholder for inputs.
+export const COUNTRIES = {
+  GB: {
+    label: "United Kingdom (+44)",
+    code: "44",
+    trunk: "0",
+    lengths: [9, 10],
+    groups: [4, 6],
+    example: "07123 456789",
+  },
+  IE: {
+    label: "Ireland (+353)",
+    code: "353",
+    trunk: "0",
+    lengths: [7, 9],
+    groups: [2, 3, 4],
+    example: "085 123 4567",
+  },
+  DE: {
+    label: "Germany (+49)",
+    code: "49",
+    trunk: "0",
+    lengths: [6, 11],
+    groups: [3],
+    example: "0151 23456789",
+  },
+  FR: {
+    label: "France (+33)",
+    code: "33",
+    trunk: "0",
+    lengths: [9, 9],
+    groups: [1, 2, 2, 2, 2],
+    example: "06 12 34 56 78",
+  },
+  US: {
+    label: "United States (+1)",
+    code: "1",
+    trunk: "",
+    lengths: [10, 10],
+    groups: [3, 3, 4],
+    example: "201 555 0123",
+  },
+};
+
+const homeOf = (country) =>
+  COUNTRIES[country] ? country : DEFAULT_PHONE_COUNTRY;
+const digitsOf = (s) => String(s ?? "").replace(/\D/g, "");
+const fits = (c, n) => n >= c.lengths[0] && n <= c.lengths[1];
+// only digits, spaces and the usual punctuation
+const PHONE_CHARS = /^\+?[\d\s().\-/]+$/;
+
+// Split digits into groups of `sizes`; the last group takes the rest.
+const group = (digits, sizes) => {
+  const out = [];
+  let i = 0;
+  for (const size of sizes) {
+    if (i >= digits.length) break;
+    out.push(digits.slice(i, i + size));
+    i += size;
+  }
+  if (i < digits.length) out.push(digits.slice(i));
+  return out;
+};
+
+/**
+ * Read a phone number as { country, nsn } — the country key ("" for calling
+ * codes not in COUNTRIES) and the national number without its trunk prefix.
+ * Returns null for blank or implausible input.
+ */
+export function parsePhone(input, country) {
+  country = homeOf(country);
+  const raw = String(input ?? "").trim();
+  if (!raw || !PHONE_CHARS.test(raw)) return null;
+  let d = digitsOf(raw);
+  const intl = raw.startsWith("+") || d.startsWith("00");
+  if (d.startsWith("00")) d = d.slice(2);
+
+  const home = COUNTRIES[country];
+  if (!intl) {
+    if (home.trunk && d.startsWith(home.trunk) && fits(home, d.length - 1))
+      return { country, nsn: d.slice(1) };
+    if (fits(home, d.length)) return { country, nsn: d };
+    // a country code typed without the "+"
+    if (!d.startsWith(home.code)) return null;
+  }
+
+  for (const [key, c] of Object.entries(COUNTRIES)) {
+    if (!d.startsWith(c.code)) continue;
+    let nsn = d.slice(c.code.length);
+    // "+44 (0)7123 456789"
+    if (c.trunk && nsn.startsWith(c.trunk) && fits(c, nsn.length - 1))
+      nsn = nsn.slice(1);
+    return fits(c, nsn.length) ? { country: key, nsn } : null;
+  }
+  return d.length >= 8 && d.length <= 15 ? { country: "", nsn: d } : null;
+}
+
+// "+447123456789", "" for blank input, or null when it isn't a valid number.
+export function toE164(input, country) {
+  if (!String(input ?? "").trim()) return "";
+  const p = parsePhone(input, country);
+  if (!p) return null;
+  return `+${p.country ? COUNTRIES[p.country].code : ""}${p.nsn}`;
+}
+
+// Inline validation message for a phone cell ("" when fine or blank).
+export const phoneError = (input, country) =>
+  toE164(input, country) === null ? "Not a valid phone number" : "";
+
+/**
+ * Display form: national ("07123 456789") for the default country,
+ * international ("+353 85 123 4567") otherwise. Invalid input is returned
+ * as typed.
+ */
+export function formatPhone(input, country) {
+  country = homeOf(country);
+  const p = parsePhone(input, country);
+  if (!p) return String(input ?? "");
+  if (!p.country) return `+${p.nsn}`;
+  const c = COUNTRIES[p.country];
+  const parts = group(p.nsn, c.groups);
+  if (p.country === country) {
+    parts[0] = `${c.trunk}${parts[0]}`;
+    return parts.join(" ");
+  }
+  return `+${c.code} ${parts.join(" ")}`;
+}
+
+/**
+ * Whether a search query matches the number however either is written:
+ * "07123 456", "+44 7123", "7123456789" and "447123" all find
+ * +447123456789. Queries with fewer than 3 digits or other text never match.
+ */
+export function phoneMatches(phone, query, country) {
+  const q = String(query ?? "").trim();
+  if (!PHONE_CHARS.test(q)) return false;
+  let qd = digitsOf(q);
+  if (qd.startsWith("00")) qd = qd.slice(2);
+  if (qd.length < 3) return false;
+  const forms = [digitsOf(phone)];
+  const p = parsePhone(phone, country);
+  if (p) {
+    const c = COUNTRIES[p.country];
+    forms.push(p.nsn, `${c?.code ?? ""}${p.nsn}`, `${c?.trunk ?? ""}${p.nsn}`);
+  }
+  return forms.some((f) => f.includes(qd));
+}
@@ -0,0 +1,458 @@
+// =============================
+// Carrier bill reconciliation: itemised bills against contracted costs
+// =============================
+// An itemised bill CSV has one record per charge: the number it is for, an
+// amount, and usually a charge type and description. Each network names
+// those columns differently, so CARRIER_PROFILES holds the headers its
+// export uses; a column the user maps by hand is remembered per profile in
+// settings.billMappings ({ ee: { amount: "Net Amount" } }).
+//
+// Charges are matched to lines by phone number (phoneKey) and compared with
+// what the line should cost for the month billed (priceAt in lib/costs.js)
+// on the bill's VAT basis. Out-of-bundle usage and one-off charges / credits
+// are reported separately rather than counted as a price difference.
+import { priceAt } from "./costs.js";
+import { rowCurrency, workspaceCurrency } from "./currency.js";
+import { normaliseCost, normaliseHeader } from "./importer.js";
+import { isArchived, phoneKey } from "./rows.js";
+
+export const BILL_FIELDS = [
+  { key: "phone", label: "Phone number", required: true },
+  { key: "amount", label: "Amount", required: true },
+  { key: "type", label: "Charge type" },
+  { key: "description", label: "Description" },
+];
+
+// Header spellings per field, compared after normaliseHeader(). The named
+// networks list the columns of their business itemised-bill CSV first, then
+// common variants; "other" is a catch-all for resellers and custom files.
+// Business bills are ex. VAT unless vatIncluded says otherwise.
+export const CARRIER_PROFILES = {
+  ee: {
+    label: "EE / BT Business",
+    vatIncluded: false,
+    columns: {
+      phone: ["mobilenumber", "number", "servicenumber", "connection"],
+      amount: ["netamount", "cost", "netcost", "amount", "charge"],
+      type: ["chargetype", "type", "category"],
+      description: ["description", "chargedescription", "details"],
+    },
+  },
+  vodafone: {
+    label: "Vodafone",
+    vatIncluded: false,
+    columns: {
+      phone: ["servicenumber", "ctn", "connectionnumber", "mobilenumber"],
+      amount: ["netcharge", "charge", "amountexvat", "netamount", "amount"],
+      type: ["chargecategory", "chargetype", "category", "type"],
+      description: ["chargedescription", "description", "tariff"],
+    },
+  },
+  o2: {
+    label: "O2 / Virgin Media O2 Business",
+    vatIncluded: false,
+    columns: {
+      phone: ["mobilenumber", "connectionnumber", "connection", "usernumber"],
+      amount: ["chargeexvat", "charge", "netamount", "amount", "cost"],
+      type: ["chargetype", "section", "type", "category"],
+      description: ["description", "chargedescription", "item"],
+    },
+  },
+  three: {
+    label: "Three Business",
+    vatIncluded: false,
+    columns: {
+      phone: ["msisdn", "mobilenumber", "number"],
+      amount: ["amount", "netamount", "cost", "charge"],
+      type: ["type", "chargetype", "category"],
+      description: ["description", "details", "item"],
+    },
+  },
+  other: {
+    label: "Other / custom",
+    vatIncluded: false,
+    columns: {
+      phone: [
+        "phone",
+        "phonenumber",
+        "mobilenumber",
+        "mobile",
+        "number",
+        "msisdn",
+        "ctn",
+        "cli",
+        "servicenumber",
+      ],
+      amount: ["amount", "netamount", "charge", "cost", "total", "value"],
+      type: ["chargetype", "type", "category", "section"],
+      description: ["description", "details", "item", "narrative"],
+    },
+  },
+};
+
+/**
+ * Map each BILL_FIELDS key to a column index (-1 = none). Headers saved for
+ * the profile win, then the profile's spellings; a column is used once.
+ */
+export function guessBillMapping(header, profile, saved = {}) {
+  const norm = header.map(normaliseHeader);
+  const columns = (CARRIER_PROFILES[profile] || CARRIER_PROFILES.other).columns;
+  const used = new Set();
+  const mapping = {};
+  for (const f of BILL_FIELDS) {
+    const names = [
+      ...(saved[f.key] ? [normaliseHeader(saved[f.key])] : []),
+      ...(columns[f.key] || []),
+    ];
+    let idx = -1;
+    for (const name of names) {
+      const i = norm.indexOf(name);
+      if (i >= 0 && !used.has(i)) {
+        idx = i;
+        break;
+      }
+    }
+    if (idx >= 0) used.add(idx);
+    mapping[f.key] = idx;
+  }
+  return mapping;
+}
+
+/**
+ * Index of the header record: bills often start with a few lines of
+ * account details, so it's the first record (of the first 20) where both
+ * the phone and amount columns are found. 0 when none is.
+ */
+export function findHeaderRow(records, profile, saved) {
+  for (let i = 0; i < Math.min(records.length, 20); i++) {
+    const m = guessBillMapping(records[i], profile, saved);
+    if (m.phone >= 0 && m.amount >= 0) return i;
+  }
+  return 0;
+}
+
+/**
+ * Read a bill amount: "£12.50", "-3.00", "(3.00)" and "3.00 CR" (credits)
+ * and the formats normaliseCost reads. Returns a number, or null.
+ */
+export function parseAmount(value) {
+  let s = String(value ?? "").trim();
+  let sign = 1;
+  const credit = s.match(/^\((.*)\)$|^(.*?)\s*cr$/i);
+  if (credit) {
+    s = (credit[1] ?? credit[2]).trim();
+    sign = -1;
+  }
+  if (/^-|^[£€$]\s*-/.test(s)) {
+    s = s.replace("-", "");
+    sign = -sign;
+  }
+  const n = normaliseCost(s);
+  return n === null || n === "" ? null : sign * Number(n);
+}
+
+export const CHARGE_KINDS = {
+  plan: "Plan / line rental",
+  extra: "Out of bundle",
+  other: "One-off / credits",
+};
+
+// Checked in this order, against the charge type column first and the
+// description only when the type says nothing; anything else (discounts on
+// the tariff included) is taken as a plan charge. "International" on its
+// own is often part of a tariff name ("Business Unlimited International –
+// monthly rental"), so it only means out of bundle next to calls or data.
+const KIND_PATTERNS = [
+  [
+    "extra",
+    /out.of.(bundle|allowance|plan)|outside|usage|roaming|premium|excess|overage|international (calls?|minutes|texts?|sms|data)/i,
+  ],
+  [
+    "other",
+    /one.?off|credit|refund|adjust|termination|equipment|handset|device|instal?ment|connection|admin|late payment/i,
+  ],
+  ["plan", /rental|monthly|recurring|subscription|tariff|plan|bundle|add.?on/i],
+  ["extra", /\bcalls?\b|\bdata\b|\bsms\b|\bmms\b|\btexts?\b/i],
+];
+
+const kindOf = (text) =>
+  KIND_PATTERNS.find(([, re]) => re.test(text || ""))?.[0];
+
+export const chargeKind = (type, description) =>
+  kindOf(type) || kindOf(description) || "plan";
+
+/**
+ * Read bill records with a mapping. Returns { charges, skipped }:
+ *   charges [{ line, phone, key, amount, type, description, kind }]
+ *   skipped [{ line, reason }] for records that aren't charges on a number
+ *           (sub-totals, account-level charges) or whose amount is unreadable
+ * `line` is the 1-based record number in the file; blank records are
+ * dropped. Numbers without a country code are read in `country`.
+ */
+export function readBill(records, mapping, { headerRow = 0, country } = {}) {
+  const cell = (rec, field) =>
+    mapping[field] >= 0 ? String(rec[mapping[field]] ?? "").trim() : "";
+  const charges = [];
+  const skipped = [];
+  records.forEach((rec, i) => {
+    if (i <= headerRow || rec.every((v) => !String(v ?? "").trim())) return;
+    const line = i + 1;
+    const phone = cell(rec, "phone");
+    const key = /\d/.test(phone) ? phoneKey(phone, country) : "";
+    const raw = cell(rec, "amount");
+    const amount = parseAmount(raw);
+    if (!key)
+      skipped.push({ line, reason: `no phone number (${phone || "—"})` });
+    else if (amount === null)
+      skipped.push({ line, reason: `amount not understood (${raw || "—"})` });
+    else {
+      const type = cell(rec, "type");
+      const description = cell(rec, "description");
+      charges.push({
+        line,
+        phone,
+        key,
+        amount,
+        type,
+        description,
+        kind: chargeKind(type, description),
+      });
+    }
+  });
+  return { charges, skipped };
+}
+
+// Worst first: the order the report lists lines in.
+export const RECONCILE_STATUSES = {
+  over: { label: "Billed more than contracted", cls: "text-red-700" },
+  archived: { label: "Billed but archived", cls: "text-red-700" },
+  untracked: { label: "Billed, not tracked", cls: "text-orange-700" },
+  unbilled: { label: "Tracked, not billed", cls: "text-orange-700" },
+  extras: { label: "Out-of-bundle charges", cls: "text-yellow-700" },
+  under: { label: "Billed less than contracted", cls: "text-sky-700" },
+  unpriced: { label: "No contracted cost", cls: "text-slate-500" },
+  currency: { label: "Priced in another currency", cls: "text-slate-500" },
+  ok: { label: "Matches", cls: "text-emerald-700" },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Compare a bill's charges with the tracked rows. Options:
+ *   billDate    a day in the month billed ("YYYY-MM-DD"): prices follow
+ *               April rises and out-of-contract pricing as of that day
+ *   vatIncluded the bill's amounts include VAT
+ *   tolerance   differences up to this much (rounding) count as a match
+ *   settings    vatRate, cpiRate, phoneCountry and the workspace currency,
+ *               which the bill is taken to be in
+ * Returns { lines, totals, counts } where each line is
+ *   { key, row, charges, plan, extra, other, billed, contracted,
+ *     variance, status }
+ * keyed by phoneKey (E.164 for valid numbers), row = the tracked line or
+ * null, and variance = plan − contracted; archived and untracked lines are expected
+ * to cost nothing. Tracked lines starting after billDate aren't expected
+ * on the bill.
+ */
+export function reconcileBill(
+  rows,
+  charges,
+  {
+    billDate = new Date().toISOString().slice(0, 10),
+    vatIncluded = false,
+    tolerance = 0.01,
+    settings = {},
+  } = {}
+) {
+  const country = settings.phoneCountry;
+  const currency = workspaceCurrency(settings);
+  const priceSettings = {
+    vatBasis: vatIncluded ? "inc" : "ex",
+    vatRate: settings.vatRate,
+    cpiRate: settings.cpiRate,
+  };
+  // NaN when there's nothing to compare with
+  const contractedFor = (row) =>
+    rowCurrency(row, settings) !== currency || (row.costMonthly ?? "") === ""
+      ? NaN
+      : round2(priceAt(row, billDate, priceSettings));
+
+  // one tracked line per number, active ones before archived
+  const byKey = new Map();
+  for (const row of [...rows].sort((a, b) => isArchived(a) - isArchived(b))) {
+    const k = phoneKey(row.phone, country);
+    if (k && !byKey.has(k)) byKey.set(k, row);
+  }
+
+  const billed = new Map();
+  for (const c of charges) {
+    if (!billed.has(c.key)) billed.set(c.key, []);
+    billed.get(c.key).push(c);
+  }
+
+  const lines = [];
+  for (const [key, list] of billed) {
+    const row = byKey.get(key) || null;
+    const sum = (kind) =>
+      round2(
+        list.filter((c) => c.kind === kind).reduce((n, c) => n + c.amount, 0)
+      );
+    const line = {
+      key,
+      row,
+      charges: list,
+      plan: sum("plan"),
+      extra: sum("extra"),
+      other: sum("other"),
+      contracted: 0,
+    };
+    line.billed = round2(line.plan + line.extra + line.other);
+
+    if (!row) line.status = "untracked";
+    else if (isArchived(row)) line.status = "archived";
+    else {
+      line.contracted = contractedFor(row);
+      if (rowCurrency(row, settings) !== currency) line.status = "currency";
+      else if (!Number.isFinite(line.contracted)) line.status = "unpriced";
+    }
+
+    line.variance = round2(line.plan - line.contracted);
+    if (!line.status)
+      line.status =
+        line.variance > tolerance
+          ? "over"
+          : line.extra > tolerance
+            ? "extras"
+            : line.variance < -tolerance
+              ? "under"
+              : "ok";
+    lines.push(line);
+  }
+
+  for (const [key, row] of byKey) {
+    if (billed.has(key) || isArchived(row)) continue;
+    if (row.startDate && billDate && row.startDate > billDate) continue;
+    const contracted = contractedFor(row);
+    lines.push({
+      key,
+      row,
+      charges: [],
+      plan: 0,
+      extra: 0,
+      other: 0,
+      billed: 0,
+      contracted,
+      variance: Number.isFinite(contracted) ? -contracted : NaN,
+      status: "unbilled",
+    });
+  }
+
+  const order = Object.keys(RECONCILE_STATUSES);
+  lines.sort(
+    (a, b) =>
+      order.indexOf(a.status) - order.indexOf(b.status) ||
+      Math.abs(b.variance || 0) - Math.abs(a.variance || 0) ||
+      a.key.localeCompare(b.key)
+  );
+
+  const total = (field) =>
+    round2(
+      lines.reduce((n, l) => n + (Number.isFinite(l[field]) ? l[field] : 0), 0)
+    );
+  const counts = Object.fromEntries(order.map((s) => [s, 0]));
+  for (const l of lines) counts[l.status]++;
+  return {
+    lines,
+    counts,
+    totals: {
+      billed: total("billed"),
+      plan: total("plan"),
+      extra: total("extra"),
+      other: total("other"),
+      contracted: total("contracted"),
+      // what was billed beyond the contract for matched, priced lines
+      overcharged: round2(
+        lines
+          .filter((l) => l.status === "over")
+          .reduce((n, l) => n + l.variance, 0)
+      ),
+    },
+  };
+}
+
+const REPORT_COLUMNS = [
+  { header: "Phone number", width: 16 },
+  { header: "Label", width: 24 },
+  { header: "Status", width: 28 },
+  { header: "Contracted", type: "money" },
+  { header: "Billed plan", type: "money" },
+  { header: "Variance", type: "money" },
+  { header: "Out of bundle", type: "money" },
+  { header: "One-off / credits", type: "money" },
+  { header: "Billed total", type: "money" },
+  { header: "Charges", width: 60 },
+];
+
+const lineValues = (l) => [
+  l.key,
+  l.row?.label || "",
+  RECONCILE_STATUSES[l.status].label,
+  l.contracted,
+  l.plan,
+  l.variance,
+  l.extra,
+  l.other,
+  l.billed,
+  l.charges
+    .map((c) => `${c.description || c.type || "Charge"} ${c.amount.toFixed(2)}`)
+    .join("; "),
+];
+
+// the total's variance is the overcharge only
+const totalValues = (t) => [
+  "Total",
+  "",
+  "",
+  t.contracted,
+  t.plan,
+  t.overcharged,
+  t.extra,
+  t.other,
+  t.billed,
+  "",
+];
+
+/**
+ * The report as CSV records: one per line, worst first, then a total.
+ * Amounts are plain decimals in the bill's currency; blank where there's
+ * nothing to compare.
+ */
+export function reconciliationRecords(report) {
+  const cell = (v) =>
+    typeof v === "number" ? (Number.isFinite(v) ? v.toFixed(2) : "") : v;
+  return [
+    REPORT_COLUMNS.map((c) => c.header),
+    ...report.lines.map((l) => lineValues(l).map(cell)),
+    totalValues(report.totals).map(cell),
+  ];
+}
+
+/**
+ * The report as a sheet for writeWorkbook (lib/xlsx.js), with amounts as
+ * money in `currency`.
+ */
+export function reconciliationSheet(report, currency) {
+  const cell = (v, i) =>
+    REPORT_COLUMNS[i].type === "money"
+      ? Number.isFinite(v)
+        ? { amount: v, currency }
+        : ""
+      : v;
+  return {
+    name: "Reconciliation",
+    columns: REPORT_COLUMNS,
+    rows: [
+      ...report.lines.map((l) => lineValues(l).map(cell)),
+      totalValues(report.totals).map(cell),
+    ],
+  };
+}
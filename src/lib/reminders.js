@@ -0,0 +1,318 @@
+// =============================
+// Reminder engine (shared by the app and scripts/remind.js)
+// =============================
+import { addDays, daysBetween } from "./dates.js";
+import { sumMoney } from "./currency.js";
+import { formatsFor } from "./format.js";
+import { isArchived, isRolling } from "./rows.js";
+import { renderTemplate } from "./templates.js";
+
+export const DEFAULT_THRESHOLDS = [30, 7, 1, 0];
+
+// Key in the `notified` map; its value is the ISO time the reminder was sent.
+// The end date is part of it, so a reminder sent for a date that was later
+// corrected (or half-typed) doesn't stand in for the real one.
+export const reminderKey = (row, t) => `${row.id}:${row.endDate || ""}:${t}`;
+
+// Keys saved before the end date was part of them still count as sent.
+const legacyKey = (row, t) => `${row.id}:${t}`;
+
+// A late reminder (see dueReminders) is only caught up while its threshold
+// passed at most this many days ago, so lines that ended long ago — e.g.
+// just imported from an old file — don't all send at once. Older ones stay
+// listed as missed (see missedReminders).
+export const CATCH_UP_DAYS = 7;
+
+// `notified` entry holding when the last digest went out (row ids are UUIDs,
+// so this can't collide with a reminderKey).
+export const DIGEST_KEY = "digest:last";
+
+// `notified` without any of the row's reminders (every threshold and
+// channel), so its next term is reminded from scratch.
+export const forgetReminders = (notified, rowId) =>
+  Object.fromEntries(
+    Object.entries(notified).filter(([k]) => !k.startsWith(`${rowId}:`))
+  );
+
+// Extra notification channels (lib/channels.js) keep their own `notified`
+// entries, e.g. `${row.id}:${row.endDate}:7@chat`; email uses the plain keys.
+export const channelKey = (key, channel) =>
+  channel ? `${key}@${channel}` : key;
+
+export const DIGEST_MODES = {
+  immediate: { label: "Immediately (one email per line)", everyDays: 0 },
+  daily: { label: "Daily digest", everyDays: 1 },
+  weekly: { label: "Weekly digest", everyDays: 7 },
+};
+
+// Status buckets, shared by <StatusBadge /> and the digest grouping.
+export function statusOf(daysLeft) {
+  if (!Number.isFinite(daysLeft)) return "none";
+  if (daysLeft < 0) return "expired";
+  if (daysLeft <= 7) return "urgent";
+  if (daysLeft <= 30) return "expiring";
+  return "active";
+}
+
+// Past its end date (or with none) on a rolling month-to-month basis.
+export const rowStatus = (row) =>
+  isRolling(row) && !(row.daysLeft >= 0) ? "rolling" : statusOf(row.daysLeft);
+
+export const STATUS_LABELS = {
+  expired: "Expired",
+  rolling: "Out of contract",
+  urgent: "Urgent",
+  expiring: "Expiring",
+  active: "Active",
+  none: "—",
+};
+
+// What the reminder thresholds count down to (settings.remindBefore).
+export const REMIND_TARGETS = {
+  end: { label: "Contract end date" },
+  notice: { label: "Last day to give notice" },
+};
+
+/**
+ * Add computed fields: daysLeft (to endDate), cost, noticeBy (endDate minus
+ * noticeDays, "" without a notice period), daysToNotice, and remindDays —
+ * the count the thresholds use, per `remindBefore` (lines without a notice
+ * period fall back to the end date).
+ */
+export const enrichRow = (r, today = new Date(), { remindBefore } = {}) => {
+  const daysLeft = r.endDate ? daysBetween(today, r.endDate) : NaN;
+  const cost = r.costMonthly ? Number(r.costMonthly) : 0;
+  const notice = parseInt(r.noticeDays, 10);
+  const noticeBy = r.endDate && notice > 0 ? addDays(r.endDate, -notice) : "";
+  const daysToNotice = noticeBy ? daysBetween(today, noticeBy) : NaN;
+  const remindDays =
+    remindBefore === "notice" && noticeBy ? daysToNotice : daysLeft;
+  return { ...r, daysLeft, cost, noticeBy, daysToNotice, remindDays };
+};
+
+// Most urgent threshold the row has reached (remindDays <= t), if any.
+const crossedThreshold = (row, thresholds) => {
+  const days = row.remindDays ?? row.daysLeft;
+  if (!Number.isFinite(days)) return undefined;
+  const crossed = thresholds.filter((t) => days <= t);
+  return crossed.length ? Math.min(...crossed) : undefined;
+};
+
+/**
+ * Reminders due now for enriched rows: [{ row, threshold, key, late }].
+ *
+ * Only the most urgent crossed threshold is considered, so a line first seen
+ * at 5 days left gets the 7-day reminder (late) and not the 30-day one too.
+ * Nothing is due if that threshold is already in `notified` (for `channel`,
+ * see channelKey). Archived rows, and rolling lines already past their end
+ * date, are skipped. Late reminders are left out once more than
+ * `catchUpDays` late, and for the row ids in `onTimeOnly` (lines being
+ * edited, whose dates may be half-typed).
+ */
+export function dueReminders(
+  rows,
+  thresholds = DEFAULT_THRESHOLDS,
+  notified = {},
+  channel = "",
+  { onTimeOnly = new Set(), catchUpDays = CATCH_UP_DAYS } = {}
+) {
+  const due = [];
+  for (const row of rows) {
+    if (isArchived(row) || rowStatus(row) === "rolling") continue;
+    const t = crossedThreshold(row, thresholds);
+    if (t === undefined) continue;
+    const days = row.remindDays ?? row.daysLeft;
+    const late = days < t;
+    if (late && (t - days > catchUpDays || onTimeOnly.has(row.id))) continue;
+    const key = channelKey(reminderKey(row, t), channel);
+    if (!notified[key] && !notified[channelKey(legacyKey(row, t), channel)])
+      due.push({ row, threshold: t, key, late });
+  }
+  return due;
+}
+
+// Calendar days since the last digest have reached the mode's interval.
+export function isDigestDue(
+  mode,
+  notified = {},
+  now = new Date(),
+  channel = ""
+) {
+  const last = notified[channelKey(DIGEST_KEY, channel)];
+  if (!last) return true;
+  return daysBetween(last, now) >= (DIGEST_MODES[mode]?.everyDays ?? 0);
+}
+
+/**
+ * Due reminders whose threshold day has already passed without a send.
+ * In digest mode a late reminder only counts once the digest is overdue —
+ * waiting for the next scheduled digest isn't "missed". Reminders too late
+ * to be caught up are listed too, with `tooLate` set, as nothing will send
+ * them.
+ */
+export function missedReminders(rows, settings, notified, now = new Date()) {
+  const mode = settings.digest || "immediate";
+  if (mode !== "immediate" && !isDigestDue(mode, notified, now)) return [];
+  return dueReminders(
+    rows,
+    settings.thresholds || DEFAULT_THRESHOLDS,
+    notified,
+    "",
+    { catchUpDays: Infinity }
+  )
+    .filter((d) => d.late)
+    .map((d) => ({
+      ...d,
+      tooLate:
+        d.threshold - (d.row.remindDays ?? d.row.daysLeft) > CATCH_UP_DAYS,
+    }));
+}
+
+// =============================
+// Email content
+// =============================
+const plural = (n) => `${n} day${n === 1 ? "" : "s"}`;
+
+// Placeholders available to subject/body templates (also sent to EmailJS as
+// individual template params). Values are display strings; sections treat
+// "" as false.
+export const TEMPLATE_FIELDS = {
+  name: "Phone number, or label if there is none",
+  phone: "Phone number",
+  label: "Label",
+  startDate: "Contract start (YYYY-MM-DD)",
+  endDate: "Contract end (YYYY-MM-DD)",
+  daysLeft: "Days until the end date (negative once expired)",
+  daysText: 'e.g. "7 days" / "1 day" (always positive)',
+  expired: '"yes" when the end date has passed',
+  status: "Expired / Urgent / Expiring / Active / Out of contract",
+  termMonths: "Minimum term in months",
+  noticeBy: "Last day to give notice (YYYY-MM-DD)",
+  daysToNotice: "Days until the last day to give notice",
+  cost: "Monthly cost, formatted",
+  notes: "Notes",
+  ownerEmail: "Owner / contact email",
+};
+
+export const templateVars = (row, fmt = formatsFor()) => ({
+  name: fmt.phone(row.phone) || row.label || "(unnamed)",
+  phone: fmt.phone(row.phone),
+  label: row.label || "",
+  startDate: row.startDate || "",
+  endDate: row.endDate || "",
+  daysLeft: Number.isFinite(row.daysLeft) ? String(row.daysLeft) : "",
+  daysText: Number.isFinite(row.daysLeft) ? plural(Math.abs(row.daysLeft)) : "",
+  expired: row.daysLeft < 0 ? "yes" : "",
+  status: STATUS_LABELS[rowStatus(row)],
+  termMonths: row.termMonths ? String(row.termMonths) : "",
+  noticeBy: row.noticeBy || "",
+  daysToNotice: Number.isFinite(row.daysToNotice)
+    ? String(row.daysToNotice)
+    : "",
+  cost: row.cost ? fmt.money(row.cost, row.currency) : "",
+  notes: row.notes || "",
+  ownerEmail: row.ownerEmail || "",
+});
+
+// Defaults reproduce the original hard-coded wording exactly.
+export const DEFAULT_SUBJECT_TEMPLATE =
+  "{{#expired}}Contract expired: {{name}} {{daysText}} ago{{/expired}}" +
+  "{{^expired}}Contract expiring: {{name}} in {{daysText}}{{/expired}}";
+
+export const DEFAULT_BODY_TEMPLATE = `SIM: {{name}}
+{{#label}}
+Label: {{label}}
+{{/label}}
+{{#endDate}}
+End Date: {{endDate}}
+Days Left: {{daysLeft}}
+{{/endDate}}
+{{#noticeBy}}
+Give Notice By: {{noticeBy}}
+{{/noticeBy}}
+{{#cost}}
+Monthly Cost: {{cost}}
+{{/cost}}
+{{#notes}}
+Notes: {{notes}}
+{{/notes}}`;
+
+// `templates` is settings.emailTemplates ({ subject, body }); blank = default.
+// `fmt` is formatsFor(settings) (lib/format.js), used for money.
+export const emailSubject = (row, templates = {}, fmt = formatsFor()) =>
+  renderTemplate(
+    templates.subject || DEFAULT_SUBJECT_TEMPLATE,
+    templateVars(row, fmt)
+  ).trim();
+
+// IMPORTANT: templates use \n (newline) between lines; trailing blank lines
+// left by empty sections are trimmed.
+export const emailBody = (row, templates = {}, fmt = formatsFor()) =>
+  renderTemplate(
+    templates.body || DEFAULT_BODY_TEMPLATE,
+    templateVars(row, fmt)
+  ).replace(/\s+$/, "");
+
+// =============================
+// Digest content (one email for many lines)
+// =============================
+const DIGEST_GROUPS = ["expired", "urgent", "expiring", "active", "rolling"];
+
+const digestLine = (row, fmt) => {
+  const name = fmt.phone(row.phone) || row.label || "(unnamed)";
+  const label = row.phone && row.label ? ` (${row.label})` : "";
+  const when =
+    row.daysLeft < 0
+      ? `expired ${plural(-row.daysLeft)} ago`
+      : `${plural(row.daysLeft)} left`;
+  const cost = row.cost ? ` — ${fmt.money(row.cost, row.currency)}/month` : "";
+  const notice = row.noticeBy ? `, give notice by ${row.noticeBy}` : "";
+  return `• ${name}${label} — ${when} (ends ${row.endDate}${notice})${cost}`;
+};
+
+const groupByStatus = (rows) =>
+  DIGEST_GROUPS.map((status) => ({
+    status,
+    rows: rows
+      .filter((r) => rowStatus(r) === status)
+      .sort((a, b) => a.daysLeft - b.daysLeft),
+  })).filter((g) => g.rows.length);
+
+export const digestSubject = (rows) =>
+  `Mobile contracts: ${groupByStatus(rows)
+    .map((g) => `${g.rows.length} ${STATUS_LABELS[g.status].toLowerCase()}`)
+    .join(", ")}`;
+
+// The total is worked out as the app's own totals are: `money` is
+// { currency, totalsMode, rates } (the settings, see sumMoney), so it is
+// given per currency or converted as chosen there. Lines without a cost
+// don't add a currency of their own.
+export const digestBody = (
+  rows,
+  fmt = formatsFor(),
+  money = { currency: fmt.currency }
+) => {
+  const { totals, missing } = sumMoney(
+    rows.filter((r) => r.cost),
+    (r) => r.cost,
+    money
+  );
+  const lines = [
+    `${rows.length} line${rows.length === 1 ? " needs" : "s need"} attention.`,
+  ];
+  for (const g of groupByStatus(rows)) {
+    lines.push("", `${STATUS_LABELS[g.status].toUpperCase()} (${g.rows.length})`);
+    lines.push(...g.rows.map((r) => digestLine(r, fmt)));
+  }
+  lines.push(
+    "",
+    `Total: ${rows.length} line${rows.length === 1 ? "" : "s"}, ${totals
+      .map((t) => fmt.money(t.amount, t.currency))
+      .join(" + ")}/month${
+      missing.length
+        ? ` (excludes ${missing.join(", ")}: no exchange rate)`
+        : ""
+    }`
+  );
+  return lines.join("\n");
+};
@@ -0,0 +1,117 @@
+// =============================
+// Reminder routing: who gets which line
+// =============================
+// A line goes to its owner (row.ownerEmail) plus everyone from matching
+// routing rules; when nobody matches it falls back to settings.notifyEmail.
+// settings.ccEmails is copied on every reminder.
+import { phoneMatches, toE164 } from "./phone.js";
+
+export const RULE_FIELDS = {
+  label: { label: "Label", type: "text" },
+  notes: { label: "Notes", type: "text" },
+  phone: { label: "Phone number", type: "text" },
+  ownerEmail: { label: "Owner email", type: "text" },
+  cost: { label: "Cost / month", type: "number" },
+  daysLeft: { label: "Days left", type: "number" },
+};
+
+export const RULE_OPS = {
+  contains: { label: "contains", types: ["text"] },
+  equals: { label: "equals", types: ["text", "number"] },
+  gt: { label: ">", types: ["number"] },
+  lt: { label: "<", types: ["number"] },
+};
+
+export const emptyRule = () => ({
+  id: crypto.randomUUID(),
+  field: "label",
+  op: "contains",
+  value: "",
+  to: "",
+});
+
+// "a@x.com, b@y.com; c@z.com" → ["a@x.com", "b@y.com", "c@z.com"]
+export const parseEmails = (s) =>
+  String(s ?? "")
+    .split(/[,;\s]+/)
+    .map((e) => e.trim())
+    .filter(Boolean);
+
+const unique = (list) => {
+  const seen = new Set();
+  return list.filter((e) => {
+    const k = e.toLowerCase();
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+};
+
+// Phone rules match however either number is written (see lib/phone.js),
+// read in `country` when there's no country code.
+export function ruleMatches(rule, row, country) {
+  if (rule.value === "" || rule.value == null) return false;
+  if (rule.field === "phone") {
+    if (rule.op === "contains" && phoneMatches(row.phone, rule.value, country))
+      return true;
+    const e164 = toE164(rule.value, country);
+    if (rule.op === "equals" && e164 && e164 === toE164(row.phone, country))
+      return true;
+  }
+  const type = RULE_FIELDS[rule.field]?.type;
+  if (type === "number") {
+    const a = Number(row[rule.field]);
+    const b = Number(rule.value);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+    if (rule.op === "gt") return a > b;
+    if (rule.op === "lt") return a < b;
+    if (rule.op === "equals") return a === b;
+    return false;
+  }
+  const a = String(row[rule.field] ?? "").toLowerCase();
+  const b = String(rule.value).toLowerCase();
+  if (rule.op === "contains") return a.includes(b);
+  if (rule.op === "equals") return a.trim() === b.trim();
+  return false;
+}
+
+/** Recipients for one enriched row: { to: [email], cc: [email] }. */
+export function routeRow(row, settings) {
+  let to = unique([
+    ...parseEmails(row.ownerEmail),
+    ...(settings.routingRules || [])
+      .filter((r) => ruleMatches(r, row, settings.phoneCountry))
+      .flatMap((r) => parseEmails(r.to)),
+  ]);
+  if (!to.length) to = unique(parseEmails(settings.notifyEmail));
+  const lower = new Set(to.map((e) => e.toLowerCase()));
+  const cc = unique(parseEmails(settings.ccEmails)).filter(
+    (e) => !lower.has(e.toLowerCase())
+  );
+  return { to, cc };
+}
+
+/**
+ * Group items ({ row, … }) by recipient, so each address in `to` gets one
+ * digest listing every line routed to it, however many rules it appears in.
+ * The lines' cc addresses stay cc'd on those digests. Returns
+ * [{ key, to: [email], cc: [email], items }] with key = the address in lower
+ * case; lines with no recipient are left out.
+ */
+export function groupByRecipient(items, settings) {
+  const groups = new Map();
+  for (const item of items) {
+    const { to, cc } = routeRow(item.row, settings);
+    for (const email of to) {
+      const key = email.toLowerCase();
+      if (!groups.has(key))
+        groups.set(key, { key, to: [email], cc: [], items: [] });
+      const group = groups.get(key);
+      group.items.push(item);
+      group.cc = unique([...group.cc, ...cc]).filter(
+        (e) => e.toLowerCase() !== key
+      );
+    }
+  }
+  return [...groups.values()];
+}
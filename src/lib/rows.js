@@ -0,0 +1,198 @@
+// =============================
+// Row model
+// =============================
+import { addDays, addMonths } from "./dates.js";
+import { toE164 } from "./phone.js";
+
+// Columns written by Export CSV and understood by Import CSV (in this order).
+export const ROW_COLUMNS = [
+  "phone",
+  "label",
+  "startDate",
+  "endDate",
+  "termMonths",
+  "noticeDays",
+  "rolling",
+  "costMonthly",
+  "deviceMonthly",
+  "upfrontCost",
+  "riseType",
+  "riseValue",
+  "oocMonthly",
+  "vatIncluded",
+  "currency",
+  "notes",
+  "ownerEmail",
+  "tags",
+  "costCentre",
+];
+
+export const emptyRow = () => ({
+  id: crypto.randomUUID(),
+  phone: "",
+  label: "",
+  startDate: "",
+  endDate: "", // derived from startDate + termMonths when a term is set
+  termMonths: "", // minimum term, e.g. "24"
+  noticeDays: "", // notice needed before endDate, e.g. "30"
+  rolling: "", // "yes" = out of contract, running month to month
+  costMonthly: "",
+  // pricing detail, see lib/costs.js
+  deviceMonthly: "",
+  upfrontCost: "",
+  riseType: "",
+  riseValue: "",
+  oocMonthly: "",
+  vatIncluded: "",
+  currency: "", // ISO code, e.g. "EUR"; blank = the workspace currency
+  notes: "",
+  ownerEmail: "", // reminders for this line go here (see lib/routing.js)
+  tags: "", // "sales, loan phone", see parseTags
+  costCentre: "", // code from settings.costCentres
+  archivedAt: "", // ISO timestamp once archived (e.g. by a full-sync import)
+  history: [], // past terms, oldest first (see renewRow)
+});
+
+// Key for matching the same SIM however it was typed: its E.164 form (see
+// lib/phone.js), or just the digits when it isn't a valid number.
+export const phoneKey = (phone, country) =>
+  toE164(phone, country) || String(phone ?? "").replace(/\D/g, "");
+
+export const isArchived = (row) => Boolean(row.archivedAt);
+
+// Tags are kept as one comma-separated string so they survive CSV as is.
+// Distinct tags (ignoring case) in the order first given.
+export function parseTags(value) {
+  const seen = new Set();
+  return String(value ?? "")
+    .split(/[,;]/)
+    .map((t) => t.trim())
+    .filter((t) => {
+      const key = t.toLowerCase();
+      if (!t || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+export const formatTags = (tags) => parseTags(tags.join(",")).join(", ");
+
+export const isRolling = (row) => Boolean(row.rolling);
+
+// A term of N months starting 1 Jan ends on 31 Dec: the day before the Nth
+// monthly anniversary.
+export const termEndDate = (startDate, termMonths) => {
+  const n = parseInt(termMonths, 10);
+  if (!startDate || !(n > 0)) return "";
+  return addDays(addMonths(startDate, n), -1);
+};
+
+// Recompute endDate when the row has a term; rows without one keep theirs.
+export const applyTerm = (row) => {
+  const endDate = termEndDate(row.startDate, row.termMonths);
+  return endDate && endDate !== row.endDate ? { ...row, endDate } : row;
+};
+
+// =============================
+// Renewals
+// =============================
+// Fields that describe one term; renewRow copies them into row.history.
+export const TERM_FIELDS = [
+  "startDate",
+  "endDate",
+  "termMonths",
+  "noticeDays",
+  "costMonthly",
+  "deviceMonthly",
+  "upfrontCost",
+  "riseType",
+  "riseValue",
+  "oocMonthly",
+  "vatIncluded",
+  "notes",
+];
+
+// Suggested next term: starts the day after the current one ends (or today
+// if that has passed) on the same term length, notice and tariff, with no
+// new device or upfront cost.
+export function renewalDefaults(row, today) {
+  const nextDay = row.endDate ? addDays(row.endDate, 1) : "";
+  return {
+    startDate: nextDay && nextDay > today ? nextDay : today,
+    termMonths: row.termMonths || "",
+    endDate: "",
+    noticeDays: row.noticeDays || "",
+    costMonthly: row.costMonthly || "",
+    deviceMonthly: "",
+    upfrontCost: "",
+    riseType: row.riseType || "",
+    riseValue: row.riseValue || "",
+    oocMonthly: row.oocMonthly || "",
+    vatIncluded: row.vatIncluded || "",
+    notes: row.notes || "",
+  };
+}
+
+/**
+ * Start a new term: the current one is appended to `history` (with the time
+ * of the renewal) and replaced by `next` ({ …TERM_FIELDS }). The line is no
+ * longer rolling.
+ */
+export function renewRow(row, next, now = new Date()) {
+  const past = Object.fromEntries(TERM_FIELDS.map((f) => [f, row[f] ?? ""]));
+  return applyTerm({
+    ...row,
+    ...next,
+    rolling: "",
+    history: [
+      ...(row.history || []),
+      { ...past, renewedAt: now.toISOString() },
+    ],
+  });
+}
+
+// =============================
+// Duplicates
+// =============================
+/**
+ * Active rows sharing a phone number (compared by phoneKey), as groups of
+ * two or more rows in their original order.
+ */
+export function findDuplicates(rows, country) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (isArchived(row)) continue;
+    const key = phoneKey(row.phone, country);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+const isBlank = (v) => v === "" || v == null;
+
+/**
+ * Fold duplicate rows into `keep`: its blank fields are filled from the
+ * others (first one wins), distinct notes and tags are joined and every
+ * past term is kept. The others' current terms are dropped, so keep the
+ * row with the right term. The caller removes the others.
+ */
+export function mergeRows(keep, others) {
+  const merged = { ...keep };
+  for (const key of ROW_COLUMNS) {
+    if (!isBlank(merged[key])) continue;
+    const donor = others.find((o) => !isBlank(o[key]));
+    if (donor) merged[key] = donor[key];
+  }
+  merged.notes = [
+    ...new Set([keep, ...others].map((r) => (r.notes || "").trim())),
+  ]
+    .filter(Boolean)
+    .join("; ");
+  merged.tags = formatTags([keep, ...others].flatMap((r) => parseTags(r.tags)));
+  merged.history = [keep, ...others]
+    .flatMap((r) => r.history || [])
+    .sort((a, b) => (a.renewedAt || "").localeCompare(b.renewedAt || ""));
+  return applyTerm(merged);
+}
@@ -0,0 +1,380 @@
+// =============================
+// Email sending utilities
+// =============================
+import {
+  activeChannels,
+  channelConfig,
+  channelMessage,
+  channelThresholds,
+  sendToChannel,
+} from "./channels.js";
+import {
+  DEFAULT_THRESHOLDS,
+  DIGEST_KEY,
+  channelKey,
+  digestBody,
+  digestSubject,
+  dueReminders,
+  emailBody,
+  emailSubject,
+  isDigestDue,
+  templateVars,
+} from "./reminders.js";
+import { formatsFor } from "./format.js";
+import { groupByRecipient, parseEmails, routeRow } from "./routing.js";
+
+export async function sendEmailViaEmailJS({
+  serviceId,
+  templateId,
+  publicKey,
+  toEmail,
+  ccEmail,
+  subject,
+  message,
+  params = {},
+}) {
+  // dynamic import so the app still works if SDK isn't installed yet
+  const emailjs = await import("@emailjs/browser").catch(() => null);
+  if (!emailjs)
+    throw new Error("EmailJS SDK not installed. Run: npm i @emailjs/browser");
+  return emailjs.send(
+    serviceId,
+    templateId,
+    {
+      ...params,
+      to_email: toEmail,
+      ...(ccEmail ? { cc_email: ccEmail } : {}),
+      subject,
+      message,
+    },
+    { publicKey }
+  );
+}
+
+// (Optional) Hook for serverless email — drop in your endpoint URL below
+// Payload: { to, subject, text }, plus `cc` when there is one. Multiple
+// addresses are comma-separated, as in an email header.
+export async function sendEmailViaWebhook({
+  endpoint,
+  toEmail,
+  ccEmail,
+  subject,
+  message,
+}) {
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      to: toEmail,
+      ...(ccEmail ? { cc: ccEmail } : {}),
+      subject,
+      text: message,
+    }),
+  });
+  if (!res.ok) throw new Error(`Email webhook failed: ${res.status}`);
+  return await res.json();
+}
+
+/**
+ * Send one email using the configured provider. Resolves to false (nothing
+ * sent) when the recipient or provider settings are incomplete, true once the
+ * provider accepted the message. `to`/`cc` are address lists (see routeRow);
+ * without `to` the default recipient (settings.notifyEmail) is used.
+ * `params` (e.g. templateVars of the row) are passed to EmailJS as extra
+ * template params.
+ */
+export async function sendEmail(
+  settings,
+  { to, cc = [], subject, message, params }
+) {
+  const toEmail = (to || parseEmails(settings.notifyEmail)).join(", ");
+  const ccEmail = cc.join(", ");
+  if (!toEmail) return false;
+
+  if (settings.provider === "webhook" && settings.webhookEndpoint) {
+    await sendEmailViaWebhook({
+      endpoint: settings.webhookEndpoint,
+      toEmail,
+      ccEmail,
+      subject,
+      message,
+    });
+    return true;
+  }
+  if (settings.provider === "emailjs") {
+    const { emailjsServiceId, emailjsTemplateId, emailjsPublicKey } = settings;
+    if (!emailjsServiceId || !emailjsTemplateId || !emailjsPublicKey)
+      return false;
+    await sendEmailViaEmailJS({
+      serviceId: emailjsServiceId,
+      templateId: emailjsTemplateId,
+      publicKey: emailjsPublicKey,
+      toEmail,
+      ccEmail,
+      subject,
+      message,
+      params,
+    });
+    return true;
+  }
+  return false;
+}
+
+// Whether reminders have anywhere to go: a provider with its settings filled
+// in (see sendEmail), or an active channel.
+export function canSendReminders(settings) {
+  if (activeChannels(settings).length) return true;
+  if (settings.provider === "webhook") return Boolean(settings.webhookEndpoint);
+  const { emailjsServiceId, emailjsTemplateId, emailjsPublicKey } = settings;
+  return (
+    settings.provider === "emailjs" &&
+    Boolean(emailjsServiceId && emailjsTemplateId && emailjsPublicKey)
+  );
+}
+
+// Subject, body and per-field params for one line's reminder.
+export const reminderEmail = (row, templates, fmt) => ({
+  subject: emailSubject(row, templates, fmt),
+  message: emailBody(row, templates, fmt),
+  params: templateVars(row, fmt),
+});
+
+// =============================
+// Reminder loop
+// =============================
+// A "route" is one way reminders leave the app: email, or one of the
+// registered channels. Each keeps its own `notified` keys (see channelKey),
+// thresholds and digest timer, and only differs in how due lines are batched
+// and delivered.
+//
+// A digest line can be in several people's digests. Until all of them have
+// gone out, each one that has is recorded as a receipt (receiptKey), so a
+// retry only goes to the people still waiting for it.
+const receiptKey = (key, recipient) => `${key}>${recipient}`;
+
+const emailRoute = (settings) => ({
+  channel: "",
+  provider: settings.provider,
+  thresholds: settings.thresholds || DEFAULT_THRESHOLDS,
+  batches: (due, digest, notified) =>
+    digest
+      ? groupByRecipient(due, settings)
+          .map((g) => ({
+            slot: `digest:${g.key}`,
+            ...g,
+            items: g.items.filter((d) => !notified[receiptKey(d.key, g.key)]),
+          }))
+          .filter((g) => g.items.length)
+      : due.map((d) => ({
+          slot: d.key,
+          items: [d],
+          ...routeRow(d.row, settings),
+        })),
+  recipient: ({ to, cc }) => [...to, ...cc.map((e) => `cc ${e}`)].join(", "),
+  build: (items, digest) => {
+    const fmt = formatsFor(settings);
+    if (!digest)
+      return reminderEmail(items[0].row, settings.emailTemplates, fmt);
+    const digestRows = items.map((d) => d.row);
+    return {
+      subject: digestSubject(digestRows),
+      message: digestBody(digestRows, fmt, settings),
+    };
+  },
+  deliver: ({ to, cc }, email) => sendEmail(settings, { ...email, to, cc }),
+});
+
+const channelRoute = (settings, def) => {
+  const config = channelConfig(settings, def.key);
+  return {
+    channel: def.key,
+    provider: def.key,
+    thresholds: channelThresholds(settings, config),
+    batches: (due, digest) =>
+      digest
+        ? [{ slot: channelKey("digest", def.key), items: due }]
+        : due.map((d) => ({ slot: d.key, items: [d] })),
+    recipient: () => (def.describe ? def.describe(config) : def.label),
+    // logged like an email so the delivery log can show and resend it
+    build: (items, digest) => {
+      const { title, text, ...params } = channelMessage(
+        items,
+        digest ? "digest" : "reminder",
+        formatsFor(settings),
+        settings
+      );
+      return { subject: title, message: text, params };
+    },
+    deliver: async (batch, email) => {
+      await def.send(config, channelMessageOf(email));
+      return true;
+    },
+  };
+};
+
+const channelMessageOf = ({ subject, message, params }) => ({
+  title: subject,
+  text: message,
+  status: "active",
+  fields: [],
+  ...params,
+});
+
+/**
+ * One reminder pass over enriched rows — the loop behind both the app's
+ * hourly check and scripts/remind.js. Runs email first, then every active
+ * channel (see activeChannels).
+ *
+ * Email routes every due line (routeRow) to its recipients. Immediate mode
+ * sends one message per due line; digest modes send one digest per
+ * recipient, with the lines' cc addresses copied (one per channel), once the
+ * digest interval has elapsed, so people get a single digest of their own
+ * lines.
+ *
+ * `markSent(keys, at)` is awaited after each accepted send so the caller can
+ * record the keys in `notified` — a line's key once every batch holding it
+ * has gone out, a receipt for the others; the route's digest key is added
+ * once every digest of the period has gone out. Keys in `inFlight` are
+ * skipped; every key this pass will try is added up front and released at
+ * the end, so an overlapping pass can't send it twice.
+ *
+ * Each attempt is reported to `onAttempt` (see recordAttempt in
+ * deliveries.js) and a slot — the reminder key, or a digest slot — is only
+ * tried when `canAttempt(slot)` allows it, which is how retry backoff is
+ * applied. Late reminders for the row ids in `onTimeOnly` are left for
+ * later (see dueReminders). Returns { sent: [key], failed: [{ keys, error }],
+ * skipped: [key] }.
+ */
+export async function sendDueReminders({
+  rows,
+  settings,
+  notified,
+  now = new Date(),
+  inFlight = new Set(),
+  markSent,
+  canAttempt = () => true,
+  onAttempt = () => {},
+  onTimeOnly,
+}) {
+  const result = { sent: [], failed: [], skipped: [] };
+  const routes = [
+    emailRoute(settings),
+    ...activeChannels(settings).map((def) => channelRoute(settings, def)),
+  ];
+  for (const route of routes)
+    await runRoute(route, {
+      rows,
+      settings,
+      notified,
+      now,
+      inFlight,
+      markSent,
+      canAttempt,
+      onAttempt,
+      onTimeOnly,
+      result,
+    });
+  return result;
+}
+
+async function runRoute(
+  route,
+  {
+    rows,
+    settings,
+    notified,
+    now,
+    inFlight,
+    markSent,
+    canAttempt,
+    onAttempt,
+    onTimeOnly,
+    result,
+  }
+) {
+  const mode = settings.digest || "immediate";
+  const digest = mode !== "immediate";
+  const due = dueReminders(rows, route.thresholds, notified, route.channel, {
+    onTimeOnly,
+  }).filter((d) => !inFlight.has(d.key));
+  if (
+    digest &&
+    !(due.length && isDigestDue(mode, notified, now, route.channel))
+  )
+    return;
+
+  const batches = route.batches(due, digest, notified);
+  const batched = new Set(batches.flatMap((b) => b.items.map((d) => d.key)));
+  result.skipped.push(...due.map((d) => d.key).filter((k) => !batched.has(k)));
+  const ready = batches.filter((b) => canAttempt(b.slot));
+  ready.forEach((b) => b.items.forEach((d) => inFlight.add(d.key)));
+  // batches still to go out per line
+  const holders = new Map();
+  for (const b of batches)
+    for (const d of b.items) holders.set(d.key, (holders.get(d.key) || 0) + 1);
+
+  const attempt = async (batch) => {
+    const keys = batch.items.map((d) => d.key);
+    let email = { subject: "", message: "" };
+    const report = (ok, error) =>
+      onAttempt({
+        slot: batch.slot,
+        kind: digest ? "digest" : "reminder",
+        channel: route.channel,
+        keys,
+        provider: route.provider,
+        recipient: route.recipient(batch),
+        email: { ...email, to: batch.to, cc: batch.cc },
+        ok,
+        error,
+        at: new Date().toISOString(),
+      });
+    try {
+      // built inside the try so a broken template counts as a failure
+      email = route.build(batch.items, digest);
+      if (await route.deliver(batch, email)) {
+        const done = keys.filter((k) => {
+          holders.set(k, holders.get(k) - 1);
+          return holders.get(k) === 0;
+        });
+        const receipts = keys
+          .filter((k) => !done.includes(k))
+          .map((k) => receiptKey(k, batch.key));
+        await markSent([...done, ...receipts], now.toISOString());
+        result.sent.push(...done);
+        report(true);
+        return true;
+      }
+      result.skipped.push(...keys);
+    } catch (e) {
+      const error = e.message || String(e);
+      result.failed.push({ keys, error });
+      report(false, error);
+    }
+    return false;
+  };
+
+  let allSent = ready.length === batches.length;
+  for (const batch of ready) if (!(await attempt(batch))) allSent = false;
+  ready.forEach((b) => b.items.forEach((d) => inFlight.delete(d.key)));
+  if (digest && allSent && batches.length)
+    await markSent([channelKey(DIGEST_KEY, route.channel)], now.toISOString());
+}
+
+/**
+ * Send a delivery-log entry again as-is, through the route it was logged
+ * for. Resolves like sendEmail: false when settings are incomplete.
+ */
+export async function resendEntry(settings, entry) {
+  if (entry.channel) {
+    await sendToChannel(settings, entry.channel, channelMessageOf(entry));
+    return true;
+  }
+  return sendEmail(settings, {
+    to: entry.to, // undefined for entries logged before routing → default
+    cc: entry.cc || [],
+    subject: entry.subject,
+    message: entry.message,
+    params: entry.params,
+  });
+}
@@ -0,0 +1,376 @@
+// =============================
+// Persistence: IndexedDB with versioned migrations
+// =============================
+// Object stores:
+//   rows        one record per line, keyed by row id
+//   kv          settings, notified, deliveries and rowOrder, keyed by name
+//   quarantine  saved data that couldn't be read, kept for recovery
+//   snapshots   rolling full backups (see lib/backup.js), newest kept
+//
+// MIGRATIONS[n] upgrades a database at version n to n + 1 and runs inside
+// IndexedDB's upgrade transaction, so a half-applied upgrade rolls back. The
+// first one creates the stores and brings over the localStorage data the
+// app used up to now. Rows are written one by one as they change (see
+// diffRows), not re-serialised as a whole.
+//
+// Where IndexedDB isn't available (old browsers, some private modes) the
+// same interface is backed by the old localStorage keys. Once IndexedDB has
+// worked in a browser those keys are only the copy taken when it took over,
+// so they are never used in its place without asking (see localStore).
+import { emptyRow } from "./rows.js";
+
+export const DB_NAME = "mobile-contract-tracker";
+
+// localStorage keys of the pre-IndexedDB app ("v2" rows)
+export const LEGACY_KEYS = {
+  rows: "mobile-contract-tracker:v2",
+  settings: "mobile-contract-tracker:settings",
+  notified: "mobile-contract-tracker:notified",
+  deliveries: "mobile-contract-tracker:deliveries",
+};
+const LEGACY_QUARANTINE_KEY = "mobile-contract-tracker:quarantine";
+const LEGACY_SNAPSHOTS_KEY = "mobile-contract-tracker:snapshots";
+// set once IndexedDB has opened in this browser
+const IDB_USED_KEY = "mobile-contract-tracker:indexeddb";
+
+const isObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Shape each kv value must have to be used
+const KV_CHECKS = {
+  settings: isObject,
+  notified: isObject,
+  deliveries: Array.isArray,
+  rowOrder: Array.isArray,
+};
+
+export const isRowRecord = (r) =>
+  isObject(r) && typeof r.id === "string" && r.id !== "";
+
+// Fields added since a row was saved (history, currency, …) get defaults.
+export const normaliseRow = (r) => ({ ...emptyRow(), ...r });
+
+const quarantined = (source, value, reason) => ({
+  source,
+  value,
+  reason,
+  at: new Date().toISOString(),
+});
+
+// Promise for an IDBRequest or the completion of a transaction.
+const done = (req) =>
+  new Promise((resolve, reject) => {
+    if ("onsuccess" in req) {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    } else {
+      req.oncomplete = () => resolve();
+      req.onerror = () => reject(req.error);
+      req.onabort = () => reject(req.error || new Error("Transaction aborted"));
+    }
+  });
+
+// Copy the old localStorage data into a fresh database. Anything that fails
+// to parse or validate goes to quarantine instead of being dropped.
+function importLegacy(tx) {
+  if (typeof localStorage === "undefined") return;
+  const quarantine = tx.objectStore("quarantine");
+  for (const [key, lsKey] of Object.entries(LEGACY_KEYS)) {
+    const raw = localStorage.getItem(lsKey);
+    if (raw == null) continue;
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      quarantine.add(quarantined(lsKey, raw, "Not valid JSON"));
+      continue;
+    }
+    if (key !== "rows") {
+      if (KV_CHECKS[key](value)) tx.objectStore("kv").put(value, key);
+      else if (value != null)
+        quarantine.add(quarantined(lsKey, value, `Unexpected ${key} shape`));
+      continue;
+    }
+    if (!Array.isArray(value)) {
+      quarantine.add(quarantined(lsKey, value, "Rows are not a list"));
+      continue;
+    }
+    const order = [];
+    for (const row of value) {
+      if (isRowRecord(row)) {
+        tx.objectStore("rows").put(normaliseRow(row));
+        order.push(row.id);
+      } else quarantine.add(quarantined(lsKey, row, "Row without an id"));
+    }
+    tx.objectStore("kv").put(order, "rowOrder");
+  }
+}
+
+export const MIGRATIONS = [
+  // 0 → 1: create the stores and import the v2 localStorage data
+  (db, tx) => {
+    db.createObjectStore("rows", { keyPath: "id" });
+    db.createObjectStore("kv");
+    db.createObjectStore("quarantine", { autoIncrement: true });
+    importLegacy(tx);
+  },
+  // 1 → 2: rolling snapshots
+  (db) => {
+    db.createObjectStore("snapshots", { autoIncrement: true });
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+async function openDB() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = (e) => {
+    for (let v = e.oldVersion; v < DB_VERSION; v++)
+      MIGRATIONS[v](req.result, req.transaction);
+  };
+  req.onblocked = () =>
+    console.warn("Database upgrade waiting for other tabs to close or reload");
+  const db = await done(req);
+  // a newer version of the app opened in another tab: let it upgrade
+  db.onversionchange = () => db.close();
+  return db;
+}
+
+// Rows in their saved order; rows missing from the order list go last.
+const ordered = (rows, order) => {
+  const pos = new Map((order || []).map((id, i) => [id, i]));
+  return [...rows].sort(
+    (a, b) => (pos.get(a.id) ?? Infinity) - (pos.get(b.id) ?? Infinity)
+  );
+};
+
+/**
+ * What changed between two versions of the rows array:
+ * { put: [row], remove: [id], order: [id] | null } — `put` holds rows that
+ * are new or were replaced, `order` the new id order when it changed.
+ */
+export function diffRows(prev, next) {
+  const before = new Map(prev.map((r) => [r.id, r]));
+  const ids = new Set(next.map((r) => r.id));
+  const sameOrder =
+    prev.length === next.length && prev.every((r, i) => r.id === next[i].id);
+  return {
+    put: next.filter((r) => before.get(r.id) !== r),
+    remove: prev.filter((r) => !ids.has(r.id)).map((r) => r.id),
+    order: sameOrder ? null : next.map((r) => r.id),
+  };
+}
+
+// The other way round: `rows` with a diffRows result applied (how another
+// tab's saved changes are taken in, see lib/tabs.js).
+export function applyRowDiff(rows, { put, remove, order }) {
+  const gone = new Set(remove);
+  const changed = new Map(put.map((r) => [r.id, r]));
+  const next = rows
+    .filter((r) => !gone.has(r.id))
+    .map((r) => changed.get(r.id) || r);
+  const have = new Set(next.map((r) => r.id));
+  next.push(...put.filter((r) => !have.has(r.id)));
+  return order ? ordered(next, order) : next;
+}
+
+function idbStore(db) {
+  return {
+    kind: "indexeddb",
+
+    // { rows, settings, notified, deliveries, quarantine: [entry] }; a
+    // kv value or row that no longer validates is moved to quarantine.
+    async load() {
+      const tx = db.transaction(["rows", "kv", "quarantine"], "readwrite");
+      const rowStore = tx.objectStore("rows");
+      const kv = tx.objectStore("kv");
+      const quarantine = tx.objectStore("quarantine");
+      const [records, keys] = await Promise.all([
+        done(rowStore.getAll()),
+        done(kv.getAllKeys()),
+      ]);
+      const values = await Promise.all(keys.map((k) => done(kv.get(k))));
+
+      const data = {};
+      keys.forEach((key, i) => {
+        const check = KV_CHECKS[key];
+        if (!check || check(values[i])) data[key] = values[i];
+        else {
+          quarantine.add(
+            quarantined(`kv:${key}`, values[i], "Unexpected shape")
+          );
+          kv.delete(key);
+        }
+      });
+      const rows = [];
+      for (const r of records) {
+        if (isRowRecord(r)) rows.push(normaliseRow(r));
+        else {
+          quarantine.add(quarantined("rows", r, "Row without an id"));
+          rowStore.delete(r.id);
+        }
+      }
+      const entries = await done(quarantine.getAll());
+      await done(tx);
+      return {
+        rows: ordered(rows, data.rowOrder),
+        settings: data.settings,
+        notified: data.notified,
+        deliveries: data.deliveries,
+        quarantine: entries,
+      };
+    },
+
+    // Write only what changed: `diff` is a diffRows result for `next`.
+    saveRows(next, { put, remove, order }) {
+      if (!put.length && !remove.length && !order) return Promise.resolve();
+      const tx = db.transaction(["rows", "kv"], "readwrite");
+      const rows = tx.objectStore("rows");
+      put.forEach((r) => rows.put(r));
+      remove.forEach((id) => rows.delete(id));
+      if (order) tx.objectStore("kv").put(order, "rowOrder");
+      return done(tx);
+    },
+
+    setValue(key, value) {
+      const tx = db.transaction("kv", "readwrite");
+      tx.objectStore("kv").put(value, key);
+      return done(tx);
+    },
+
+    clearQuarantine() {
+      const tx = db.transaction("quarantine", "readwrite");
+      tx.objectStore("quarantine").clear();
+      return done(tx);
+    },
+
+    // [{ id, createdAt, backup }], newest first
+    async listSnapshots() {
+      const store = db.transaction("snapshots").objectStore("snapshots");
+      const [keys, values] = await Promise.all([
+        done(store.getAllKeys()),
+        done(store.getAll()),
+      ]);
+      return values
+        .map((backup, i) => ({
+          id: keys[i],
+          createdAt: backup.createdAt,
+          backup,
+        }))
+        .reverse();
+    },
+
+    // Save a snapshot, drop all but the newest `keep`; resolves to the list.
+    async addSnapshot(backup, keep) {
+      const tx = db.transaction("snapshots", "readwrite");
+      const store = tx.objectStore("snapshots");
+      store.add(backup);
+      const keys = await done(store.getAllKeys());
+      keys.slice(0, Math.max(0, keys.length - keep)).forEach((k) => {
+        store.delete(k);
+      });
+      await done(tx);
+      return this.listSnapshots();
+    },
+  };
+}
+
+// Same interface over the old localStorage keys. Where IndexedDB holds the
+// data, this is the copy from when it took over: the app only opens it
+// read-only, once the user chooses to after IndexedDB failed to load.
+export function localStore() {
+  const readList = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || [];
+    } catch {
+      return [];
+    }
+  };
+  const quarantine = () => readList(LEGACY_QUARANTINE_KEY);
+  const snapshots = () => readList(LEGACY_SNAPSHOTS_KEY);
+  const setItem = (key, value) => {
+    localStorage.setItem(key, JSON.stringify(value));
+    return Promise.resolve();
+  };
+  return {
+    kind: "localstorage",
+
+    async load() {
+      const data = {};
+      const bad = [];
+      for (const [key, lsKey] of Object.entries(LEGACY_KEYS)) {
+        const raw = localStorage.getItem(lsKey);
+        if (raw == null) continue;
+        try {
+          data[key] = JSON.parse(raw);
+        } catch {
+          bad.push(quarantined(lsKey, raw, "Not valid JSON"));
+        }
+      }
+      const rows = [];
+      for (const r of Array.isArray(data.rows) ? data.rows : []) {
+        if (isRowRecord(r)) rows.push(normaliseRow(r));
+        else bad.push(quarantined(LEGACY_KEYS.rows, r, "Row without an id"));
+      }
+      for (const key of ["settings", "notified", "deliveries"])
+        if (data[key] != null && !KV_CHECKS[key](data[key])) {
+          bad.push(
+            quarantined(LEGACY_KEYS[key], data[key], "Unexpected shape")
+          );
+          delete data[key];
+        }
+      // keep the unreadable originals before they get overwritten
+      const entries = [...quarantine(), ...bad];
+      if (bad.length) await setItem(LEGACY_QUARANTINE_KEY, entries);
+      return { ...data, rows, quarantine: entries };
+    },
+
+    saveRows: (next) => setItem(LEGACY_KEYS.rows, next),
+    setValue: (key, value) => setItem(LEGACY_KEYS[key], value),
+    clearQuarantine() {
+      localStorage.removeItem(LEGACY_QUARANTINE_KEY);
+      return Promise.resolve();
+    },
+
+    listSnapshots: () => Promise.resolve(snapshots()),
+    async addSnapshot(backup, keep) {
+      const last = snapshots()[0];
+      const entry = { id: (last?.id || 0) + 1, createdAt: backup.createdAt };
+      const list = [{ ...entry, backup }, ...snapshots()];
+      await setItem(LEGACY_SNAPSHOTS_KEY, list.slice(0, keep));
+      return list.slice(0, keep);
+    },
+  };
+}
+
+/**
+ * Open the app's store: IndexedDB when it works here, else localStorage.
+ * Resolves to { kind, load(), saveRows(next, diff), setValue(key, value),
+ * clearQuarantine(), listSnapshots(), addSnapshot(backup, keep) }. Rejects
+ * if IndexedDB has been used in this browser before but can't be opened now.
+ */
+export async function openStore() {
+  if (typeof indexedDB === "undefined") return localStore();
+  let db;
+  try {
+    db = await openDB();
+  } catch (e) {
+    if (idbUsed()) throw e;
+    console.warn("IndexedDB unavailable, using localStorage:", e);
+    return localStore();
+  }
+  try {
+    localStorage.setItem(IDB_USED_KEY, "1");
+  } catch (e) {
+    console.warn("Could not record that IndexedDB is in use:", e);
+  }
+  return idbStore(db);
+}
+
+const idbUsed = () => {
+  try {
+    return localStorage.getItem(IDB_USED_KEY) !== null;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,121 @@
+// =============================
+// Coordination between open tabs
+// =============================
+// Every tab of the app shares one store (lib/storage.js). Two things keep
+// them in step:
+//
+//   openTabChannel  tells the other tabs what this one just saved, so edits
+//                   show up live there: { type: "rows", put, remove, order }
+//                   (a diffRows result) or { type: "value", key, value }.
+//   electLeader     picks one tab to run the reminder scheduler, so the same
+//                   reminder isn't sent from every open tab. When the leader
+//                   closes, another tab takes over.
+//
+// BroadcastChannel and Web Locks are used where the browser has them, with
+// localStorage (storage events, a lease renewed on a timer) as the fallback.
+
+const CHANNEL_NAME = "mobile-contract-tracker";
+const MESSAGE_KEY = "mobile-contract-tracker:message";
+const LOCK_NAME = "mobile-contract-tracker:scheduler";
+const LEASE_KEY = "mobile-contract-tracker:leader";
+const LEASE_MS = 10 * 1000;
+
+const tabId = crypto.randomUUID();
+
+/**
+ * Messages to and from the other tabs (never this one). Returns
+ * { post(message), close() }; `onMessage` gets each message from elsewhere.
+ */
+export function openTabChannel(onMessage) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => onMessage(e.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+  // storage events fire in every tab but the one that wrote
+  const onStorage = (e) => {
+    if (e.key !== MESSAGE_KEY || !e.newValue) return;
+    try {
+      onMessage(JSON.parse(e.newValue).message);
+    } catch (err) {
+      console.warn("Unreadable message from another tab:", err);
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    post(message) {
+      // the nonce makes a repeat of the same message still an update
+      localStorage.setItem(
+        MESSAGE_KEY,
+        JSON.stringify({ message, nonce: crypto.randomUUID() })
+      );
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
+
+// Web Locks: the lock is held until stop() or the tab closes.
+function lockLeader(onChange) {
+  const abort = new AbortController();
+  let release;
+  navigator.locks
+    .request(LOCK_NAME, { signal: abort.signal }, () => {
+      onChange(true);
+      return new Promise((resolve) => (release = resolve));
+    })
+    .catch((e) => {
+      if (e.name !== "AbortError") console.warn("Leader lock failed:", e);
+    });
+  return () => {
+    abort.abort();
+    release?.();
+  };
+}
+
+// localStorage lease: the leader renews it; a lapsed lease is taken over.
+function leaseLeader(onChange) {
+  const read = () => {
+    try {
+      return JSON.parse(localStorage.getItem(LEASE_KEY));
+    } catch {
+      return null;
+    }
+  };
+  let leader = false;
+  const tick = () => {
+    const lease = read();
+    const now = Date.now();
+    const mine = !lease || lease.until < now || lease.id === tabId;
+    if (mine)
+      localStorage.setItem(
+        LEASE_KEY,
+        JSON.stringify({ id: tabId, until: now + LEASE_MS })
+      );
+    if (mine !== leader) onChange((leader = mine));
+  };
+  tick();
+  const timer = setInterval(tick, LEASE_MS / 3);
+  const resign = () => {
+    if (read()?.id === tabId) localStorage.removeItem(LEASE_KEY);
+  };
+  window.addEventListener("pagehide", resign);
+  return () => {
+    clearInterval(timer);
+    window.removeEventListener("pagehide", resign);
+    resign();
+  };
+}
+
+/**
+ * Take part in choosing the tab that sends reminders. `onChange(true)` is
+ * called once this tab becomes the leader (and `onChange(false)` if a
+ * lease lapses). Returns a function that steps down.
+ */
+export function electLeader(onChange) {
+  return typeof navigator !== "undefined" && navigator.locks
+    ? lockLeader(onChange)
+    : leaseLeader(onChange);
+}
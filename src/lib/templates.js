@@ -0,0 +1,66 @@
+// =============================
+// Email templates: {{placeholder}} and {{#section}}…{{/section}}
+// =============================
+// A small Mustache subset. {{name}} inserts a value, {{#name}}…{{/name}}
+// renders its contents when the value is non-empty and
+// {{^name}}…{{/name}} when it is falsy. A section tag alone on its line
+// removes that line, so optional fields don't leave blank lines behind.
+
+const TAG = /{{\s*([#^/]?)\s*([\w.]+)\s*}}/g;
+const STANDALONE = /^[ \t]*({{\s*[#^/]\s*[\w.]+\s*}})[ \t]*(?:\r?\n|$)/gm;
+
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  const src = template.replace(STANDALONE, "$1");
+  for (const m of src.matchAll(TAG)) {
+    const [tag, kind, name] = m;
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.children.push(src.slice(last, m.index));
+    last = m.index + tag.length;
+    if (kind === "#" || kind === "^") {
+      const section = { name, inverted: kind === "^", children: [] };
+      top.children.push(section);
+      stack.push(section);
+    } else if (kind === "/") {
+      if (stack.length === 1 || top.name !== name)
+        throw new Error(`Unexpected {{/${name}}}`);
+      stack.pop();
+    } else {
+      top.children.push({ name });
+    }
+  }
+  if (stack.length > 1)
+    throw new Error(`Missing {{/${stack[stack.length - 1].name}}}`);
+  if (last < src.length) root.children.push(src.slice(last));
+  return root;
+}
+
+function renderNode(node, vars) {
+  return node.children
+    .map((child) => {
+      if (typeof child === "string") return child;
+      const value = vars[child.name];
+      if (!child.children) return value ?? "";
+      const truthy = Boolean(value);
+      return truthy !== child.inverted ? renderNode(child, vars) : "";
+    })
+    .join("");
+}
+
+/** Render a template; throws on unbalanced sections. */
+export const renderTemplate = (template, vars) =>
+  renderNode(parse(String(template ?? "")), vars);
+
+// Unknown placeholders render empty; this lists them so the editor can warn.
+export function unknownPlaceholders(template, knownNames) {
+  const known = new Set(knownNames);
+  return [
+    ...new Set(
+      [...String(template ?? "").matchAll(TAG)]
+        .map((m) => m[2])
+        .filter((n) => !known.has(n))
+    ),
+  ];
+}
@@ -0,0 +1,163 @@
+// =============================
+// The Excel export: contracts, summary and recharge sheets
+// =============================
+// Sheets in the shape writeWorkbook (lib/xlsx.js) takes. The contracts
+// sheet uses the import field labels as headers, so a file exported here
+// imports again as it is. Worked-out columns (cost now, days left, status…)
+// are as of `today`, on the workspace's VAT basis; amounts stay in each
+// line's own currency.
+import { costSummary } from "./costs.js";
+import { rechargeSummary } from "./groups.js";
+import { IMPORT_FIELDS } from "./importer.js";
+import { STATUS_LABELS, enrichRow, rowStatus } from "./reminders.js";
+import { isArchived } from "./rows.js";
+
+const FIELD_TYPES = {
+  startDate: "date",
+  endDate: "date",
+  termMonths: "integer",
+  noticeDays: "integer",
+  costMonthly: "money",
+  deviceMonthly: "money",
+  upfrontCost: "money",
+  riseValue: "number",
+  oocMonthly: "money",
+};
+const WIDTHS = { phone: 16, label: 24, notes: 40, ownerEmail: 28, tags: 24 };
+
+/**
+ * Sheets for the Excel export of `rows` (all lines, archived ones marked):
+ * Contracts, Summary (per currency) and Recharge (per cost centre).
+ */
+export function contractsWorkbook(rows, settings = {}, today = new Date()) {
+  const vat = settings.vatBasis === "inc" ? "inc. VAT" : "ex. VAT";
+  const costOpts = {
+    vatBasis: settings.vatBasis,
+    vatRate: settings.vatRate,
+    cpiRate: settings.cpiRate,
+  };
+  const lines = rows.map((r) => ({
+    ...enrichRow(r, today, { remindBefore: settings.remindBefore }),
+    ...costSummary(r, today, costOpts),
+  }));
+  const active = lines.filter((r) => !isArchived(r));
+  // archived lines keep their details but cost nothing now
+  const live = (r) => (isArchived(r) ? "" : r);
+  const money = (amount, r) =>
+    Number.isFinite(amount)
+      ? { amount, currency: r.currency || settings.currency }
+      : "";
+
+  const computed = [
+    { header: "Give notice by", type: "date", value: (r) => r.noticeBy },
+    {
+      header: `Cost now (${vat})`,
+      type: "money",
+      value: (r) => live(r) && money(r.monthlyNow, r),
+    },
+    {
+      header: `Effective / month (${vat})`,
+      type: "money",
+      value: (r) => live(r) && money(r.effectiveMonthly, r),
+    },
+    {
+      header: `Remaining (${vat})`,
+      type: "money",
+      value: (r) => live(r) && money(r.remainingSpend, r),
+    },
+    {
+      header: `Contract value (${vat})`,
+      type: "money",
+      value: (r) => live(r) && money(r.contractValue, r),
+    },
+    {
+      header: "Days left",
+      type: "integer",
+      value: (r) => (isArchived(r) ? "" : r.daysLeft),
+    },
+    {
+      header: "Status",
+      value: (r) =>
+        isArchived(r) ? "Archived" : STATUS_LABELS[rowStatus(r)] || "",
+    },
+    {
+      header: "Archived on",
+      type: "date",
+      value: (r) => (r.archivedAt || "").slice(0, 10),
+    },
+  ];
+  const columns = [
+    ...IMPORT_FIELDS.map((f) => ({
+      header: f.label,
+      type: FIELD_TYPES[f.key] || "string",
+      width: WIDTHS[f.key],
+      value: (r) =>
+        FIELD_TYPES[f.key] === "money" ? money(Number(r[f.key]), r) : r[f.key],
+    })),
+    ...computed,
+  ];
+  const contracts = {
+    name: "Contracts",
+    columns,
+    // a field left blank stays blank rather than 0
+    rows: lines.map((r) =>
+      columns.map((c, i) =>
+        i < IMPORT_FIELDS.length && (r[IMPORT_FIELDS[i].key] ?? "") === ""
+          ? ""
+          : c.value(r)
+      )
+    ),
+  };
+
+  // Summary: one line per currency
+  const byCurrency = new Map();
+  for (const r of active) {
+    const key = r.currency || settings.currency || "";
+    if (!byCurrency.has(key)) byCurrency.set(key, []);
+    byCurrency.get(key).push(r);
+  }
+  const sum = (list, key) =>
+    list.reduce((n, r) => n + (Number.isFinite(r[key]) ? r[key] : 0), 0);
+  const summary = {
+    name: "Summary",
+    columns: [
+      { header: "Currency" },
+      { header: "Lines", type: "integer" },
+      { header: `Monthly cost now (${vat})`, type: "money", width: 22 },
+      { header: `Remaining commitment (${vat})`, type: "money", width: 26 },
+      { header: `Contract value (${vat})`, type: "money", width: 22 },
+      { header: "Ending in 30 days", type: "integer" },
+      { header: "Ended", type: "integer" },
+      { header: "Out of contract", type: "integer" },
+    ],
+    rows: [...byCurrency].map(([currency, list]) => {
+      const status = (s) => list.filter((r) => rowStatus(r) === s).length;
+      return [
+        currency,
+        list.length,
+        { amount: sum(list, "monthlyNow"), currency },
+        { amount: sum(list, "remainingSpend"), currency },
+        { amount: sum(list, "contractValue"), currency },
+        status("urgent") + status("expiring"),
+        status("expired"),
+        status("rolling"),
+      ];
+    }),
+  };
+
+  // Recharge: the per-cost-centre CSV summary, typed
+  const [header, ...records] = rechargeSummary(active, settings);
+  const recharge = {
+    name: "Recharge",
+    columns: header.map((h, i) => ({
+      header: h,
+      type: i === 3 ? "integer" : i >= 4 ? "money" : "string",
+      width: i >= 4 ? 26 : 14,
+    })),
+    rows: records.map((rec) =>
+      rec.map((v, i) => (i >= 4 ? { amount: Number(v), currency: rec[2] } : v))
+    ),
+  };
+
+  return [contracts, summary, recharge];
+}
@@ -0,0 +1,381 @@
+// =============================
+// Excel workbooks (.xlsx): read sheets as records, write typed sheets
+// =============================
+// An .xlsx file is a zip (lib/zip.js) of XML parts. Reading gives each
+// worksheet as records of strings, like parseCSV, so the import wizard maps
+// them the same way; cells formatted as dates come back as YYYY-MM-DD.
+// Writing takes sheets of typed columns so Excel gets real dates and
+// numbers. Reading needs DOMParser, so it runs in the browser only.
+import { readZip, writeZip } from "./zip.js";
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+const DAY_MS = 86400000;
+// Excel's day 0 (1900 system, counting its phantom 29 Feb 1900) and the
+// 1904 system used by old Mac workbooks
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+export const serialToISO = (serial, date1904 = false) =>
+  new Date((date1904 ? EPOCH_1904 : EPOCH_1900) + Math.floor(serial) * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+export const isoToSerial = (iso) =>
+  (Date.parse(`${iso}T00:00:00Z`) - EPOCH_1900) / DAY_MS;
+
+// "AB12" → 27 (0-based column)
+const columnIndex = (ref) => {
+  let n = 0;
+  for (const ch of ref.replace(/\d+$/, "")) n = n * 26 + ch.charCodeAt(0) - 64;
+  return n - 1;
+};
+const columnName = (i) => {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26))
+    s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+};
+
+// Built-in number formats that are dates or times
+const DATE_FORMAT_IDS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+  45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+]);
+// a custom format is a date if it has d/m/y/h/s outside quotes, [colours /
+// locales] and escaped characters
+const isDateFormat = (code) =>
+  /[dmyhs]/i.test(
+    code.replace(/"[^"]*"|\[[^\]]*\]|\\.|_.|\*./g, "").replace(/General/gi, "")
+  );
+
+const parseXML = (bytes) =>
+  new DOMParser().parseFromString(
+    new TextDecoder().decode(bytes),
+    "application/xml"
+  );
+// elements by local name, whatever prefix the writer used
+const all = (node, name) => [...node.getElementsByTagNameNS("*", name)];
+const first = (node, name) => all(node, name)[0] || null;
+
+// the text of a shared or inline string, leaving out phonetic guides
+const stringText = (si) =>
+  all(si, "t")
+    .filter((t) => t.parentNode.localName !== "rPh")
+    .map((t) => t.textContent)
+    .join("");
+
+// "worksheets/sheet1.xml" relative to xl/workbook.xml, or an absolute target
+const partPath = (target) =>
+  target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+
+/**
+ * Read an .xlsx file. Returns [{ name, records }] for each worksheet, in
+ * workbook order, where records are rows of cell strings (gaps filled with
+ * ""). Numbers come back as written, dates as YYYY-MM-DD, booleans as
+ * TRUE / FALSE. Throws an Error when the file isn't a workbook.
+ */
+export async function readWorkbook(bytes) {
+  let files;
+  try {
+    files = await readZip(bytes);
+  } catch {
+    throw new Error("This isn't an Excel (.xlsx) file");
+  }
+  const workbookPart = files.get("xl/workbook.xml");
+  if (!workbookPart) throw new Error("This isn't an Excel (.xlsx) file");
+  const workbook = parseXML(workbookPart);
+  const date1904 = ["1", "true"].includes(
+    first(workbook, "workbookPr")?.getAttribute("date1904")
+  );
+
+  const targets = new Map();
+  const rels = files.get("xl/_rels/workbook.xml.rels");
+  if (rels)
+    for (const rel of all(parseXML(rels), "Relationship"))
+      targets.set(rel.getAttribute("Id"), rel.getAttribute("Target"));
+
+  const shared = files.has("xl/sharedStrings.xml")
+    ? all(parseXML(files.get("xl/sharedStrings.xml")), "si").map(stringText)
+    : [];
+
+  // style index → is a date format
+  const dateStyles = [];
+  if (files.has("xl/styles.xml")) {
+    const styles = parseXML(files.get("xl/styles.xml"));
+    const custom = new Map(
+      all(styles, "numFmt").map((f) => [
+        Number(f.getAttribute("numFmtId")),
+        f.getAttribute("formatCode") || "",
+      ])
+    );
+    const cellXfs = first(styles, "cellXfs");
+    for (const xf of cellXfs ? all(cellXfs, "xf") : []) {
+      const id = Number(xf.getAttribute("numFmtId") || 0);
+      dateStyles.push(
+        custom.has(id) ? isDateFormat(custom.get(id)) : DATE_FORMAT_IDS.has(id)
+      );
+    }
+  }
+
+  const readCell = (c) => {
+    const type = c.getAttribute("t") || "n";
+    const v = first(c, "v")?.textContent ?? "";
+    if (type === "s") return shared[Number(v)] ?? "";
+    if (type === "inlineStr") {
+      const is = first(c, "is");
+      return is ? stringText(is) : "";
+    }
+    if (type === "b") return v === "1" ? "TRUE" : "FALSE";
+    if (type === "d") return v.slice(0, 10);
+    if (type === "str" || type === "e") return v;
+    if (v === "") return "";
+    const n = Number(v);
+    if (dateStyles[Number(c.getAttribute("s") || 0)])
+      return serialToISO(n, date1904);
+    // drop binary noise like 12.490000000000002
+    return String(Number(n.toPrecision(15)));
+  };
+
+  return all(workbook, "sheet").map((sheet) => {
+    const name = sheet.getAttribute("name") || "Sheet";
+    const target = targets.get(sheet.getAttributeNS(REL_NS, "id"));
+    const part = target && files.get(partPath(target));
+    const records = [];
+    if (part) {
+      let rowIndex = -1;
+      for (const row of all(parseXML(part), "row")) {
+        rowIndex = Number(row.getAttribute("r") || rowIndex + 2) - 1;
+        const record = [];
+        let col = -1;
+        for (const c of all(row, "c")) {
+          const ref = c.getAttribute("r");
+          col = ref ? columnIndex(ref) : col + 1;
+          while (record.length < col) record.push("");
+          record[col] = readCell(c);
+        }
+        while (records.length < rowIndex) records.push([]);
+        records[rowIndex] = record;
+      }
+    }
+    return { name, records };
+  });
+}
+
+// =============================
+// Writing
+// =============================
+
+const escapeXML = (s) =>
+  String(s)
+    // characters XML 1.0 can't hold at all
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+
+// Excel's sheet name rules: 31 characters, none of []:*?/\
+export const sheetName = (name) =>
+  String(name)
+    .replace(/[[\]:*?/\\]/g, " ")
+    .slice(0, 31) || "Sheet";
+
+// number format for an amount in `currency`: "£"#,##0.00 for a known symbol,
+// else #,##0.00 "SEK"
+const SYMBOLS = { GBP: "£", EUR: "€", USD: "$" };
+export const moneyFormat = (currency) =>
+  !currency
+    ? "#,##0.00"
+    : SYMBOLS[currency]
+      ? `"${SYMBOLS[currency]}"#,##0.00`
+      : `#,##0.00 "${currency}"`;
+
+/**
+ * Build an .xlsx file from sheets:
+ *   [{ name, columns: [{ header, type, width? }], rows: [[value]] }]
+ * Column types: "string", "number", "integer", "date" (a YYYY-MM-DD
+ * string, written as a real date), "money" (a number, or { amount,
+ * currency } to format it in that currency) and "percent". Blank, null and
+ * non-numeric values are left empty in number columns. The header row is
+ * bold, frozen and filterable. Returns a Promise of the file's bytes.
+ */
+export async function writeWorkbook(sheets) {
+  // cell styles: 0 default, 1 bold header, then one per number format
+  const formats = []; // format codes, custom ids from 164
+  const styleOf = new Map(); // format code → style index
+  const style = (code) => {
+    if (!styleOf.has(code)) {
+      formats.push(code);
+      styleOf.set(code, formats.length + 1);
+    }
+    return styleOf.get(code);
+  };
+  const DATE = "yyyy-mm-dd";
+
+  const cellXML = (value, type, ref) => {
+    if (value == null || value === "") return "";
+    if (type === "string" || type === undefined)
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(
+        value
+      )}</t></is></c>`;
+    if (type === "date") {
+      const serial = isoToSerial(value);
+      return Number.isFinite(serial)
+        ? `<c r="${ref}" s="${style(DATE)}"><v>${serial}</v></c>`
+        : "";
+    }
+    const amount = typeof value === "object" ? value.amount : value;
+    const n = Number(amount);
+    if (amount === "" || amount == null || !Number.isFinite(n)) return "";
+    const code =
+      type === "money"
+        ? moneyFormat(value.currency)
+        : type === "integer"
+          ? "0"
+          : type === "percent"
+            ? "0.0%"
+            : "General";
+    return code === "General"
+      ? `<c r="${ref}"><v>${n}</v></c>`
+      : `<c r="${ref}" s="${style(code)}"><v>${n}</v></c>`;
+  };
+
+  const sheetXML = ({ columns, rows }) => {
+    const lastCol = columnName(Math.max(0, columns.length - 1));
+    const header = columns
+      .map(
+        (c, i) =>
+          `<c r="${columnName(i)}1" t="inlineStr" s="1"><is><t>${escapeXML(
+            c.header
+          )}</t></is></c>`
+      )
+      .join("");
+    const body = rows
+      .map(
+        (row, r) =>
+          `<row r="${r + 2}">${columns
+            .map((c, i) => cellXML(row[i], c.type, `${columnName(i)}${r + 2}`))
+            .join("")}</row>`
+      )
+      .join("");
+    const widths = columns
+      .map(
+        (c, i) =>
+          `<col min="${i + 1}" max="${i + 1}" width="${
+            c.width || Math.max(10, c.header.length + 2)
+          }" customWidth="1"/>`
+      )
+      .join("");
+    return (
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+      `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+      `<cols>${widths}</cols>` +
+      `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+      `<autoFilter ref="A1:${lastCol}${rows.length + 1}"/>` +
+      `</worksheet>`
+    );
+  };
+
+  // sheets first: they register the number formats styles.xml lists
+  const names = sheets.map((s, i) => {
+    const base = sheetName(s.name);
+    const clash = sheets
+      .slice(0, i)
+      .some((o) => sheetName(o.name).toLowerCase() === base.toLowerCase());
+    return clash ? sheetName(`${base.slice(0, 27)} (${i + 1})`) : base;
+  });
+  const sheetParts = sheets.map(sheetXML);
+
+  const stylesXML =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    (formats.length
+      ? `<numFmts count="${formats.length}">${formats
+          .map(
+            (code, i) =>
+              `<numFmt numFmtId="${164 + i}" formatCode="${escapeXML(code)}"/>`
+          )
+          .join("")}</numFmts>`
+      : "") +
+    `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+    `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+    `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+    `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+    `<cellXfs count="${formats.length + 2}">` +
+    `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+    `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+    formats
+      .map(
+        (_, i) =>
+          `<xf numFmtId="${164 + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`
+      )
+      .join("") +
+    `</cellXfs>` +
+    `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>` +
+    `</styleSheet>`;
+
+  const workbookXML =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${names
+      .map(
+        (name, i) =>
+          `<sheet name="${escapeXML(name)}" sheetId="${i + 1}" r:id="rId${
+            i + 1
+          }"/>`
+      )
+      .join("")}</sheets></workbook>`;
+
+  const PKG_REL =
+    "http://schemas.openxmlformats.org/package/2006/relationships";
+  const workbookRels =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<Relationships xmlns="${PKG_REL}">${sheets
+      .map(
+        (_, i) =>
+          `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${
+            i + 1
+          }.xml"/>`
+      )
+      .join("")}<Relationship Id="rId${
+      sheets.length + 1
+    }" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`;
+
+  const SML = "application/vnd.openxmlformats-officedocument.spreadsheetml";
+  const contentTypes =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+    `<Default Extension="xml" ContentType="application/xml"/>` +
+    `<Override PartName="/xl/workbook.xml" ContentType="${SML}.sheet.main+xml"/>` +
+    `<Override PartName="/xl/styles.xml" ContentType="${SML}.styles+xml"/>` +
+    sheets
+      .map(
+        (_, i) =>
+          `<Override PartName="/xl/worksheets/sheet${
+            i + 1
+          }.xml" ContentType="${SML}.worksheet+xml"/>`
+      )
+      .join("") +
+    `</Types>`;
+
+  const rootRels =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<Relationships xmlns="${PKG_REL}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+  return writeZip([
+    { name: "[Content_Types].xml", data: contentTypes },
+    { name: "_rels/.rels", data: rootRels },
+    { name: "xl/workbook.xml", data: workbookXML },
+    { name: "xl/_rels/workbook.xml.rels", data: workbookRels },
+    { name: "xl/styles.xml", data: stylesXML },
+    ...sheetParts.map((data, i) => ({
+      name: `xl/worksheets/sheet${i + 1}.xml`,
+      data,
+    })),
+  ]);
+}
@@ -0,0 +1,155 @@
+// =============================
+// Minimal zip reader / writer (for .xlsx files)
+// =============================
+// Enough of the zip format for Office files: stored and deflated entries,
+// no encryption, no zip64. Compression uses the browser's own
+// CompressionStream / DecompressionStream ("deflate-raw"), so nothing leaves
+// the machine and no library is needed.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++)
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Run bytes through a (De)CompressionStream
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Read a zip archive. Returns a Map of entry name → Uint8Array (folders are
+ * left out). Throws an Error when the bytes aren't a zip we can read.
+ */
+export async function readZip(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  // the end-of-central-directory record sits in the last 64 KB + 22 bytes
+  let eocd = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 65557); i--)
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  if (eocd < 0) throw new Error("Not a zip file");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== CENTRAL_SIGNATURE)
+      throw new Error("Damaged zip directory");
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const offset = view.getUint32(p + 42, true);
+    const name = decoder.decode(data.subarray(p + 46, p + 46 + nameLength));
+    p += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+
+    if (view.getUint32(offset, true) !== LOCAL_SIGNATURE)
+      throw new Error(`Damaged zip entry ${name}`);
+    const start =
+      offset +
+      30 +
+      view.getUint16(offset + 26, true) +
+      view.getUint16(offset + 28, true);
+    const raw = data.subarray(start, start + size);
+    if (method === 0) files.set(name, raw);
+    else if (method === 8)
+      files.set(name, await pipe(raw, new DecompressionStream("deflate-raw")));
+    else throw new Error(`Unsupported compression in ${name}`);
+  }
+  return files;
+}
+
+/**
+ * Build a zip archive from [{ name, data }] (data: string or Uint8Array),
+ * deflating each entry and dating it `now`. Returns a Uint8Array.
+ */
+export async function writeZip(entries, now = new Date()) {
+  const encoder = new TextEncoder();
+  // MS-DOS date and time, as zip stores them
+  const time =
+    (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date =
+    ((now.getFullYear() - 1980) << 9) |
+    ((now.getMonth() + 1) << 5) |
+    now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBytes = encoder.encode(name);
+    const raw = typeof data === "string" ? encoder.encode(data) : data;
+    const packed = await pipe(raw, new CompressionStream("deflate-raw"));
+    const crc = crc32(raw);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_SIGNATURE, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // names are UTF-8
+    local.setUint16(8, 8, true); // deflate
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, packed.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, packed);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_SIGNATURE, true);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 8, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, packed.length, true);
+    entry.setUint32(24, raw.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + packed.length;
+  }
+
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, EOCD_SIGNATURE, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Uint8Array(
+    await new Blob([
+      ...parts,
+      ...central,
+      new Uint8Array(end.buffer),
+    ]).arrayBuffer()
+  );
+}